@@ -0,0 +1,20 @@
+// Returns when a provider is already booked, for slot checks in the browser
+// Open to everyone, signed in or not, like provider profiles: only the times
+// bookings hold are returned, never who made them (see src/lib/bookedTimes.js)
+import { NextResponse } from 'next/server';
+import { getBookedTimes } from '@/lib/bookedTimes';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const providerId = searchParams.get('providerId');
+  const startDate = searchParams.get('startDate');
+  const endDate = searchParams.get('endDate') || startDate;
+  if (!providerId || !DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate) || endDate < startDate) {
+    return NextResponse.json({ success: false, error: 'Missing provider or dates' }, { status: 400 });
+  }
+
+  const result = await getBookedTimes(providerId, startDate, endDate);
+  return NextResponse.json(result, { status: result.success ? 200 : 500 });
+}
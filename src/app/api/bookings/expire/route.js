@@ -0,0 +1,35 @@
+// Expires pending requests past their deadline
+// A scheduler (cron, Cloud Scheduler, ...) calls it every 15 minutes with
+// "Authorization: Bearer <CRON_SECRET>" to expire every stale request. A
+// signed-in user's dashboard calls it with their Firebase ID token when it
+// opens, which only expires that user's own requests. Safe to call as often as
+// needed: a booking is only expired once
+import { NextResponse } from 'next/server';
+import { getAdminAuth } from '@/lib/firebaseAdmin';
+import { expirePendingBookings } from '@/lib/expiryProcessor';
+
+export async function POST(request) {
+  try {
+    const idToken = request.headers.get('authorization')?.replace(/^Bearer /, '');
+    if (!idToken) {
+      return NextResponse.json({ success: false, error: 'Missing credentials' }, { status: 400 });
+    }
+
+    const isServer = Boolean(process.env.CRON_SECRET) && idToken === process.env.CRON_SECRET;
+    let uid = null;
+    if (!isServer) {
+      try {
+        ({ uid } = await getAdminAuth().verifyIdToken(idToken));
+      } catch (error) {
+        return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+      }
+    }
+
+    const origin = process.env.APP_URL || new URL(request.url).origin;
+    const result = await expirePendingBookings(origin, isServer ? {} : { userId: uid });
+    return NextResponse.json(result, { status: result.success ? 200 : 500 });
+  } catch (error) {
+    console.error('Error expiring bookings:', error);
+    return NextResponse.json({ success: false, error: error.message }, { status: 500 });
+  }
+}
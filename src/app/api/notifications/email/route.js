@@ -0,0 +1,48 @@
+// Emails a notification to its recipient
+// The caller passes their Firebase ID token and must have created or received
+// the notification. The address and text are worked out on the server (see
+// src/lib/notificationMailer.js); nothing written on the notification or the
+// booking ends up in the email
+import { NextResponse } from 'next/server';
+import { getAdminAuth, getAdminDb } from '@/lib/firebaseAdmin';
+import { sendNotificationEmail } from '@/lib/notificationMailer';
+
+export async function POST(request) {
+  try {
+    const idToken = request.headers.get('authorization')?.replace(/^Bearer /, '');
+    const { notificationId } = await request.json();
+    if (!idToken || !notificationId) {
+      return NextResponse.json({ success: false, error: 'Missing notification or credentials' }, { status: 400 });
+    }
+
+    let uid;
+    try {
+      ({ uid } = await getAdminAuth().verifyIdToken(idToken));
+    } catch (error) {
+      return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const db = getAdminDb();
+    const notificationDoc = await db.collection('notifications').doc(notificationId).get();
+    const notification = notificationDoc.exists ? notificationDoc.data() : null;
+    if (!notification || (uid !== notification.userId && uid !== notification.createdBy)) {
+      return NextResponse.json({ success: false, error: 'Notification not found' }, { status: 404 });
+    }
+
+    // Each notification is emailed once; the precondition makes a second,
+    // concurrent request fail here
+    if (notification.emailedAt) {
+      return NextResponse.json({ success: false, error: 'Notification already emailed' }, { status: 409 });
+    }
+    await notificationDoc.ref.update(
+      { emailedAt: new Date().toISOString() },
+      { lastUpdateTime: notificationDoc.updateTime }
+    );
+
+    const result = await sendNotificationEmail(notification, new URL(request.url).origin);
+    return NextResponse.json(result, { status: result.success ? 200 : 502 });
+  } catch (error) {
+    console.error('Error emailing notification:', error);
+    return NextResponse.json({ success: false, error: error.message }, { status: 500 });
+  }
+}
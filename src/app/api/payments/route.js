@@ -0,0 +1,44 @@
+// Settles a booking's payment after it is created or changes status
+// The caller passes their Firebase ID token and must be the booking's customer
+// or provider; server jobs such as the expiry function pass CRON_SECRET instead.
+// The amount charged or refunded is worked out here from the booking itself,
+// never taken from the request, and only from the parts of it the security
+// rules keep the parties from rewriting (see src/lib/payments.js). If the
+// booking is already being settled, that settlement runs again for the latest
+// change and this returns 202 straight away
+import { NextResponse } from 'next/server';
+import { getAdminAuth, getAdminDb } from '@/lib/firebaseAdmin';
+import { settleBookingPayment } from '@/lib/paymentProcessor';
+
+export async function POST(request) {
+  try {
+    const idToken = request.headers.get('authorization')?.replace(/^Bearer /, '');
+    const { bookingId } = await request.json();
+    if (!idToken || !bookingId) {
+      return NextResponse.json({ success: false, error: 'Missing booking or credentials' }, { status: 400 });
+    }
+
+    const isServer = Boolean(process.env.CRON_SECRET) && idToken === process.env.CRON_SECRET;
+    let uid = null;
+    if (!isServer) {
+      try {
+        ({ uid } = await getAdminAuth().verifyIdToken(idToken));
+      } catch (error) {
+        return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+      }
+    }
+
+    const bookingDoc = await getAdminDb().collection('bookings').doc(bookingId).get();
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (!booking || (!isServer && uid !== booking.customerId && uid !== booking.providerId)) {
+      return NextResponse.json({ success: false, error: 'Booking not found' }, { status: 404 });
+    }
+
+    const result = await settleBookingPayment(bookingId);
+    const status = result.queued ? 202 : result.success ? 200 : 402;
+    return NextResponse.json(result, { status });
+  } catch (error) {
+    console.error('Error settling payment:', error);
+    return NextResponse.json({ success: false, error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,28 @@
+// Pays the calling provider their available balance
+// The caller passes their Firebase ID token; the amount is worked out from
+// their bookings and earlier payouts, never taken from the request
+import { NextResponse } from 'next/server';
+import { getAdminAuth } from '@/lib/firebaseAdmin';
+import { requestPayout } from '@/lib/payoutProcessor';
+
+export async function POST(request) {
+  try {
+    const idToken = request.headers.get('authorization')?.replace(/^Bearer /, '');
+    if (!idToken) {
+      return NextResponse.json({ success: false, error: 'Missing credentials' }, { status: 400 });
+    }
+
+    let uid;
+    try {
+      ({ uid } = await getAdminAuth().verifyIdToken(idToken));
+    } catch (error) {
+      return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const result = await requestPayout(uid);
+    return NextResponse.json(result, { status: result.success ? 200 : 422 });
+  } catch (error) {
+    console.error('Error requesting payout:', error);
+    return NextResponse.json({ success: false, error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,36 @@
+// Counts a booking's outcomes towards its parties' reliability
+// The caller passes their Firebase ID token and must be the booking's customer
+// or provider. What is counted is worked out here from the booking itself,
+// never taken from the request
+import { NextResponse } from 'next/server';
+import { getAdminAuth, getAdminDb } from '@/lib/firebaseAdmin';
+import { countBookingReliability } from '@/lib/reliabilityProcessor';
+
+export async function POST(request) {
+  try {
+    const idToken = request.headers.get('authorization')?.replace(/^Bearer /, '');
+    const { bookingId } = await request.json();
+    if (!idToken || !bookingId) {
+      return NextResponse.json({ success: false, error: 'Missing booking or credentials' }, { status: 400 });
+    }
+
+    let uid;
+    try {
+      ({ uid } = await getAdminAuth().verifyIdToken(idToken));
+    } catch (error) {
+      return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const bookingDoc = await getAdminDb().collection('bookings').doc(bookingId).get();
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (!booking || (uid !== booking.customerId && uid !== booking.providerId)) {
+      return NextResponse.json({ success: false, error: 'Booking not found' }, { status: 404 });
+    }
+
+    const result = await countBookingReliability(bookingId);
+    return NextResponse.json(result, { status: result.success ? 200 : 500 });
+  } catch (error) {
+    console.error('Error counting reliability:', error);
+    return NextResponse.json({ success: false, error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,17 @@
+// Sends due appointment reminders
+// Call every 15 minutes from a scheduler (cron, Cloud Scheduler, ...) with
+// "Authorization: Bearer <CRON_SECRET>". Safe to call as often as needed:
+// each reminder is only sent once
+import { NextResponse } from 'next/server';
+import { sendDueReminders } from '@/lib/reminderScheduler';
+
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get('authorization') !== `Bearer ${secret}`) {
+    return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const origin = process.env.APP_URL || new URL(request.url).origin;
+  const result = await sendDueReminders(origin);
+  return NextResponse.json(result, { status: result.success ? 200 : 500 });
+}
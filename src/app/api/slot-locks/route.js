@@ -0,0 +1,16 @@
+// Brings slot locks in step with bookings
+// Call from a scheduler (cron, Cloud Scheduler, ...) with
+// "Authorization: Bearer <CRON_SECRET>", and once after deploying slot locks
+// so older bookings get theirs. Safe to call as often as needed
+import { NextResponse } from 'next/server';
+import { repairSlotLocks } from '@/lib/slotLockRepair';
+
+export async function POST(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get('authorization') !== `Bearer ${secret}`) {
+    return NextResponse.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const result = await repairSlotLocks();
+  return NextResponse.json(result, { status: result.success ? 200 : 500 });
+}
@@ -3,11 +3,27 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '@/contexts/AuthContext';
 import RouteGuard from '@/components/RouteGuard';
+import NotificationBell from '@/components/NotificationBell';
 import ReviewModal from '@/components/ReviewModal';
+import ReschedulePanel from '@/components/ReschedulePanel';
+import SeriesPanel from '@/components/SeriesPanel';
+import BookingChat from '@/components/BookingChat';
+import AttendancePanel from '@/components/AttendancePanel';
+import PaymentPanel from '@/components/PaymentPanel';
+import InvoicePanel from '@/components/InvoicePanel';
+import QuotePanel from '@/components/QuotePanel';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { collection, query, where, orderBy, onSnapshot } from 'firebase/firestore';
 import { db } from '@/lib/firebase';
+import { cancelBooking, expireStaleBookings, getUserProfile } from '@/lib/firestore';
+import { formatDuration } from '@/lib/availability';
+import { getNextStatuses, getStatusLabel } from '@/lib/bookingStatus';
+import { describeCancellationPolicy, getCancellationFee } from '@/lib/cancellationPolicy';
+import { getExpiryReason } from '@/lib/bookingExpiry';
+import { getTotalUnreadCount } from '@/lib/messaging';
+import { hasBeenQuoted } from '@/lib/quotes';
+import { canReviewBooking, describeReliability, getReliabilityScore } from '@/lib/reliability';
 
 export default function CustomerDashboard() {
   const { user, signOut } = useAuth();
@@ -16,9 +32,16 @@ export default function CustomerDashboard() {
   const [loading, setLoading] = useState(true);
   const [showReviewModal, setShowReviewModal] = useState(false);
   const [selectedBooking, setSelectedBooking] = useState(null);
+  const [reliability, setReliability] = useState(null);
 
   useEffect(() => {
     if (user) {
+      getUserProfile(user.uid).then(result => {
+        if (result.success) {
+          setReliability(result.data.reliability || null);
+        }
+      });
+
       // Listen to real-time updates for user's bookings
       // Temporary fix: Remove orderBy to avoid index requirement
       const bookingsQuery = query(
@@ -42,6 +65,14 @@ export default function CustomerDashboard() {
     }
   }, [user]);
 
+  // Requests the provider never answered release their slots. Checked once
+  // when the dashboard opens; expired bookings then arrive through the listener
+  useEffect(() => {
+    if (user?.uid) {
+      expireStaleBookings();
+    }
+  }, [user?.uid]);
+
   const handleSignOut = async () => {
     try {
       await signOut();
@@ -60,6 +91,21 @@ export default function CustomerDashboard() {
     ));
   };
 
+  const handleCancelBooking = async (booking) => {
+    const { isLate, fee } = getCancellationFee(booking);
+    const warning = isLate
+      ? `This is a late cancellation. A fee of $${fee.toFixed(2)} applies under the provider's policy.`
+      : 'You will not be charged for cancelling.';
+    if (!window.confirm(`Cancel this booking?\n\n${warning}`)) {
+      return;
+    }
+
+    const result = await cancelBooking(booking.id, { uid: user.uid, role: 'customer' });
+    if (!result.success) {
+      alert(result.error || 'Failed to cancel booking. Please try again.');
+    }
+  };
+
   const openReviewModal = (booking) => {
     setSelectedBooking(booking);
     setShowReviewModal(true);
@@ -69,7 +115,11 @@ export default function CustomerDashboard() {
     switch (status) {
       case 'pending': return 'bg-yellow-100 text-yellow-800';
       case 'confirmed': return 'bg-green-100 text-green-800';
+      case 'in-progress': return 'bg-indigo-100 text-indigo-800';
       case 'rejected': return 'bg-red-100 text-red-800';
+      case 'cancelled': return 'bg-red-100 text-red-800';
+      case 'expired': return 'bg-gray-200 text-gray-700';
+      case 'no-show': return 'bg-orange-100 text-orange-800';
       case 'completed': return 'bg-blue-100 text-blue-800';
       default: return 'bg-gray-100 text-gray-800';
     }
@@ -89,6 +139,7 @@ export default function CustomerDashboard() {
               </div>
               <div className="flex items-center space-x-4">
                 <span className="text-gray-700">Welcome, {user?.displayName || user?.email}</span>
+                <NotificationBell />
                 <Link
                   href="/services"
                   className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
@@ -114,7 +165,7 @@ export default function CustomerDashboard() {
           </div>
 
           {/* Quick Actions */}
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
             <Link href="/services" className="group">
               <div className="bg-white p-6 rounded-lg shadow hover:shadow-lg group-hover:scale-105 transform transition-all duration-200">
                 <div className="flex items-center">
@@ -156,6 +207,21 @@ export default function CustomerDashboard() {
                 </div>
               </div>
             </div>
+
+            <div className="bg-white p-6 rounded-lg shadow">
+              <div className="flex items-center">
+                <div className="w-12 h-12 bg-orange-100 rounded-lg flex items-center justify-center">
+                  <span className="text-2xl">🕒</span>
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-medium text-gray-900">Reliability</h3>
+                  <p className="text-2xl font-bold text-orange-600">
+                    {getReliabilityScore(reliability) !== null ? `${getReliabilityScore(reliability)}%` : 'N/A'}
+                  </p>
+                  <p className="text-xs text-gray-500">{describeReliability(reliability)}</p>
+                </div>
+              </div>
+            </div>
           </div>
 
           {/* Recent Bookings */}
@@ -163,6 +229,11 @@ export default function CustomerDashboard() {
             <div className="px-4 py-5 sm:px-6">
               <h3 className="text-lg leading-6 font-medium text-gray-900">
                 Your Bookings
+                {getTotalUnreadCount(bookings, 'customer') > 0 && (
+                  <span className="ml-3 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                    {getTotalUnreadCount(bookings, 'customer')} unread messages
+                  </span>
+                )}
               </h3>
               <p className="mt-1 max-w-2xl text-sm text-gray-500">
                 Recent service bookings and their status
@@ -202,11 +273,22 @@ export default function CustomerDashboard() {
                           </div>
                           <div className="ml-4">
                             <div className="text-sm font-medium text-gray-900">
-                              {booking.serviceType} - {booking.providerName}
+                              {booking.serviceType}{booking.offeringName && ` (${booking.offeringName})`} - {booking.providerName}
                             </div>
                             <div className="text-sm text-gray-500">
                               {booking.scheduledDate} at {booking.scheduledTime}
+                              {booking.duration && ` (${formatDuration(booking.duration)})`}
                             </div>
+                            {booking.staffName && (
+                              <div className="text-sm text-gray-500">
+                                With {booking.staffName}
+                              </div>
+                            )}
+                            {booking.status === 'pending' && booking.responseDeadline && !hasBeenQuoted(booking) && (
+                              <div className="text-sm text-yellow-700">
+                                Awaiting the provider&apos;s reply until {new Date(booking.responseDeadline).toLocaleString()}
+                              </div>
+                            )}
                             {booking.description && (
                               <div className="text-sm text-gray-500 mt-1">
                                 {booking.description}
@@ -216,17 +298,73 @@ export default function CustomerDashboard() {
                         </div>
                         <div className="flex items-center space-x-4">
                           <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(booking.status)}`}>
-                            {booking.status.charAt(0).toUpperCase() + booking.status.slice(1)}
+                            {getStatusLabel(booking.status)}
                           </span>
                           {booking.totalPrice && (
-                            <div className="text-sm font-medium text-gray-900">
+                            <div className="text-sm font-medium text-gray-900 text-right">
                               ${booking.totalPrice}
+                              {booking.promo && (
+                                <p className="text-xs font-normal text-green-600">
+                                  {booking.promo.code}: -${booking.discount.toFixed(2)}
+                                </p>
+                              )}
                             </div>
                           )}
                         </div>
                       </div>
                       
-                      {booking.status === 'completed' && !booking.customerReview && (
+                      {!booking.seriesId && getNextStatuses(booking.status, 'customer').includes('cancelled') && (
+                        <div className="mt-4 flex items-center justify-between">
+                          <p className="text-xs text-gray-500">
+                            {describeCancellationPolicy(booking.cancellationPolicy)}
+                          </p>
+                          <button 
+                            onClick={() => handleCancelBooking(booking)}
+                            className="text-sm bg-white text-red-600 border border-red-300 px-4 py-2 rounded-md hover:bg-red-50 transition-colors"
+                          >
+                            Cancel Booking
+                          </button>
+                        </div>
+                      )}
+
+                      <div className="mt-4 flex justify-end">
+                        <BookingChat booking={booking} role="customer" />
+                      </div>
+
+                      <QuotePanel booking={booking} role="customer" />
+
+                      <SeriesPanel booking={booking} role="customer" />
+
+                      <ReschedulePanel booking={booking} role="customer" />
+
+                      <AttendancePanel booking={booking} role="customer" />
+
+                      <PaymentPanel booking={booking} role="customer" />
+
+                      <InvoicePanel booking={booking} role="customer" />
+
+                      {booking.status === 'expired' && (
+                        <div className="mt-4 flex items-center justify-between">
+                          <p className="text-sm text-gray-600">
+                            {getExpiryReason(booking)} Your time slot has been released.
+                          </p>
+                          <Link
+                            href={`/providers/${booking.providerId}`}
+                            className="text-sm bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                          >
+                            Book Again
+                          </Link>
+                        </div>
+                      )}
+
+                      {booking.status === 'cancelled' && (
+                        <div className="mt-4 text-sm text-gray-600">
+                          Cancelled by {booking.cancelledBy === 'customer' ? 'you' : 'the provider'}
+                          {booking.cancellationFee > 0 && ` - cancellation fee $${booking.cancellationFee.toFixed(2)}`}
+                        </div>
+                      )}
+
+                      {canReviewBooking(booking) && (
                         <div className="mt-4 flex justify-end">
                           <button 
                             onClick={() => openReviewModal(booking)}
@@ -245,6 +383,9 @@ export default function CustomerDashboard() {
                               {'☆'.repeat(5 - booking.customerReview.rating)}
                             </span>
                             <span className="ml-2 text-sm text-gray-600">Your Review</span>
+                            {booking.tip > 0 && (
+                              <span className="ml-auto text-sm text-green-600">You tipped ${booking.tip.toFixed(2)}</span>
+                            )}
                           </div>
                           {booking.customerReview.comment && (
                             <p className="text-sm text-gray-700">{booking.customerReview.comment}</p>
@@ -3,10 +3,24 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '@/contexts/AuthContext';
 import RouteGuard from '@/components/RouteGuard';
+import NotificationBell from '@/components/NotificationBell';
+import ReschedulePanel from '@/components/ReschedulePanel';
+import SeriesPanel from '@/components/SeriesPanel';
+import BookingChat from '@/components/BookingChat';
+import AttendancePanel from '@/components/AttendancePanel';
+import PaymentPanel from '@/components/PaymentPanel';
+import InvoicePanel from '@/components/InvoicePanel';
+import QuotePanel from '@/components/QuotePanel';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
-import { collection, query, where, orderBy, onSnapshot, doc, getDoc, updateDoc } from 'firebase/firestore';
+import { collection, query, where, orderBy, onSnapshot, doc, getDoc } from 'firebase/firestore';
 import { db } from '@/lib/firebase';
+import { expireStaleBookings, updateBookingStatus } from '@/lib/firestore';
+import { formatDuration } from '@/lib/availability';
+import { getStatusLabel } from '@/lib/bookingStatus';
+import { getPendingQuote, hasBeenQuoted } from '@/lib/quotes';
+import { getTotalUnreadCount } from '@/lib/messaging';
+import { describeReliability, getReliabilityScore } from '@/lib/reliability';
 
 export default function ProviderDashboard() {
   const { user, signOut } = useAuth();
@@ -79,6 +93,14 @@ export default function ProviderDashboard() {
     }
   }, [user]);
 
+  // Requests left unanswered too long release their slots. Checked once when
+  // the dashboard opens; expired bookings then arrive through the listener
+  useEffect(() => {
+    if (user?.uid) {
+      expireStaleBookings();
+    }
+  }, [user?.uid]);
+
   const handleSignOut = async () => {
     try {
       await signOut();
@@ -88,12 +110,15 @@ export default function ProviderDashboard() {
     }
   };
 
+  // Status changes made from this dashboard are recorded against the provider
+  const providerActor = { uid: user?.uid, role: 'provider' };
+
   const handleAcceptBooking = async (bookingId) => {
     try {
-      await updateDoc(doc(db, 'bookings', bookingId), {
-        status: 'confirmed',
-        confirmedAt: new Date().toISOString()
-      });
+      const result = await updateBookingStatus(bookingId, 'confirmed', providerActor);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
     } catch (error) {
       console.error('Error accepting booking:', error);
       alert('Failed to accept booking. Please try again.');
@@ -102,22 +127,34 @@ export default function ProviderDashboard() {
 
   const handleDeclineBooking = async (bookingId) => {
     try {
-      await updateDoc(doc(db, 'bookings', bookingId), {
-        status: 'rejected',
-        rejectedAt: new Date().toISOString()
-      });
+      const result = await updateBookingStatus(bookingId, 'rejected', providerActor);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
     } catch (error) {
       console.error('Error declining booking:', error);
       alert('Failed to decline booking. Please try again.');
     }
   };
 
+  const handleStartBooking = async (bookingId) => {
+    try {
+      const result = await updateBookingStatus(bookingId, 'in-progress', providerActor);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Error starting booking:', error);
+      alert('Failed to start booking. Please try again.');
+    }
+  };
+
   const handleCompleteBooking = async (bookingId) => {
     try {
-      await updateDoc(doc(db, 'bookings', bookingId), {
-        status: 'completed',
-        completedAt: new Date().toISOString()
-      });
+      const result = await updateBookingStatus(bookingId, 'completed', providerActor);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
     } catch (error) {
       console.error('Error completing booking:', error);
       alert('Failed to complete booking. Please try again.');
@@ -128,7 +165,11 @@ export default function ProviderDashboard() {
     switch (status) {
       case 'pending': return 'bg-yellow-100 text-yellow-800';
       case 'confirmed': return 'bg-green-100 text-green-800';
+      case 'in-progress': return 'bg-indigo-100 text-indigo-800';
       case 'rejected': return 'bg-red-100 text-red-800';
+      case 'cancelled': return 'bg-red-100 text-red-800';
+      case 'expired': return 'bg-gray-200 text-gray-700';
+      case 'no-show': return 'bg-orange-100 text-orange-800';
       case 'completed': return 'bg-blue-100 text-blue-800';
       default: return 'bg-gray-100 text-gray-800';
     }
@@ -148,6 +189,7 @@ export default function ProviderDashboard() {
               </div>
               <div className="flex items-center space-x-4">
                 <span className="text-gray-700">Welcome, {user?.displayName || user?.email}</span>
+                <NotificationBell />
                 <Link
                   href="/provider/profile"
                   className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
@@ -173,7 +215,7 @@ export default function ProviderDashboard() {
           </div>
 
           {/* Stats Cards */}
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-6 mb-8">
             <div className="bg-white p-6 rounded-lg shadow">
               <div className="flex items-center">
                 <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
@@ -223,10 +265,25 @@ export default function ProviderDashboard() {
                 </div>
               </div>
             </div>
+
+            <div className="bg-white p-6 rounded-lg shadow">
+              <div className="flex items-center">
+                <div className="w-12 h-12 bg-orange-100 rounded-lg flex items-center justify-center">
+                  <span className="text-2xl">🕒</span>
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-medium text-gray-900">Reliability</h3>
+                  <p className="text-2xl font-bold text-orange-600">
+                    {getReliabilityScore(profile?.reliability) !== null ? `${getReliabilityScore(profile.reliability)}%` : 'N/A'}
+                  </p>
+                  <p className="text-xs text-gray-500">{describeReliability(profile?.reliability)}</p>
+                </div>
+              </div>
+            </div>
           </div>
 
           {/* Quick Actions */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
             <Link href="/provider/profile" className="group">
               <div className="bg-white p-6 rounded-lg shadow hover:shadow-lg group-hover:scale-105 transform transition-all duration-200">
                 <div className="flex items-center">
@@ -258,6 +315,38 @@ export default function ProviderDashboard() {
                 </div>
               </div>
             </Link>
+
+            <Link href="/provider/earnings" className="group">
+              <div className="bg-white p-6 rounded-lg shadow hover:shadow-lg group-hover:scale-105 transform transition-all duration-200">
+                <div className="flex items-center">
+                  <div className="w-12 h-12 bg-purple-100 rounded-lg flex items-center justify-center">
+                    <span className="text-2xl">💰</span>
+                  </div>
+                  <div className="ml-4">
+                    <h3 className="text-lg font-medium text-gray-900 group-hover:text-purple-600">
+                      Earnings
+                    </h3>
+                    <p className="text-gray-600">See your balance, ledger and payouts</p>
+                  </div>
+                </div>
+              </div>
+            </Link>
+
+            <Link href="/provider/promotions" className="group">
+              <div className="bg-white p-6 rounded-lg shadow hover:shadow-lg group-hover:scale-105 transform transition-all duration-200">
+                <div className="flex items-center">
+                  <div className="w-12 h-12 bg-pink-100 rounded-lg flex items-center justify-center">
+                    <span className="text-2xl">🏷️</span>
+                  </div>
+                  <div className="ml-4">
+                    <h3 className="text-lg font-medium text-gray-900 group-hover:text-pink-600">
+                      Promotions
+                    </h3>
+                    <p className="text-gray-600">Offer discount codes to customers</p>
+                  </div>
+                </div>
+              </div>
+            </Link>
           </div>
 
           {/* Profile Status */}
@@ -292,6 +381,11 @@ export default function ProviderDashboard() {
             <div className="px-4 py-5 sm:px-6">
               <h3 className="text-lg leading-6 font-medium text-gray-900">
                 Recent Bookings
+                {getTotalUnreadCount(bookings, 'provider') > 0 && (
+                  <span className="ml-3 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                    {getTotalUnreadCount(bookings, 'provider')} unread messages
+                  </span>
+                )}
               </h3>
               <p className="mt-1 max-w-2xl text-sm text-gray-500">
                 Recent service requests and their status
@@ -331,11 +425,22 @@ export default function ProviderDashboard() {
                           </div>
                           <div className="ml-4">
                             <div className="text-sm font-medium text-gray-900">
-                              {booking.serviceType} - {booking.customerName}
+                              {booking.serviceType}{booking.offeringName && ` (${booking.offeringName})`} - {booking.customerName}
                             </div>
                             <div className="text-sm text-gray-500">
                               {booking.scheduledDate} at {booking.scheduledTime}
+                              {booking.duration && ` (${formatDuration(booking.duration)})`}
                             </div>
+                            {booking.staffName && (
+                              <div className="text-sm text-gray-500">
+                                With {booking.staffName}
+                              </div>
+                            )}
+                            {booking.status === 'pending' && booking.responseDeadline && !hasBeenQuoted(booking) && (
+                              <div className="text-sm text-yellow-700">
+                                Respond by {new Date(booking.responseDeadline).toLocaleString()}
+                              </div>
+                            )}
                             {booking.description && (
                               <div className="text-sm text-gray-500 mt-1">
                                 {booking.description}
@@ -345,11 +450,16 @@ export default function ProviderDashboard() {
                         </div>
                         <div className="flex items-center space-x-4">
                           <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(booking.status)}`}>
-                            {booking.status.charAt(0).toUpperCase() + booking.status.slice(1)}
+                            {getStatusLabel(booking.status)}
                           </span>
                           {booking.totalPrice && (
-                            <div className="text-sm font-medium text-gray-900">
+                            <div className="text-sm font-medium text-gray-900 text-right">
                               ${booking.totalPrice}
+                              {booking.promo && (
+                                <p className="text-xs font-normal text-green-600">
+                                  {booking.promo.code}: -${booking.discount.toFixed(2)}
+                                </p>
+                              )}
                             </div>
                           )}
                         </div>
@@ -357,12 +467,14 @@ export default function ProviderDashboard() {
                       
                       {booking.status === 'pending' && (
                         <div className="mt-4 flex justify-end space-x-2">
-                          <button 
-                            onClick={() => handleAcceptBooking(booking.id)}
-                            className="text-sm bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 transition-colors"
-                          >
-                            Accept
-                          </button>
+                          {!getPendingQuote(booking) && (
+                            <button 
+                              onClick={() => handleAcceptBooking(booking.id)}
+                              className="text-sm bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 transition-colors"
+                            >
+                              Accept
+                            </button>
+                          )}
                           <button 
                             onClick={() => handleDeclineBooking(booking.id)}
                             className="text-sm bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 transition-colors"
@@ -373,6 +485,17 @@ export default function ProviderDashboard() {
                       )}
 
                       {booking.status === 'confirmed' && (
+                        <div className="mt-4 flex justify-end">
+                          <button 
+                            onClick={() => handleStartBooking(booking.id)}
+                            className="text-sm bg-indigo-600 text-white px-4 py-2 rounded-md hover:bg-indigo-700 transition-colors"
+                          >
+                            Start Job
+                          </button>
+                        </div>
+                      )}
+
+                      {booking.status === 'in-progress' && (
                         <div className="mt-4 flex justify-end">
                           <button 
                             onClick={() => handleCompleteBooking(booking.id)}
@@ -383,6 +506,22 @@ export default function ProviderDashboard() {
                         </div>
                       )}
 
+                      <div className="mt-4 flex justify-end">
+                        <BookingChat booking={booking} role="provider" />
+                      </div>
+
+                      <QuotePanel booking={booking} role="provider" />
+
+                      <SeriesPanel booking={booking} role="provider" />
+
+                      <ReschedulePanel booking={booking} role="provider" />
+
+                      <AttendancePanel booking={booking} role="provider" />
+
+                      <PaymentPanel booking={booking} role="provider" />
+
+                      <InvoicePanel booking={booking} role="provider" />
+
                       {booking.customerReview && (
                         <div className="mt-4 p-3 bg-gray-50 rounded-md">
                           <div className="flex items-center mb-2">
@@ -393,6 +532,9 @@ export default function ProviderDashboard() {
                             <span className="ml-2 text-sm text-gray-600">
                               Review from {booking.customerName}
                             </span>
+                            {booking.tip > 0 && (
+                              <span className="ml-auto text-sm text-green-600">Tip: ${booking.tip.toFixed(2)}</span>
+                            )}
                           </div>
                           <p className="text-sm text-gray-700">{booking.customerReview.comment}</p>
                         </div>
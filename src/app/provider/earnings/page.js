@@ -0,0 +1,257 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import RouteGuard from '@/components/RouteGuard';
+import NotificationBell from '@/components/NotificationBell';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { collection, query, where, onSnapshot, doc, getDoc } from 'firebase/firestore';
+import { db } from '@/lib/firebase';
+import { requestPayout } from '@/lib/firestore';
+import { getProviderTimeZone } from '@/lib/timezone';
+import {
+  EARNINGS_PERIODS,
+  LEDGER_ENTRY_LABELS,
+  formatPeriodLabel,
+  getEarningsBalances,
+  getEarningsByPeriod,
+  getLedgerEntries
+} from '@/lib/earnings';
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
+// Most ledger entries listed at once
+const LEDGER_PAGE_SIZE = 50;
+
+export default function ProviderEarnings() {
+  const { user, signOut } = useAuth();
+  const router = useRouter();
+  const [bookings, setBookings] = useState([]);
+  const [payouts, setPayouts] = useState([]);
+  const [timeZone, setTimeZone] = useState(getProviderTimeZone(null));
+  const [period, setPeriod] = useState('month');
+  const [loading, setLoading] = useState(true);
+  const [requesting, setRequesting] = useState(false);
+
+  useEffect(() => {
+    if (user) {
+      getDoc(doc(db, 'providers', user.uid))
+        .then(profileDoc => setTimeZone(getProviderTimeZone(profileDoc.exists() ? profileDoc.data() : null)))
+        .catch(error => console.error('Error fetching profile:', error));
+
+      const unsubscribeBookings = onSnapshot(
+        query(collection(db, 'bookings'), where('providerId', '==', user.uid)),
+        (snapshot) => {
+          setBookings(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+          setLoading(false);
+        }
+      );
+      const unsubscribePayouts = onSnapshot(
+        query(collection(db, 'payouts'), where('providerId', '==', user.uid)),
+        (snapshot) => {
+          setPayouts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }
+      );
+
+      return () => {
+        unsubscribeBookings();
+        unsubscribePayouts();
+      };
+    }
+  }, [user]);
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      router.push('/');
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
+
+  const entries = getLedgerEntries(bookings, payouts);
+  const balances = getEarningsBalances(entries);
+  const periods = getEarningsByPeriod(entries, period, timeZone);
+
+  const handleRequestPayout = async () => {
+    if (!window.confirm(`Pay out your available balance of ${formatMoney(balances.available)}?`)) {
+      return;
+    }
+
+    setRequesting(true);
+    try {
+      const result = await requestPayout();
+      if (result.success) {
+        alert(`${formatMoney(result.amount)} is on its way to your account.`);
+      } else {
+        alert(result.error || 'Failed to request a payout. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error requesting payout:', error);
+      alert('Failed to request a payout. Please try again.');
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  const balanceCards = [
+    { label: 'Available', value: balances.available, icon: '💰', iconClass: 'bg-green-100', valueClass: 'text-green-600', note: 'Ready to pay out' },
+    { label: 'Pending', value: balances.pending, icon: '⏳', iconClass: 'bg-yellow-100', valueClass: 'text-yellow-600', note: 'On bookings still under way' },
+    { label: 'Paid Out', value: balances.paidOut, icon: '🏦', iconClass: 'bg-blue-100', valueClass: 'text-blue-600', note: 'Sent to your account' },
+    { label: 'Lifetime Earnings', value: balances.lifetimeNet, icon: '📈', iconClass: 'bg-purple-100', valueClass: 'text-purple-600', note: 'Including tips, after commission and refunds' }
+  ];
+
+  return (
+    <RouteGuard allowedRoles={['provider']}>
+      <div className="min-h-screen bg-gray-50">
+        {/* Navigation */}
+        <nav className="bg-white shadow-lg">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="flex justify-between h-16">
+              <div className="flex items-center">
+                <Link href="/" className="text-2xl font-bold text-blue-600">
+                  ServiceHub
+                </Link>
+              </div>
+              <div className="flex items-center space-x-4">
+                <span className="text-gray-700">Welcome, {user?.displayName || user?.email}</span>
+                <NotificationBell />
+                <Link
+                  href="/provider/dashboard"
+                  className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                >
+                  Dashboard
+                </Link>
+                <button
+                  onClick={handleSignOut}
+                  className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+                >
+                  Sign Out
+                </button>
+              </div>
+            </div>
+          </div>
+        </nav>
+
+        <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+          {/* Header */}
+          <div className="px-4 py-6 sm:px-0 flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Earnings</h1>
+              <p className="mt-2 text-gray-600">Payments and tips from your bookings, less platform commission and refunds</p>
+            </div>
+            <button
+              onClick={handleRequestPayout}
+              disabled={requesting || balances.available <= 0}
+              className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {requesting ? 'Requesting...' : 'Request Payout'}
+            </button>
+          </div>
+
+          {/* Balances */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+            {balanceCards.map(card => (
+              <div key={card.label} className="bg-white p-6 rounded-lg shadow">
+                <div className="flex items-center">
+                  <div className={`w-12 h-12 ${card.iconClass} rounded-lg flex items-center justify-center`}>
+                    <span className="text-2xl">{card.icon}</span>
+                  </div>
+                  <div className="ml-4">
+                    <h3 className="text-lg font-medium text-gray-900">{card.label}</h3>
+                    <p className={`text-2xl font-bold ${card.valueClass}`}>{formatMoney(card.value)}</p>
+                    <p className="text-xs text-gray-500">{card.note}</p>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <>
+              {/* Earnings by period */}
+              <div className="bg-white shadow rounded-lg mb-8">
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                  <h2 className="text-lg font-medium text-gray-900">Earnings by Period</h2>
+                  <select
+                    value={period}
+                    onChange={(e) => setPeriod(e.target.value)}
+                    className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+                  >
+                    {Object.entries(EARNINGS_PERIODS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                {periods.length === 0 ? (
+                  <p className="px-6 py-8 text-center text-gray-500">No earnings yet.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                      <thead className="bg-gray-50 text-gray-500">
+                        <tr>
+                          <th className="px-6 py-3 text-left font-medium">Period</th>
+                          <th className="px-6 py-3 text-right font-medium">Payments</th>
+                          <th className="px-6 py-3 text-right font-medium">Tips</th>
+                          <th className="px-6 py-3 text-right font-medium">Commission</th>
+                          <th className="px-6 py-3 text-right font-medium">Refunds</th>
+                          <th className="px-6 py-3 text-right font-medium">Net</th>
+                          <th className="px-6 py-3 text-right font-medium">Payouts</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200 text-gray-700">
+                        {periods.map(totals => (
+                          <tr key={totals.key}>
+                            <td className="px-6 py-3">{formatPeriodLabel(totals.key, period)}</td>
+                            <td className="px-6 py-3 text-right">{formatMoney(totals.earnings)}</td>
+                            <td className="px-6 py-3 text-right">{formatMoney(totals.tips)}</td>
+                            <td className="px-6 py-3 text-right">{formatMoney(totals.commission)}</td>
+                            <td className="px-6 py-3 text-right">{formatMoney(totals.refunds)}</td>
+                            <td className="px-6 py-3 text-right font-medium text-gray-900">{formatMoney(totals.net)}</td>
+                            <td className="px-6 py-3 text-right">{formatMoney(totals.payouts)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+
+              {/* Ledger */}
+              <div className="bg-white shadow rounded-lg">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h2 className="text-lg font-medium text-gray-900">Ledger</h2>
+                </div>
+                {entries.length === 0 ? (
+                  <p className="px-6 py-8 text-center text-gray-500">Payments will appear here once customers pay for your bookings.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200">
+                    {entries.slice(0, LEDGER_PAGE_SIZE).map(entry => (
+                      <li key={entry.id} className="px-6 py-3 flex items-center justify-between text-sm">
+                        <div>
+                          <p className="font-medium text-gray-900">
+                            {LEDGER_ENTRY_LABELS[entry.type]}
+                            {entry.pending && <span className="ml-2 text-xs text-yellow-700 bg-yellow-100 px-2 py-0.5 rounded-full">Pending</span>}
+                          </p>
+                          <p className="text-gray-500">{entry.description} · {new Date(entry.at).toLocaleDateString()}</p>
+                        </div>
+                        <p className={`font-medium ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          {formatMoney(entry.amount)}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </RouteGuard>
+  );
+}
@@ -7,11 +7,38 @@ import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
 import { db } from '@/lib/firebase';
+import { getLocalTimeZone, getSupportedTimeZones } from '@/lib/timezone';
+import { getServiceDuration, normalizeDayAvailability, validateDayAvailability, validateAvailabilityException } from '@/lib/availability';
+import { DEFAULT_RESPONSE_WINDOW_HOURS } from '@/lib/bookingExpiry';
+import { MAX_OFFERING_DURATION, MIN_OFFERING_DURATION, PRICING_MODELS, validateOffering } from '@/lib/catalog';
+import { DEFAULT_DEPOSIT_PERCENT } from '@/lib/payments';
+import { DEFAULT_INVOICE_PREFIX, formatInvoiceNumber } from '@/lib/invoices';
+import { v4 as uuidv4 } from 'uuid';
 
 const serviceCategories = [
   'electrician', 'tutor', 'cleaner', 'plumber', 'gardener', 'painter'
 ];
 
+const defaultInterval = { startTime: '09:00', endTime: '17:00' };
+const defaultBreak = { startTime: '12:00', endTime: '13:00' };
+
+const emptyException = {
+  type: 'closed',
+  startDate: '',
+  endDate: '',
+  date: '',
+  startTime: '09:00',
+  endTime: '13:00',
+  reason: ''
+};
+
+// Convert every day of a stored schedule to the intervals/breaks shape
+const normalizeAvailability = (availability) => {
+  return Object.fromEntries(
+    Object.entries(availability).map(([day, dayAvailability]) => [day, normalizeDayAvailability(dayAvailability)])
+  );
+};
+
 export default function ProviderProfile() {
   const { user, signOut } = useAuth();
   const router = useRouter();
@@ -24,19 +51,40 @@ export default function ProviderProfile() {
     pricing: {
       averagePrice: ''
     },
+    catalog: [],
+    timezone: getLocalTimeZone(),
+    bufferBefore: 0,
+    bufferAfter: 0,
+    serviceBuffers: {},
+    minNoticeHours: 0,
+    maxAdvanceDays: '',
+    responseWindowHours: DEFAULT_RESPONSE_WINDOW_HOURS,
+    cancellationPolicy: {
+      freeCancellationHours: 24,
+      lateCancellationFeePercent: 0
+    },
+    depositPercent: DEFAULT_DEPOSIT_PERCENT,
+    businessAddress: '',
+    taxId: '',
+    invoicePrefix: DEFAULT_INVOICE_PREFIX,
+    availabilityExceptions: [],
+    staff: [],
     availability: {
-      0: { available: false, startTime: '09:00', endTime: '17:00' }, // Sunday
-      1: { available: true, startTime: '09:00', endTime: '17:00' },  // Monday
-      2: { available: true, startTime: '09:00', endTime: '17:00' },  // Tuesday
-      3: { available: true, startTime: '09:00', endTime: '17:00' },  // Wednesday
-      4: { available: true, startTime: '09:00', endTime: '17:00' },  // Thursday
-      5: { available: true, startTime: '09:00', endTime: '17:00' },  // Friday
-      6: { available: false, startTime: '09:00', endTime: '17:00' }  // Saturday
+      0: { available: false, intervals: [defaultInterval], breaks: [] }, // Sunday
+      1: { available: true, intervals: [defaultInterval], breaks: [] },  // Monday
+      2: { available: true, intervals: [defaultInterval], breaks: [] },  // Tuesday
+      3: { available: true, intervals: [defaultInterval], breaks: [] },  // Wednesday
+      4: { available: true, intervals: [defaultInterval], breaks: [] },  // Thursday
+      5: { available: true, intervals: [defaultInterval], breaks: [] },  // Friday
+      6: { available: false, intervals: [defaultInterval], breaks: [] }  // Saturday
     }
   });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState('');
+  const [newException, setNewException] = useState(emptyException);
+  const [exceptionError, setExceptionError] = useState('');
+  const [newStaffName, setNewStaffName] = useState('');
 
   useEffect(() => {
     if (user) {
@@ -49,7 +97,11 @@ export default function ProviderProfile() {
       const providerDoc = await getDoc(doc(db, 'providers', user.uid));
       if (providerDoc.exists()) {
         const data = providerDoc.data();
-        setProfile(prev => ({ ...prev, ...data }));
+        setProfile(prev => ({
+          ...prev,
+          ...data,
+          availability: normalizeAvailability(data.availability || prev.availability)
+        }));
       } else {
         // Initialize with user data from auth context
         setProfile(prev => ({
@@ -75,11 +127,11 @@ export default function ProviderProfile() {
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
-    if (name.startsWith('pricing.')) {
-      const field = name.split('.')[1];
+    if (name.includes('.')) {
+      const [group, field] = name.split('.');
       setProfile(prev => ({
         ...prev,
-        pricing: { ...prev.pricing, [field]: value }
+        [group]: { ...prev[group], [field]: value }
       }));
     } else {
       setProfile(prev => ({ ...prev, [name]: value }));
@@ -108,14 +160,237 @@ export default function ProviderProfile() {
     }));
   };
 
+  // listName is 'intervals' or 'breaks'
+  const handleRangeChange = (day, listName, rangeIndex, field, value) => {
+    setProfile(prev => ({
+      ...prev,
+      availability: {
+        ...prev.availability,
+        [day]: {
+          ...prev.availability[day],
+          [listName]: prev.availability[day][listName].map((range, i) =>
+            i === rangeIndex ? { ...range, [field]: value } : range
+          )
+        }
+      }
+    }));
+  };
+
+  const handleAddRange = (day, listName) => {
+    const lastRange = profile.availability[day][listName].slice(-1)[0];
+    const newRange = listName === 'breaks'
+      ? defaultBreak
+      : { startTime: lastRange?.endTime || defaultInterval.startTime, endTime: defaultInterval.endTime };
+
+    setProfile(prev => ({
+      ...prev,
+      availability: {
+        ...prev.availability,
+        [day]: {
+          ...prev.availability[day],
+          [listName]: [...prev.availability[day][listName], newRange]
+        }
+      }
+    }));
+  };
+
+  const handleRemoveRange = (day, listName, rangeIndex) => {
+    setProfile(prev => ({
+      ...prev,
+      availability: {
+        ...prev.availability,
+        [day]: {
+          ...prev.availability[day],
+          [listName]: prev.availability[day][listName].filter((_, i) => i !== rangeIndex)
+        }
+      }
+    }));
+  };
+
+  // Empty per-service fields fall back to the provider-wide buffer
+  const handleServiceBufferChange = (service, field, value) => {
+    setProfile(prev => {
+      const serviceBuffers = { ...prev.serviceBuffers };
+      const buffers = { ...serviceBuffers[service] };
+      if (value === '') {
+        delete buffers[field];
+      } else {
+        buffers[field] = Number(value);
+      }
+
+      if (Object.keys(buffers).length > 0) {
+        serviceBuffers[service] = buffers;
+      } else {
+        delete serviceBuffers[service];
+      }
+      return { ...prev, serviceBuffers };
+    });
+  };
+
+  const handleExceptionChange = (e) => {
+    const { name, value } = e.target;
+    setNewException(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddException = () => {
+    const { type, startDate, endDate, date, startTime, endTime, reason } = newException;
+    const exception = type === 'closed'
+      ? { id: uuidv4(), type, startDate, endDate: endDate || startDate, reason }
+      : { id: uuidv4(), type, date, intervals: [{ startTime, endTime }], reason };
+
+    const error = validateAvailabilityException(exception);
+    if (error) {
+      setExceptionError(error);
+      return;
+    }
+
+    setExceptionError('');
+    setProfile(prev => ({
+      ...prev,
+      availabilityExceptions: [...(prev.availabilityExceptions || []), exception]
+        .sort((a, b) => (a.startDate || a.date).localeCompare(b.startDate || b.date))
+    }));
+    setNewException(emptyException);
+  };
+
+  const handleRemoveException = (exceptionId) => {
+    setProfile(prev => ({
+      ...prev,
+      availabilityExceptions: prev.availabilityExceptions.filter(exception => exception.id !== exceptionId)
+    }));
+  };
+
+  const handleAddOffering = (category) => {
+    setProfile(prev => ({
+      ...prev,
+      catalog: [...(prev.catalog || []), {
+        id: uuidv4(),
+        category,
+        name: '',
+        pricingModel: 'fixed',
+        price: '',
+        duration: getServiceDuration(category)
+      }]
+    }));
+  };
+
+  const handleOfferingChange = (offeringId, field, value) => {
+    setProfile(prev => ({
+      ...prev,
+      catalog: prev.catalog.map(offering => offering.id === offeringId ? { ...offering, [field]: value } : offering)
+    }));
+  };
+
+  const handleRemoveOffering = (offeringId) => {
+    setProfile(prev => ({
+      ...prev,
+      catalog: prev.catalog.filter(offering => offering.id !== offeringId)
+    }));
+  };
+
+  const handleAddStaff = () => {
+    const name = newStaffName.trim();
+    if (!name) {
+      return;
+    }
+
+    setProfile(prev => ({
+      ...prev,
+      staff: [...(prev.staff || []), { id: uuidv4(), name, availability: null }]
+    }));
+    setNewStaffName('');
+  };
+
+  const handleStaffChange = (staffId, changes) => {
+    setProfile(prev => ({
+      ...prev,
+      staff: prev.staff.map(member => member.id === staffId ? { ...member, ...changes } : member)
+    }));
+  };
+
+  const handleRemoveStaff = (staffId) => {
+    setProfile(prev => ({
+      ...prev,
+      staff: prev.staff.filter(member => member.id !== staffId)
+    }));
+  };
+
+  // Staff follow the business hours until given their own schedule of one shift per day
+  const handleToggleStaffSchedule = (member) => {
+    const availability = member.availability ? null : Object.fromEntries(
+      Object.entries(profile.availability).map(([day, dayAvailability]) => [day, {
+        available: dayAvailability.available,
+        intervals: [dayAvailability.intervals[0] || defaultInterval],
+        breaks: []
+      }])
+    );
+    handleStaffChange(member.id, { availability });
+  };
+
+  const handleStaffDayChange = (member, day, field, value) => {
+    const dayAvailability = member.availability[day];
+    const updatedDay = field === 'available'
+      ? { ...dayAvailability, available: value }
+      : { ...dayAvailability, intervals: [{ ...dayAvailability.intervals[0], [field]: value }] };
+    handleStaffChange(member.id, { availability: { ...member.availability, [day]: updatedDay } });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setSaving(true);
     setMessage('');
 
+    const invalidDay = dayNames.findIndex((_, day) => validateDayAvailability(profile.availability[day]));
+    if (invalidDay !== -1) {
+      setMessage(`Error: ${dayNames[invalidDay]} - ${validateDayAvailability(profile.availability[invalidDay])}`);
+      return;
+    }
+
+    for (const member of profile.staff || []) {
+      if (!member.name.trim()) {
+        setMessage('Error: Every staff member needs a name');
+        return;
+      }
+      const invalidStaffDay = member.availability
+        ? dayNames.findIndex((_, day) => validateDayAvailability(member.availability[day]))
+        : -1;
+      if (invalidStaffDay !== -1) {
+        setMessage(`Error: ${member.name}, ${dayNames[invalidStaffDay]} - ${validateDayAvailability(member.availability[invalidStaffDay])}`);
+        return;
+      }
+    }
+
+    // Offerings in categories the provider no longer offers are dropped
+    const catalog = (profile.catalog || []).filter(offering => profile.services.includes(offering.category));
+    const invalidOffering = catalog.map(validateOffering).find(Boolean);
+    if (invalidOffering) {
+      setMessage(`Error: ${invalidOffering}`);
+      return;
+    }
+
+    setSaving(true);
+
     try {
       const profileData = {
         ...profile,
+        catalog: catalog.map(offering => ({
+          ...offering,
+          name: offering.name.trim(),
+          price: Number(offering.price),
+          duration: Number(offering.duration)
+        })),
+        bufferBefore: Number(profile.bufferBefore) || 0,
+        bufferAfter: Number(profile.bufferAfter) || 0,
+        minNoticeHours: Number(profile.minNoticeHours) || 0,
+        maxAdvanceDays: Number(profile.maxAdvanceDays) || null,
+        responseWindowHours: Number(profile.responseWindowHours) || DEFAULT_RESPONSE_WINDOW_HOURS,
+        cancellationPolicy: {
+          freeCancellationHours: Number(profile.cancellationPolicy.freeCancellationHours) || 0,
+          lateCancellationFeePercent: Math.min(100, Number(profile.cancellationPolicy.lateCancellationFeePercent) || 0)
+        },
+        depositPercent: Math.min(100, Math.max(0, Number(profile.depositPercent) || 0)),
+        businessAddress: profile.businessAddress.trim(),
+        taxId: profile.taxId.trim(),
+        invoicePrefix: profile.invoicePrefix.trim().toUpperCase() || DEFAULT_INVOICE_PREFIX,
         uid: user.uid,
         email: user.email,
         isActive: true,
@@ -304,18 +579,112 @@ export default function ProviderProfile() {
               </div>
             </div>
 
+            {/* Price Catalog */}
+            <div className="bg-white shadow px-6 py-6 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Price Catalog</h3>
+              <p className="text-sm text-gray-500 mb-6">
+                List the jobs you offer in each service. Customers choose one when booking, and its price and length are used for the booking. Services without offerings are booked at your average price.
+              </p>
+
+              {profile.services.length === 0 ? (
+                <p className="text-sm text-gray-500">Select the services you offer first.</p>
+              ) : (
+                <div className="space-y-6">
+                  {profile.services.map((service) => (
+                    <div key={service}>
+                      <h4 className="text-sm font-medium text-gray-900 capitalize mb-2">{service}</h4>
+                      {(profile.catalog || []).filter(offering => offering.category === service).map((offering) => (
+                        <div key={offering.id} className="flex flex-wrap items-center gap-2 mb-2">
+                          <input
+                            type="text"
+                            value={offering.name}
+                            onChange={(e) => handleOfferingChange(offering.id, 'name', e.target.value)}
+                            placeholder="e.g. Leak repair"
+                            className="flex-1 min-w-[10rem] px-3 py-2 border border-gray-300 rounded-md text-sm"
+                          />
+                          <select
+                            value={offering.pricingModel}
+                            onChange={(e) => handleOfferingChange(offering.id, 'pricingModel', e.target.value)}
+                            className="px-2 py-2 border border-gray-300 rounded-md text-sm"
+                          >
+                            {Object.entries(PRICING_MODELS).map(([model, label]) => (
+                              <option key={model} value={model}>{label}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="number"
+                            min="0.01"
+                            step="0.01"
+                            value={offering.price}
+                            onChange={(e) => handleOfferingChange(offering.id, 'price', e.target.value)}
+                            placeholder="Price ($)"
+                            className="w-28 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                          />
+                          <input
+                            type="number"
+                            min={MIN_OFFERING_DURATION}
+                            max={MAX_OFFERING_DURATION}
+                            step="15"
+                            value={offering.duration}
+                            onChange={(e) => handleOfferingChange(offering.id, 'duration', e.target.value)}
+                            className="w-24 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                          />
+                          <span className="text-sm text-gray-500">min</span>
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveOffering(offering.id)}
+                            className="text-sm text-red-600 hover:text-red-500"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={() => handleAddOffering(service)}
+                        className="text-sm text-blue-600 hover:text-blue-500"
+                      >
+                        + Add offering
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
             {/* Availability */}
             <div className="bg-white shadow px-6 py-6 rounded-lg">
               <h3 className="text-lg font-medium text-gray-900 mb-6">Weekly Availability</h3>
+
+              <div className="mb-6">
+                <label className="block text-sm font-medium text-gray-700">
+                  Time Zone
+                </label>
+                <select
+                  name="timezone"
+                  value={profile.timezone}
+                  onChange={handleInputChange}
+                  className="mt-1 block w-full md:w-1/2 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {getSupportedTimeZones().map((timeZone) => (
+                    <option key={timeZone} value={timeZone}>
+                      {timeZone.replace(/_/g, ' ')}
+                    </option>
+                  ))}
+                </select>
+                <p className="mt-1 text-sm text-gray-500">
+                  Your working hours are in this time zone. Customers see slots converted to their own.
+                </p>
+              </div>
               
               <div className="space-y-4">
                 {dayNames.map((dayName, index) => (
-                  <div key={index} className="flex items-center space-x-4">
-                    <div className="w-24">
+                  <div key={index} className="flex items-start space-x-4">
+                    <div className="w-24 pt-1">
                       <span className="text-sm font-medium text-gray-700">{dayName}</span>
                     </div>
                     
-                    <div className="flex items-center space-x-4">
+                    <div className="flex items-center space-x-4 pt-1">
                       <label className="flex items-center">
                         <input
                           type="radio"
@@ -342,24 +711,518 @@ export default function ProviderProfile() {
                     </div>
 
                     {profile.availability[index]?.available && (
-                      <div className="flex items-center space-x-2">
+                      <div className="space-y-2">
+                        {[
+                          { listName: 'intervals', label: 'Add hours', minItems: 1 },
+                          { listName: 'breaks', label: 'Add break', minItems: 0 }
+                        ].map(({ listName, label, minItems }) => (
+                          <div key={listName} className="space-y-2">
+                            {profile.availability[index][listName].map((range, rangeIndex) => (
+                              <div key={rangeIndex} className="flex items-center space-x-2">
+                                {listName === 'breaks' && (
+                                  <span className="text-xs text-gray-500">Break</span>
+                                )}
+                                <input
+                                  type="time"
+                                  value={range.startTime}
+                                  onChange={(e) => handleRangeChange(index, listName, rangeIndex, 'startTime', e.target.value)}
+                                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                />
+                                <span className="text-sm text-gray-500">to</span>
+                                <input
+                                  type="time"
+                                  value={range.endTime}
+                                  onChange={(e) => handleRangeChange(index, listName, rangeIndex, 'endTime', e.target.value)}
+                                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                />
+                                {profile.availability[index][listName].length > minItems && (
+                                  <button
+                                    type="button"
+                                    onClick={() => handleRemoveRange(index, listName, rangeIndex)}
+                                    className="text-sm text-red-600 hover:text-red-500"
+                                  >
+                                    Remove
+                                  </button>
+                                )}
+                              </div>
+                            ))}
+                            <button
+                              type="button"
+                              onClick={() => handleAddRange(index, listName)}
+                              className="text-sm text-blue-600 hover:text-blue-500"
+                            >
+                              + {label}
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Team */}
+            <div className="bg-white shadow px-6 py-6 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Team</h3>
+              <p className="text-sm text-gray-500 mb-6">
+                Add the people who carry out jobs. Each time slot can take as many bookings as there are free staff, and every booking is assigned to one of them. Leave empty if you work alone.
+              </p>
+
+              {profile.staff?.length > 0 && (
+                <ul className="divide-y divide-gray-200 mb-6 border border-gray-200 rounded-md">
+                  {profile.staff.map((member) => (
+                    <li key={member.id} className="px-4 py-3">
+                      <div className="flex items-center space-x-4">
+                        <input
+                          type="text"
+                          value={member.name}
+                          onChange={(e) => handleStaffChange(member.id, { name: e.target.value })}
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        />
+                        <label className="flex items-center">
+                          <input
+                            type="checkbox"
+                            checked={!!member.availability}
+                            onChange={() => handleToggleStaffSchedule(member)}
+                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          />
+                          <span className="ml-2 text-sm text-gray-700">Own schedule</span>
+                        </label>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveStaff(member.id)}
+                          className="text-sm text-red-600 hover:text-red-500"
+                        >
+                          Remove
+                        </button>
+                      </div>
+
+                      {member.availability ? (
+                        <div className="mt-3 space-y-2">
+                          {dayNames.map((dayName, index) => (
+                            <div key={index} className="flex items-center space-x-2">
+                              <label className="flex items-center w-32">
+                                <input
+                                  type="checkbox"
+                                  checked={!!member.availability[index]?.available}
+                                  onChange={(e) => handleStaffDayChange(member, index, 'available', e.target.checked)}
+                                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                                />
+                                <span className="ml-2 text-sm text-gray-700">{dayName}</span>
+                              </label>
+                              {member.availability[index]?.available && (
+                                <>
+                                  <input
+                                    type="time"
+                                    value={member.availability[index].intervals[0]?.startTime || ''}
+                                    onChange={(e) => handleStaffDayChange(member, index, 'startTime', e.target.value)}
+                                    className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                  />
+                                  <span className="text-sm text-gray-500">to</span>
+                                  <input
+                                    type="time"
+                                    value={member.availability[index].intervals[0]?.endTime || ''}
+                                    onChange={(e) => handleStaffDayChange(member, index, 'endTime', e.target.value)}
+                                    className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                  />
+                                </>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <p className="mt-2 text-xs text-gray-500">Works your weekly availability</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="flex items-center space-x-4">
+                <input
+                  type="text"
+                  value={newStaffName}
+                  onChange={(e) => setNewStaffName(e.target.value)}
+                  placeholder="Staff member name"
+                  className="flex-1 md:flex-none md:w-1/2 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+                <button
+                  type="button"
+                  onClick={handleAddStaff}
+                  className="px-4 py-2 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50"
+                >
+                  Add Staff Member
+                </button>
+              </div>
+            </div>
+
+            {/* Buffer Time */}
+            <div className="bg-white shadow px-6 py-6 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Buffer &amp; Travel Time</h3>
+              <p className="text-sm text-gray-500 mb-6">
+                Time kept free before and after each booking, for travel or preparation. Customers cannot book into it.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Before each booking (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    name="bufferBefore"
+                    min="0"
+                    step="5"
+                    value={profile.bufferBefore}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    After each booking (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    name="bufferAfter"
+                    min="0"
+                    step="5"
+                    value={profile.bufferAfter}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+
+              {profile.services.length > 0 && (
+                <div className="mt-6">
+                  <h4 className="text-sm font-medium text-gray-700 mb-2">Per-service overrides (leave empty to use the values above)</h4>
+                  <div className="space-y-2">
+                    {profile.services.map((service) => (
+                      <div key={service} className="flex items-center space-x-4">
+                        <span className="w-24 text-sm text-gray-700 capitalize">{service}</span>
+                        {['before', 'after'].map((field) => (
+                          <input
+                            key={field}
+                            type="number"
+                            min="0"
+                            step="5"
+                            placeholder={field === 'before' ? 'Before' : 'After'}
+                            value={profile.serviceBuffers?.[service]?.[field] ?? ''}
+                            onChange={(e) => handleServiceBufferChange(service, field, e.target.value)}
+                            className="w-28 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                          />
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {/* Booking Window */}
+            <div className="bg-white shadow px-6 py-6 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Booking Window</h3>
+              <p className="text-sm text-gray-500 mb-6">
+                How much notice you need, how far ahead customers can book, and how long you have to answer a request before it expires.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Minimum notice (hours)
+                  </label>
+                  <input
+                    type="number"
+                    name="minNoticeHours"
+                    min="0"
+                    value={profile.minNoticeHours}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Book up to (days ahead)
+                  </label>
+                  <input
+                    type="number"
+                    name="maxAdvanceDays"
+                    min="1"
+                    placeholder="No limit"
+                    value={profile.maxAdvanceDays ?? ''}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Respond to requests within (hours)
+                  </label>
+                  <input
+                    type="number"
+                    name="responseWindowHours"
+                    min="1"
+                    value={profile.responseWindowHours}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    Requests expire after this, or at their start time if that comes first.
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Cancellation Policy */}
+            <div className="bg-white shadow px-6 py-6 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Cancellation Policy</h3>
+              <p className="text-sm text-gray-500 mb-6">
+                Customers see this when they book. Cancelling later than the free period costs them a share of the price.
+                Customers pay a deposit when they book; it is refunded if the booking doesn&apos;t go ahead, less any fee they owe.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Free cancellation until (hours before)
+                  </label>
+                  <input
+                    type="number"
+                    name="cancellationPolicy.freeCancellationHours"
+                    min="0"
+                    value={profile.cancellationPolicy.freeCancellationHours}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Late cancellation fee (%)
+                  </label>
+                  <input
+                    type="number"
+                    name="cancellationPolicy.lateCancellationFeePercent"
+                    min="0"
+                    max="100"
+                    value={profile.cancellationPolicy.lateCancellationFeePercent}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Deposit at booking (%)
+                  </label>
+                  <input
+                    type="number"
+                    name="depositPercent"
+                    min="0"
+                    max="100"
+                    value={profile.depositPercent}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* Invoicing */}
+            <div className="bg-white shadow px-6 py-6 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Invoicing</h3>
+              <p className="text-sm text-gray-500 mb-6">
+                An invoice is issued to the customer when you complete a booking. These details appear on it.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Business Address
+                  </label>
+                  <input
+                    type="text"
+                    name="businessAddress"
+                    value={profile.businessAddress}
+                    onChange={handleInputChange}
+                    placeholder="Street, city, postal code"
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Tax ID
+                  </label>
+                  <input
+                    type="text"
+                    name="taxId"
+                    value={profile.taxId}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Invoice Number Prefix
+                  </label>
+                  <input
+                    type="text"
+                    name="invoicePrefix"
+                    maxLength={10}
+                    value={profile.invoicePrefix}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    Invoices are numbered in sequence, e.g. {formatInvoiceNumber(profile.invoicePrefix.trim().toUpperCase(), 1)}.
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            {/* Date Exceptions */}
+            <div className="bg-white shadow px-6 py-6 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Holidays &amp; Exceptions</h3>
+              <p className="text-sm text-gray-500 mb-6">
+                Close for a day or a date range, or open extra hours on a specific date. Exceptions override your weekly schedule.
+              </p>
+
+              {profile.availabilityExceptions?.length > 0 && (
+                <ul className="divide-y divide-gray-200 mb-6 border border-gray-200 rounded-md">
+                  {profile.availabilityExceptions.map((exception) => (
+                    <li key={exception.id} className="flex items-center justify-between px-4 py-3">
+                      <div className="text-sm">
+                        {exception.type === 'closed' ? (
+                          <span className="font-medium text-red-700">
+                            Closed {exception.startDate}
+                            {exception.endDate !== exception.startDate && ` to ${exception.endDate}`}
+                          </span>
+                        ) : (
+                          <span className="font-medium text-green-700">
+                            Extra hours {exception.date}: {exception.intervals.map(interval => `${interval.startTime} - ${interval.endTime}`).join(', ')}
+                          </span>
+                        )}
+                        {exception.reason && (
+                          <span className="ml-2 text-gray-500">({exception.reason})</span>
+                        )}
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveException(exception.id)}
+                        className="text-sm text-red-600 hover:text-red-500"
+                      >
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Type</label>
+                  <select
+                    name="type"
+                    value={newException.type}
+                    onChange={handleExceptionChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="closed">Closed (day or date range)</option>
+                    <option value="extra-hours">Extra hours on a date</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Note</label>
+                  <input
+                    type="text"
+                    name="reason"
+                    value={newException.reason}
+                    onChange={handleExceptionChange}
+                    placeholder="e.g. Summer holiday"
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                {newException.type === 'closed' ? (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">From</label>
+                      <input
+                        type="date"
+                        name="startDate"
+                        value={newException.startDate}
+                        onChange={handleExceptionChange}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">To (leave empty for a single day)</label>
+                      <input
+                        type="date"
+                        name="endDate"
+                        min={newException.startDate}
+                        value={newException.endDate}
+                        onChange={handleExceptionChange}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Date</label>
+                      <input
+                        type="date"
+                        name="date"
+                        value={newException.date}
+                        onChange={handleExceptionChange}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Hours</label>
+                      <div className="mt-1 flex items-center space-x-2">
                         <input
                           type="time"
-                          value={profile.availability[index]?.startTime || '09:00'}
-                          onChange={(e) => handleAvailabilityChange(index, 'startTime', e.target.value)}
-                          className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                          name="startTime"
+                          value={newException.startTime}
+                          onChange={handleExceptionChange}
+                          className="px-2 py-2 border border-gray-300 rounded-md text-sm"
                         />
                         <span className="text-sm text-gray-500">to</span>
                         <input
                           type="time"
-                          value={profile.availability[index]?.endTime || '17:00'}
-                          onChange={(e) => handleAvailabilityChange(index, 'endTime', e.target.value)}
-                          className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                          name="endTime"
+                          value={newException.endTime}
+                          onChange={handleExceptionChange}
+                          className="px-2 py-2 border border-gray-300 rounded-md text-sm"
                         />
                       </div>
-                    )}
-                  </div>
-                ))}
+                    </div>
+                  </>
+                )}
+              </div>
+
+              {exceptionError && (
+                <p className="mt-3 text-sm text-red-600">{exceptionError}</p>
+              )}
+
+              <div className="mt-4 flex justify-end">
+                <button
+                  type="button"
+                  onClick={handleAddException}
+                  className="px-4 py-2 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50"
+                >
+                  Add Exception
+                </button>
               </div>
             </div>
 
@@ -0,0 +1,302 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import RouteGuard from '@/components/RouteGuard';
+import NotificationBell from '@/components/NotificationBell';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { collection, query, where, onSnapshot, doc, getDoc } from 'firebase/firestore';
+import { db } from '@/lib/firebase';
+import { createPromoCode, setPromoCodeActive } from '@/lib/firestore';
+import { DISCOUNT_TYPES, describeDiscount, describePromoRestrictions } from '@/lib/promoCodes';
+
+const EMPTY_PROMO = {
+  code: '',
+  discountType: 'percent',
+  amount: '',
+  validFrom: '',
+  validUntil: '',
+  maxUses: '',
+  categories: [],
+  firstBookingOnly: false,
+  onePerCustomer: false
+};
+
+export default function ProviderPromotions() {
+  const { user, signOut } = useAuth();
+  const router = useRouter();
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [services, setServices] = useState([]);
+  const [newPromo, setNewPromo] = useState(EMPTY_PROMO);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (user) {
+      getDoc(doc(db, 'providers', user.uid))
+        .then(profileDoc => setServices(profileDoc.exists() ? profileDoc.data().services || [] : []))
+        .catch(error => console.error('Error fetching profile:', error));
+
+      const unsubscribe = onSnapshot(
+        query(collection(db, 'promoCodes'), where('providerId', '==', user.uid)),
+        (snapshot) => {
+          const codes = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+          setPromoCodes(codes.sort((a, b) => a.code.localeCompare(b.code)));
+          setLoading(false);
+        }
+      );
+
+      return () => unsubscribe();
+    }
+  }, [user]);
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      router.push('/');
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  };
+
+  const toggleCategory = (service) => {
+    setNewPromo(prev => ({
+      ...prev,
+      categories: prev.categories.includes(service)
+        ? prev.categories.filter(category => category !== service)
+        : [...prev.categories, service]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const result = await createPromoCode(user.uid, newPromo);
+      if (result.success) {
+        setNewPromo(EMPTY_PROMO);
+      } else {
+        alert(result.error || 'Failed to create the promo code. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error creating promo code:', error);
+      alert('Failed to create the promo code. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (promo) => {
+    const result = await setPromoCodeActive(promo.id, !promo.active);
+    if (!result.success) {
+      alert('Failed to update the promo code. Please try again.');
+    }
+  };
+
+  return (
+    <RouteGuard allowedRoles={['provider']}>
+      <div className="min-h-screen bg-gray-50">
+        {/* Navigation */}
+        <nav className="bg-white shadow-lg">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="flex justify-between h-16">
+              <div className="flex items-center">
+                <Link href="/" className="text-2xl font-bold text-blue-600">
+                  ServiceHub
+                </Link>
+              </div>
+              <div className="flex items-center space-x-4">
+                <span className="text-gray-700">Welcome, {user?.displayName || user?.email}</span>
+                <NotificationBell />
+                <Link
+                  href="/provider/dashboard"
+                  className="text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                >
+                  Dashboard
+                </Link>
+                <button
+                  onClick={handleSignOut}
+                  className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+                >
+                  Sign Out
+                </button>
+              </div>
+            </div>
+          </div>
+        </nav>
+
+        <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+          {/* Header */}
+          <div className="px-4 py-6 sm:px-0">
+            <h1 className="text-3xl font-bold text-gray-900">Promotions</h1>
+            <p className="mt-2 text-gray-600">Discount codes customers can enter when they book you</p>
+          </div>
+
+          {/* New code */}
+          <div className="bg-white shadow rounded-lg mb-8">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">New Promo Code</h2>
+            </div>
+            <form onSubmit={handleCreate} className="p-6 space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Code *</label>
+                  <input
+                    type="text"
+                    required
+                    value={newPromo.code}
+                    onChange={(e) => setNewPromo(prev => ({ ...prev, code: e.target.value }))}
+                    placeholder="SPRING15"
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm uppercase focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Discount Type</label>
+                  <select
+                    value={newPromo.discountType}
+                    onChange={(e) => setNewPromo(prev => ({ ...prev, discountType: e.target.value }))}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {Object.entries(DISCOUNT_TYPES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    {newPromo.discountType === 'percent' ? 'Percent Off *' : 'Amount Off ($) *'}
+                  </label>
+                  <input
+                    type="number"
+                    required
+                    min="0"
+                    step="0.01"
+                    value={newPromo.amount}
+                    onChange={(e) => setNewPromo(prev => ({ ...prev, amount: e.target.value }))}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Valid From</label>
+                  <input
+                    type="date"
+                    value={newPromo.validFrom}
+                    onChange={(e) => setNewPromo(prev => ({ ...prev, validFrom: e.target.value }))}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Valid Until</label>
+                  <input
+                    type="date"
+                    value={newPromo.validUntil}
+                    onChange={(e) => setNewPromo(prev => ({ ...prev, validUntil: e.target.value }))}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Usage Limit</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={newPromo.maxUses}
+                    onChange={(e) => setNewPromo(prev => ({ ...prev, maxUses: e.target.value }))}
+                    placeholder="Unlimited"
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+
+              {services.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Only for these services</p>
+                  <p className="text-xs text-gray-500 mb-2">Leave all unticked for the code to work with every service.</p>
+                  <div className="flex flex-wrap gap-4">
+                    {services.map(service => (
+                      <label key={service} className="flex items-center text-sm text-gray-700 capitalize">
+                        <input
+                          type="checkbox"
+                          checked={newPromo.categories.includes(service)}
+                          onChange={() => toggleCategory(service)}
+                          className="mr-2"
+                        />
+                        {service}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="flex flex-wrap gap-6">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={newPromo.firstBookingOnly}
+                    onChange={(e) => setNewPromo(prev => ({ ...prev, firstBookingOnly: e.target.checked }))}
+                    className="mr-2"
+                  />
+                  New customers only (their first booking)
+                </label>
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={newPromo.onePerCustomer}
+                    onChange={(e) => setNewPromo(prev => ({ ...prev, onePerCustomer: e.target.checked }))}
+                    className="mr-2"
+                  />
+                  One use per customer
+                </label>
+              </div>
+
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {saving ? 'Creating...' : 'Create Code'}
+                </button>
+              </div>
+            </form>
+          </div>
+
+          {/* Codes */}
+          <div className="bg-white shadow rounded-lg">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">Your Codes</h2>
+            </div>
+            {loading ? (
+              <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+              </div>
+            ) : promoCodes.length === 0 ? (
+              <p className="px-6 py-8 text-center text-gray-500">You haven&apos;t created any promo codes yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {promoCodes.map(promo => (
+                  <li key={promo.id} className="px-6 py-4 flex items-center justify-between text-sm">
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {promo.code}
+                        <span className="ml-2 text-green-600">{describeDiscount(promo)}</span>
+                        {!promo.active && <span className="ml-2 text-xs text-gray-600 bg-gray-100 px-2 py-0.5 rounded-full">Inactive</span>}
+                      </p>
+                      <p className="text-gray-500">{describePromoRestrictions(promo)}</p>
+                    </div>
+                    <button
+                      onClick={() => handleToggleActive(promo)}
+                      className="px-3 py-1 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+                    >
+                      {promo.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </RouteGuard>
+  );
+}
@@ -3,10 +3,20 @@
 import { useState, useEffect } from 'react';
 import { useParams, useRouter } from 'next/navigation';
 import Link from 'next/link';
-import { doc, getDoc, collection, query, where, orderBy, getDocs, addDoc } from 'firebase/firestore';
+import { doc, getDoc, collection, query, where, orderBy, getDocs } from 'firebase/firestore';
 import { db } from '@/lib/firebase';
+import { checkPromoCode, createBooking, createBookingSeries, SLOT_UNAVAILABLE_ERROR, OUTSIDE_BOOKING_WINDOW_ERROR, INVALID_PROMO_CODE_ERROR } from '@/lib/firestore';
 import { useAuth } from '@/contexts/AuthContext';
-import { getAvailableTimeSlots, hasAvailabilityOnDate, formatTimeForDisplay, getNextAvailableSlot } from '@/lib/availability';
+import { formatTimeForDisplay, getServiceDuration, formatDuration, getClosureForDate, getBookingWindow } from '@/lib/availability';
+import { getAvailableSlots, getFirstAvailableSlot, getUpcomingSlots } from '@/lib/availabilityService';
+import { describeCancellationPolicy, getCancellationPolicy } from '@/lib/cancellationPolicy';
+import { getResponseWindowHours } from '@/lib/bookingExpiry';
+import { describeReliability, getReliabilityScore } from '@/lib/reliability';
+import { getDepositPercent } from '@/lib/payments';
+import { calculateDiscount, describeDiscount } from '@/lib/promoCodes';
+import { formatOfferingPrice, getCatalogOfferings, getOffering, getOfferingDuration, getOfferingPrice, getStartingPrice } from '@/lib/catalog';
+import { MAX_SERIES_OCCURRENCES, RECURRENCE_LABELS, getOccurrenceDates, isSeriesTruncated, validateRecurrence } from '@/lib/recurrence';
+import { addDays, convertTimeZone, getLocalTimeZone, getProviderTimeZone, getTimeZoneLabel, getTodayInTimeZone } from '@/lib/timezone';
 
 export default function ProviderDetailPage() {
   const { user, userRole } = useAuth();
@@ -14,17 +24,28 @@ export default function ProviderDetailPage() {
   const router = useRouter();
   const [provider, setProvider] = useState(null);
   const [reviews, setReviews] = useState([]);
-  const [providerBookings, setProviderBookings] = useState([]);
+  const [upcomingSlots, setUpcomingSlots] = useState({});
   const [availableTimeSlots, setAvailableTimeSlots] = useState([]);
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [seriesSlots, setSeriesSlots] = useState(null);
   const [loading, setLoading] = useState(true);
   const [bookingLoading, setBookingLoading] = useState(false);
   const [showBookingModal, setShowBookingModal] = useState(false);
   const [bookingData, setBookingData] = useState({
     serviceType: '',
+    offeringId: '',
     scheduledDate: '',
     scheduledTime: '',
-    description: ''
+    description: '',
+    frequency: '',
+    endType: 'count',
+    occurrenceCount: 4,
+    endDate: ''
   });
+  const [promoCode, setPromoCode] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [promoChecking, setPromoChecking] = useState(false);
 
   useEffect(() => {
     if (params.id) {
@@ -40,18 +61,6 @@ export default function ProviderDetailPage() {
         setProvider({ id: providerDoc.id, ...providerDoc.data() });
       }
 
-      // Fetch provider's bookings for availability checking
-      const bookingsQuery = query(
-        collection(db, 'bookings'),
-        where('providerId', '==', params.id)
-      );
-      const bookingsSnapshot = await getDocs(bookingsQuery);
-      const bookingsData = bookingsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setProviderBookings(bookingsData);
-
       // Fetch reviews
       const reviewsQuery = query(
         collection(db, 'bookings'),
@@ -73,36 +82,122 @@ export default function ProviderDetailPage() {
     }
   };
 
-  // Update available time slots when date changes
+  // Offerings from the provider's catalog set the job's length and price
+  const serviceOfferings = getCatalogOfferings(provider, bookingData.serviceType);
+  const selectedOffering = getOffering(provider, bookingData.offeringId);
+  const bookingDuration = selectedOffering
+    ? getOfferingDuration(selectedOffering)
+    : getServiceDuration(bookingData.serviceType);
+  const estimatedPrice = selectedOffering ? getOfferingPrice(selectedOffering) : provider?.pricing?.averagePrice || 0;
+  const providerTimeZone = getProviderTimeZone(provider);
+  const customerTimeZone = getLocalTimeZone();
+  const bookingWindow = getBookingWindow(provider);
+
+  // Load the coming week's slots for the availability summary
+  useEffect(() => {
+    if (provider) {
+      getUpcomingSlots(provider).then(result => {
+        if (result.success) {
+          setUpcomingSlots(result.data);
+        }
+      });
+    }
+  }, [provider]);
+
+  // Update available time slots when date or service changes
   useEffect(() => {
     if (provider && bookingData.scheduledDate) {
-      const slots = getAvailableTimeSlots(provider, bookingData.scheduledDate, providerBookings);
-      setAvailableTimeSlots(slots);
-      
-      // Clear selected time if it's no longer available
-      if (bookingData.scheduledTime && !slots.includes(bookingData.scheduledTime)) {
-        setBookingData(prev => ({ ...prev, scheduledTime: '' }));
-      }
+      let cancelled = false;
+      setSlotsLoading(true);
+
+      getAvailableSlots(provider, bookingData.scheduledDate, bookingData.scheduledDate, bookingDuration).then(result => {
+        if (cancelled) return;
+        const slots = result.success ? result.data[bookingData.scheduledDate] : [];
+        setAvailableTimeSlots(slots);
+        setSlotsLoading(false);
+
+        // Clear selected time if it's no longer available
+        setBookingData(prev => (
+          prev.scheduledTime && !slots.includes(prev.scheduledTime) ? { ...prev, scheduledTime: '' } : prev
+        ));
+      });
+
+      return () => {
+        cancelled = true;
+      };
     } else {
       setAvailableTimeSlots([]);
     }
-  }, [provider, bookingData.scheduledDate, providerBookings]);
+  }, [provider, bookingData.scheduledDate, bookingDuration]);
+
+  // A repeating request books the same time on every date of the series
+  const recurrence = bookingData.frequency
+    ? {
+        frequency: bookingData.frequency,
+        ...(bookingData.endType === 'date'
+          ? { endDate: bookingData.endDate }
+          : { count: Number(bookingData.occurrenceCount) })
+      }
+    : null;
+  const recurrenceError = recurrence && bookingData.scheduledDate
+    ? validateRecurrence(bookingData.scheduledDate, recurrence)
+    : null;
+  const occurrenceDates = recurrence && bookingData.scheduledDate && !recurrenceError
+    ? getOccurrenceDates(bookingData.scheduledDate, recurrence)
+    : [];
+  const isTruncated = occurrenceDates.length > 0 && isSeriesTruncated(bookingData.scheduledDate, recurrence);
+  const isOccurrenceAvailable = (date) => !!seriesSlots?.[date]?.includes(bookingData.scheduledTime);
+  const firstOccurrence = occurrenceDates[0];
+  const lastOccurrence = occurrenceDates[occurrenceDates.length - 1];
+
+  // Check every date of a series against the provider's availability
+  useEffect(() => {
+    if (provider && firstOccurrence && bookingData.scheduledTime) {
+      let cancelled = false;
+      setSeriesSlots(null);
+
+      getAvailableSlots(provider, firstOccurrence, lastOccurrence, bookingDuration).then(result => {
+        if (cancelled) return;
+        setSeriesSlots(result.success ? result.data : {});
+      });
+
+      return () => {
+        cancelled = true;
+      };
+    } else {
+      setSeriesSlots(null);
+    }
+  }, [provider, firstOccurrence, lastOccurrence, bookingData.scheduledTime, bookingDuration]);
 
   // Check if provider has availability in the next 7 days
   const hasNearTermAvailability = () => {
-    if (!provider) return false;
-    
-    const today = new Date();
-    for (let i = 0; i < 7; i++) {
-      const checkDate = new Date(today);
-      checkDate.setDate(today.getDate() + i);
-      const dateString = checkDate.toISOString().split('T')[0];
-      
-      if (hasAvailabilityOnDate(provider, dateString, providerBookings)) {
-        return true;
-      }
+    return Object.values(upcomingSlots).some(slots => slots.length > 0);
+  };
+
+  // Preview a promo code's discount. The code is checked again when the request is sent
+  const handleApplyPromo = async () => {
+    if (!user) {
+      router.push('/login');
+      return;
     }
-    return false;
+
+    setPromoChecking(true);
+    setPromoError('');
+    const result = await checkPromoCode(promoCode, {
+      customerId: user.uid,
+      providerId: provider.id,
+      serviceType: bookingData.serviceType,
+      timeZone: providerTimeZone
+    });
+    setAppliedPromo(result.success ? result.data : null);
+    setPromoError(result.success ? '' : result.error);
+    setPromoChecking(false);
+  };
+
+  const clearPromo = () => {
+    setPromoCode('');
+    setAppliedPromo(null);
+    setPromoError('');
   };
 
   const handleBookingSubmit = async (e) => {
@@ -118,34 +213,83 @@ export default function ProviderDetailPage() {
       return;
     }
 
+    let seriesDates = [];
+    if (recurrence) {
+      if (recurrenceError) {
+        alert(recurrenceError);
+        return;
+      }
+
+      seriesDates = occurrenceDates.filter(isOccurrenceAvailable);
+      const skippedCount = occurrenceDates.length - seriesDates.length;
+      if (seriesDates.length === 0) {
+        alert('The provider is not available at this time on any date in the series.');
+        return;
+      }
+      if (skippedCount > 0 && !window.confirm(`The provider is not available on ${skippedCount} of these dates. Book the other ${seriesDates.length}?`)) {
+        return;
+      }
+    }
+
     setBookingLoading(true);
 
     try {
       const booking = {
         customerId: user.uid,
         customerName: user.displayName || user.email,
+        customerEmail: user.email,
         providerId: provider.id,
         providerName: provider.name,
         serviceType: bookingData.serviceType,
+        offeringId: selectedOffering?.id || null,
         scheduledDate: bookingData.scheduledDate,
         scheduledTime: bookingData.scheduledTime,
+        duration: bookingDuration,
+        timezone: providerTimeZone,
         description: bookingData.description,
-        status: 'pending',
-        totalPrice: provider.pricing?.averagePrice || 0,
-        createdAt: new Date().toISOString()
+        totalPrice: estimatedPrice,
+        promoCode: appliedPromo?.code || null
       };
 
-      await addDoc(collection(db, 'bookings'), booking);
+      const result = recurrence
+        ? await createBookingSeries(booking, recurrence, seriesDates)
+        : await createBooking(booking);
+      if (!result.success) {
+        if (result.code === SLOT_UNAVAILABLE_ERROR || result.code === OUTSIDE_BOOKING_WINDOW_ERROR) {
+          // The slot was taken or is no longer bookable; refresh so it drops out of the list
+          setBookingData(prev => ({ ...prev, scheduledTime: '' }));
+          await fetchProviderData();
+          alert(result.error);
+        } else if (result.code === INVALID_PROMO_CODE_ERROR) {
+          setAppliedPromo(null);
+          setPromoError(result.error);
+          alert(result.error);
+        } else {
+          alert('Error creating booking. Please try again.');
+        }
+        return;
+      }
       
       setShowBookingModal(false);
       setBookingData({
         serviceType: '',
+        offeringId: '',
         scheduledDate: '',
         scheduledTime: '',
-        description: ''
+        description: '',
+        frequency: '',
+        endType: 'count',
+        occurrenceCount: 4,
+        endDate: ''
       });
+      clearPromo();
 
-      alert('Booking request sent successfully! The provider will respond soon.');
+      alert(recurrence
+        ? `Requests for ${seriesDates.length} bookings sent successfully! The provider will respond soon.`
+        : 'Booking request sent successfully! The provider will respond soon.');
+      if (result.paymentError) {
+        alert(`Your deposit could not be taken: ${result.paymentError} You can retry it from your dashboard.`);
+      }
     } catch (error) {
       console.error('Error creating booking:', error);
       alert('Error creating booking. Please try again.');
@@ -243,13 +387,19 @@ export default function ProviderDetailPage() {
                       </span>
                     </div>
                   )}
+
+                  {getReliabilityScore(provider.reliability) !== null && (
+                    <p className="text-sm text-gray-600 mt-1">
+                      {describeReliability(provider.reliability)}
+                    </p>
+                  )}
                 </div>
                 
                 <div className="text-right">
                   <p className="text-sm text-gray-600">Starting from</p>
-                  {provider.pricing?.averagePrice && (
+                  {getStartingPrice(provider) > 0 && (
                     <p className="text-2xl font-bold text-green-600">
-                      ${provider.pricing.averagePrice}
+                      ${getStartingPrice(provider)}
                     </p>
                   )}
                   <p className={`text-sm ${provider.isAvailable ? 'text-green-600' : 'text-red-600'}`}>
@@ -271,6 +421,24 @@ export default function ProviderDetailPage() {
                     </span>
                   ))}
                 </div>
+
+                {getCatalogOfferings(provider).length > 0 && (
+                  <div className="mt-4 space-y-3">
+                    {provider.services?.filter(service => getCatalogOfferings(provider, service).length > 0).map((service) => (
+                      <div key={service}>
+                        <h4 className="text-sm font-medium text-gray-900 capitalize">{service}</h4>
+                        <ul className="mt-1 divide-y divide-gray-100">
+                          {getCatalogOfferings(provider, service).map((offering) => (
+                            <li key={offering.id} className="flex justify-between py-1 text-sm text-gray-600">
+                              <span>{offering.name} ({formatDuration(getOfferingDuration(offering))})</span>
+                              <span className="font-medium text-gray-900">{formatOfferingPrice(offering)}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Description */}
@@ -333,20 +501,15 @@ export default function ProviderDetailPage() {
               <div className="mb-6 p-4 bg-gray-50 rounded-lg">
                 <h4 className="text-sm font-medium text-gray-700 mb-3">Current Availability</h4>
                 {(() => {
-                  const today = new Date().toISOString().split('T')[0];
-                  const tomorrow = new Date();
-                  tomorrow.setDate(tomorrow.getDate() + 1);
-                  const tomorrowString = tomorrow.toISOString().split('T')[0];
+                  // "Today" is the provider's today, not the visitor's
+                  const today = getTodayInTimeZone(providerTimeZone);
+                  const tomorrowString = addDays(today, 1);
                   
                   // Check today's availability
-                  const todaySlots = getAvailableTimeSlots(provider, today, providerBookings);
-                  const todayAvailableSlots = todaySlots.filter(time => {
-                    const slotDateTime = new Date(`${today}T${time}:00`);
-                    return slotDateTime > new Date();
-                  });
+                  const todayAvailableSlots = upcomingSlots[today] || [];
                   
                   // Check tomorrow's availability  
-                  const tomorrowSlots = getAvailableTimeSlots(provider, tomorrowString, providerBookings);
+                  const tomorrowSlots = upcomingSlots[tomorrowString] || [];
                   
                   if (todayAvailableSlots.length > 0) {
                     return (
@@ -397,7 +560,7 @@ export default function ProviderDetailPage() {
                       </div>
                     );
                   } else {
-                    const nextSlot = getNextAvailableSlot(provider, providerBookings, 7);
+                    const nextSlot = getFirstAvailableSlot(upcomingSlots);
                     if (nextSlot) {
                       return (
                         <div>
@@ -489,7 +652,11 @@ export default function ProviderDetailPage() {
                   <select
                     required
                     value={bookingData.serviceType}
-                    onChange={(e) => setBookingData(prev => ({ ...prev, serviceType: e.target.value }))}
+                    onChange={(e) => {
+                      setBookingData(prev => ({ ...prev, serviceType: e.target.value, offeringId: '' }));
+                      // Codes can be limited to some categories, so check again for the new service
+                      setAppliedPromo(null);
+                    }}
                     className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                   >
                     <option value="">Select a service</option>
@@ -499,8 +666,40 @@ export default function ProviderDetailPage() {
                       </option>
                     ))}
                   </select>
+                  {bookingData.serviceType && serviceOfferings.length === 0 && (
+                    <p className="mt-1 text-sm text-gray-500">
+                      Estimated duration: {formatDuration(bookingDuration)}
+                    </p>
+                  )}
                 </div>
 
+                {serviceOfferings.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">
+                      Job *
+                    </label>
+                    <select
+                      required
+                      value={bookingData.offeringId}
+                      onChange={(e) => setBookingData(prev => ({ ...prev, offeringId: e.target.value }))}
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">Select a job</option>
+                      {serviceOfferings.map((offering) => (
+                        <option key={offering.id} value={offering.id}>
+                          {offering.name} - {formatOfferingPrice(offering)}
+                        </option>
+                      ))}
+                    </select>
+                    {selectedOffering && (
+                      <p className="mt-1 text-sm text-gray-500">
+                        Duration: {formatDuration(bookingDuration)} · Estimated price: ${getOfferingPrice(selectedOffering).toFixed(2)}
+                        {selectedOffering.pricingModel === 'from' && ' or more'}
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700">
                     Preferred Date *
@@ -508,14 +707,17 @@ export default function ProviderDetailPage() {
                   <input
                     type="date"
                     required
-                    min={new Date().toISOString().split('T')[0]}
+                    min={bookingWindow.minDate}
+                    max={bookingWindow.maxDate || undefined}
                     value={bookingData.scheduledDate}
                     onChange={(e) => setBookingData(prev => ({ ...prev, scheduledDate: e.target.value }))}
                     className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                   />
-                  {bookingData.scheduledDate && !hasAvailabilityOnDate(provider, bookingData.scheduledDate, providerBookings) && (
+                  {bookingData.scheduledDate && !slotsLoading && availableTimeSlots.length === 0 && (
                     <p className="mt-1 text-sm text-red-600">
-                      Provider is not available on this date
+                      {getClosureForDate(provider, bookingData.scheduledDate)?.reason
+                        ? `Provider is closed on this date (${getClosureForDate(provider, bookingData.scheduledDate).reason})`
+                        : 'Provider is not available on this date'}
                     </p>
                   )}
                 </div>
@@ -526,24 +728,122 @@ export default function ProviderDetailPage() {
                   </label>
                   {!bookingData.scheduledDate ? (
                     <p className="mt-2 text-sm text-gray-500">Please select a date first</p>
+                  ) : slotsLoading ? (
+                    <p className="mt-2 text-sm text-gray-500">Loading available times...</p>
                   ) : availableTimeSlots.length === 0 ? (
                     <p className="mt-2 text-sm text-red-600">No available time slots for this date</p>
                   ) : (
-                    <div className="mt-2 grid grid-cols-3 gap-2">
-                      {availableTimeSlots.map((slot) => (
-                        <button
-                          key={slot}
-                          type="button"
-                          onClick={() => setBookingData(prev => ({ ...prev, scheduledTime: slot }))}
-                          className={`px-3 py-2 text-sm rounded-md border transition-colors ${
-                            bookingData.scheduledTime === slot
-                              ? 'bg-blue-600 text-white border-blue-600'
-                              : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
-                          }`}
+                    <>
+                      <p className="mt-1 text-xs text-gray-500">
+                        Times are in the provider&apos;s time zone ({getTimeZoneLabel(providerTimeZone)})
+                        {providerTimeZone !== customerTimeZone && ', with your local time below'}
+                      </p>
+                      <div className="mt-2 grid grid-cols-3 gap-2">
+                        {availableTimeSlots.map((slot) => (
+                          <button
+                            key={slot}
+                            type="button"
+                            onClick={() => setBookingData(prev => ({ ...prev, scheduledTime: slot }))}
+                            className={`px-3 py-2 text-sm rounded-md border transition-colors ${
+                              bookingData.scheduledTime === slot
+                                ? 'bg-blue-600 text-white border-blue-600'
+                                : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                            }`}
+                          >
+                            {formatTimeForDisplay(slot)}
+                            {providerTimeZone !== customerTimeZone && (() => {
+                              const local = convertTimeZone(bookingData.scheduledDate, slot, providerTimeZone, customerTimeZone);
+                              return (
+                                <span className="block text-xs opacity-75">
+                                  {formatTimeForDisplay(local.time)}
+                                  {local.date !== bookingData.scheduledDate && ` (${local.date})`}
+                                </span>
+                              );
+                            })()}
+                          </button>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Repeat
+                  </label>
+                  <select
+                    value={bookingData.frequency}
+                    onChange={(e) => setBookingData(prev => ({ ...prev, frequency: e.target.value }))}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">Does not repeat</option>
+                    {Object.entries(RECURRENCE_LABELS).map(([frequency, label]) => (
+                      <option key={frequency} value={frequency}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+
+                  {bookingData.frequency && (
+                    <div className="mt-2 space-y-2">
+                      <div className="flex items-center space-x-2">
+                        <select
+                          value={bookingData.endType}
+                          onChange={(e) => setBookingData(prev => ({ ...prev, endType: e.target.value }))}
+                          className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
                         >
-                          {formatTimeForDisplay(slot)}
-                        </button>
-                      ))}
+                          <option value="count">Number of bookings</option>
+                          <option value="date">Until date</option>
+                        </select>
+                        {bookingData.endType === 'date' ? (
+                          <input
+                            type="date"
+                            min={bookingData.scheduledDate || bookingWindow.minDate}
+                            max={bookingWindow.maxDate || undefined}
+                            value={bookingData.endDate}
+                            onChange={(e) => setBookingData(prev => ({ ...prev, endDate: e.target.value }))}
+                            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+                          />
+                        ) : (
+                          <input
+                            type="number"
+                            min="2"
+                            max={MAX_SERIES_OCCURRENCES}
+                            value={bookingData.occurrenceCount}
+                            onChange={(e) => setBookingData(prev => ({ ...prev, occurrenceCount: e.target.value }))}
+                            className="block w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+                          />
+                        )}
+                      </div>
+
+                      {recurrenceError && (
+                        <p className="text-sm text-red-600">{recurrenceError}</p>
+                      )}
+
+                      {isTruncated && (
+                        <p className="text-sm text-yellow-700">
+                          A series can have at most {MAX_SERIES_OCCURRENCES} bookings, so it will end on {lastOccurrence}.
+                          Book another series for later dates.
+                        </p>
+                      )}
+
+                      {occurrenceDates.length > 0 && bookingData.scheduledTime && (
+                        <div className="p-2 bg-gray-50 rounded-md max-h-32 overflow-y-auto">
+                          {!seriesSlots ? (
+                            <p className="text-xs text-gray-500">Checking availability...</p>
+                          ) : (
+                            occurrenceDates.map((date) => (
+                              <p
+                                key={date}
+                                className={`text-xs ${isOccurrenceAvailable(date) ? 'text-green-700' : 'text-red-600 line-through'}`}
+                              >
+                                {date} at {formatTimeForDisplay(bookingData.scheduledTime)}
+                                {!isOccurrenceAvailable(date) && ' (unavailable)'}
+                              </p>
+                            ))
+                          )}
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
@@ -561,6 +861,68 @@ export default function ProviderDetailPage() {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">
+                    Promo Code
+                  </label>
+                  <div className="mt-1 flex space-x-2">
+                    <input
+                      type="text"
+                      value={promoCode}
+                      onChange={(e) => {
+                        setPromoCode(e.target.value);
+                        setAppliedPromo(null);
+                        setPromoError('');
+                      }}
+                      placeholder="Enter a code"
+                      className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm uppercase focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleApplyPromo}
+                      disabled={promoChecking || !promoCode.trim() || !bookingData.serviceType}
+                      className="px-4 py-2 text-sm font-medium text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {promoChecking ? 'Checking...' : 'Apply'}
+                    </button>
+                  </div>
+                  {!bookingData.serviceType && promoCode.trim() && (
+                    <p className="mt-1 text-sm text-gray-500">Choose a service to apply your code.</p>
+                  )}
+                  {promoError && (
+                    <p className="mt-1 text-sm text-red-600">{promoError}</p>
+                  )}
+                  {appliedPromo && (
+                    <p className="mt-1 text-sm text-green-600">
+                      {appliedPromo.code} applied: {describeDiscount(appliedPromo)}
+                      {estimatedPrice > 0 && (
+                        <> · Estimated price: ${(estimatedPrice - calculateDiscount(appliedPromo, estimatedPrice)).toFixed(2)} instead of ${estimatedPrice.toFixed(2)}</>
+                      )}
+                      <button type="button" onClick={clearPromo} className="ml-2 text-gray-500 underline">
+                        Remove
+                      </button>
+                    </p>
+                  )}
+                </div>
+
+                <div className="p-3 bg-gray-50 rounded-md">
+                  <p className="text-sm font-medium text-gray-700">Cancellation policy</p>
+                  <p className="text-sm text-gray-600">
+                    {describeCancellationPolicy(getCancellationPolicy(provider))}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Requests the provider hasn&apos;t answered within {getResponseWindowHours(provider)} hours expire automatically.
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    The price shown is an estimate. The provider may reply with an itemized quote, and your booking is confirmed once you accept it.
+                  </p>
+                  {getDepositPercent(provider) > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      A {getDepositPercent(provider)}% deposit is taken when you book and the rest when the job is done. It is refunded if the request is declined or expires.
+                    </p>
+                  )}
+                </div>
+
                 <div className="flex justify-end space-x-3 pt-4">
                   <button
                     type="button"
@@ -571,7 +933,7 @@ export default function ProviderDetailPage() {
                   </button>
                   <button
                     type="submit"
-                    disabled={bookingLoading || !bookingData.scheduledTime}
+                    disabled={bookingLoading || !bookingData.scheduledTime || (recurrence && (!!recurrenceError || !seriesSlots))}
                     className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     {bookingLoading ? 'Booking...' : 'Send Request'}
@@ -3,18 +3,20 @@
 import { useState, useEffect } from 'react';
 import { useSearchParams } from 'next/navigation';
 import Link from 'next/link';
-import { collection, query, where, orderBy, onSnapshot, getDocs } from 'firebase/firestore';
+import { collection, query, where, orderBy, onSnapshot } from 'firebase/firestore';
 import { db } from '@/lib/firebase';
 import { useAuth } from '@/contexts/AuthContext';
 import { 
-  filterProvidersByAvailability, 
-  hasAvailabilityOnDate, 
-  getAvailableTimeSlots,
-  getAvailabilityStatus,
-  getNextAvailableSlot,
-  filterPastSlots,
-  formatTimeForDisplay
+  formatTimeForDisplay,
+  getServiceDuration
 } from '@/lib/availability';
+import {
+  filterAvailableProviders,
+  getFirstAvailableSlot,
+  getUpcomingSlotsForProviders
+} from '@/lib/availabilityService';
+import { addDays, getLocalTimeZone, getProviderTimeZone, getTodayInTimeZone } from '@/lib/timezone';
+import { getStartingPrice } from '@/lib/catalog';
 
 const serviceCategories = [
   { id: 'electrician', name: 'Electricians', icon: '⚡' },
@@ -29,8 +31,9 @@ export default function ServicesPage() {
   const { user } = useAuth();
   const searchParams = useSearchParams();
   const [providers, setProviders] = useState([]);
-  const [allBookings, setAllBookings] = useState([]);
+  const [upcomingSlots, setUpcomingSlots] = useState({});
   const [loading, setLoading] = useState(true);
+  const [availabilityError, setAvailabilityError] = useState('');
   const [filters, setFilters] = useState({
     category: searchParams.get('category') || '',
     search: searchParams.get('search') || '',
@@ -43,14 +46,6 @@ export default function ServicesPage() {
   useEffect(() => {
     const fetchData = async () => {
       try {
-        // Fetch all bookings for availability checking
-        const bookingsSnapshot = await getDocs(collection(db, 'bookings'));
-        const bookingsData = bookingsSnapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        setAllBookings(bookingsData);
-
         // Query providers from Firestore
         let providersQuery = query(
           collection(db, 'providers'),
@@ -66,7 +61,7 @@ export default function ServicesPage() {
           );
         }
 
-        const unsubscribe = onSnapshot(providersQuery, (snapshot) => {
+        const unsubscribe = onSnapshot(providersQuery, async (snapshot) => {
           let providersData = snapshot.docs.map(doc => ({
             id: doc.id,
             ...doc.data()
@@ -83,12 +78,12 @@ export default function ServicesPage() {
             );
           }
 
-          // Apply price range filter
+          // Apply price range filter to the cheapest job in the chosen category
           if (filters.priceRange) {
             const [min, max] = filters.priceRange.split('-').map(Number);
             providersData = providersData.filter(provider => {
-              const avgPrice = provider.pricing?.averagePrice || 0;
-              return avgPrice >= min && (max ? avgPrice <= max : true);
+              const price = getStartingPrice(provider, filters.category);
+              return price >= min && (max ? price <= max : true);
             });
           }
 
@@ -100,23 +95,31 @@ export default function ServicesPage() {
             );
           }
 
+          const duration = getServiceDuration(filters.category);
+
           // Apply availability filter
           if (filters.availabilityDate || filters.availabilityTime) {
-            // Create bookings map for efficient lookup
-            const bookingsMap = {};
-            bookingsData.forEach(booking => {
-              if (!bookingsMap[booking.providerId]) {
-                bookingsMap[booking.providerId] = [];
-              }
-              bookingsMap[booking.providerId].push(booking);
-            });
-
-            providersData = filterProvidersByAvailability(
+            const availableResult = await filterAvailableProviders(
               providersData,
               filters.availabilityDate,
               filters.availabilityTime,
-              bookingsMap
+              duration
             );
+            if (!availableResult.success) {
+              // Showing every provider would suggest they are all free
+              setAvailabilityError('We couldn\'t check availability for that date. Please try again.');
+              setProviders([]);
+              setLoading(false);
+              return;
+            }
+            providersData = availableResult.data;
+          }
+          setAvailabilityError('');
+
+          // Coming week's slots for the availability summaries
+          const slotsResult = await getUpcomingSlotsForProviders(providersData, 7, duration);
+          if (slotsResult.success) {
+            setUpcomingSlots(slotsResult.data);
           }
 
           setProviders(providersData);
@@ -310,7 +313,7 @@ export default function ServicesPage() {
                   type="date"
                   value={filters.availabilityDate}
                   onChange={(e) => handleFilterChange('availabilityDate', e.target.value)}
-                  min={new Date().toISOString().split('T')[0]}
+                  min={getTodayInTimeZone(getLocalTimeZone())}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                 />
               </div>
@@ -349,6 +352,12 @@ export default function ServicesPage() {
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
                 <p className="mt-4 text-gray-600">Loading services...</p>
               </div>
+            ) : availabilityError ? (
+              <div className="text-center py-12">
+                <div className="text-6xl mb-4">⚠️</div>
+                <h3 className="text-lg font-medium text-gray-900 mb-2">Couldn&apos;t check availability</h3>
+                <p className="text-red-600">{availabilityError}</p>
+              </div>
             ) : providers.length === 0 ? (
               <div className="text-center py-12">
                 <div className="text-6xl mb-4">🔍</div>
@@ -407,18 +416,15 @@ export default function ServicesPage() {
                       <div className="mb-4 p-3 bg-gray-50 rounded-lg">
                         <h4 className="text-sm font-medium text-gray-700 mb-2">Availability</h4>
                         {(() => {
-                          const providerBookings = allBookings.filter(booking => booking.providerId === provider.id);
-                          const today = new Date().toISOString().split('T')[0];
-                          const tomorrow = new Date();
-                          tomorrow.setDate(tomorrow.getDate() + 1);
-                          const tomorrowString = tomorrow.toISOString().split('T')[0];
+                          const providerSlots = upcomingSlots[provider.id] || {};
+                          const today = getTodayInTimeZone(getProviderTimeZone(provider));
+                          const tomorrowString = addDays(today, 1);
                           
                           // Check today's availability
-                          const todaySlots = getAvailableTimeSlots(provider, today, providerBookings);
-                          const todayAvailableSlots = filterPastSlots(today, todaySlots);
+                          const todayAvailableSlots = providerSlots[today] || [];
                           
                           // Check tomorrow's availability
-                          const tomorrowSlots = getAvailableTimeSlots(provider, tomorrowString, providerBookings);
+                          const tomorrowSlots = providerSlots[tomorrowString] || [];
                           
                           if (todayAvailableSlots.length > 0) {
                             return (
@@ -442,7 +448,7 @@ export default function ServicesPage() {
                             );
                           } else {
                             // Check next available slot
-                            const nextSlot = getNextAvailableSlot(provider, providerBookings, 7);
+                            const nextSlot = getFirstAvailableSlot(providerSlots);
                             if (nextSlot) {
                               return (
                                 <div className="text-sm">
@@ -466,9 +472,9 @@ export default function ServicesPage() {
 
                       <div className="flex items-center justify-between">
                         <div>
-                          {provider.pricing?.averagePrice && (
+                          {getStartingPrice(provider, filters.category) > 0 && (
                             <p className="text-lg font-semibold text-gray-900">
-                              From ${provider.pricing.averagePrice}
+                              From ${getStartingPrice(provider, filters.category)}
                             </p>
                           )}
                           <p className="text-sm text-gray-600">
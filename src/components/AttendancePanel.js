@@ -0,0 +1,149 @@
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { reportLateArrival, reportNoShow } from '@/lib/firestore';
+import {
+  MAX_LATE_MINUTES,
+  canReportLateArrival,
+  canReportNoShow,
+  describeReliability,
+  getNoShowParty,
+  getOtherParty
+} from '@/lib/reliability';
+
+// Attendance for one booking: no-shows and late arrivals reported so far, and
+// the buttons to report the other party once the start time has passed.
+// Providers also see the customer's reliability on open requests
+export default function AttendancePanel({ booking, role }) {
+  const { user } = useAuth();
+  const [updating, setUpdating] = useState(false);
+  const [showLateForm, setShowLateForm] = useState(false);
+  const [lateMinutes, setLateMinutes] = useState('');
+
+  const actor = { uid: user.uid, role };
+  const otherParty = getOtherParty(role);
+  const getPartyName = (party) => (party === 'customer' ? booking.customerName : booking.providerName);
+
+  const noShowParty = getNoShowParty(booking);
+  const lateArrivals = booking.lateArrivals || [];
+  const showCustomerReliability = role === 'provider' &&
+    ['pending', 'confirmed'].includes(booking.status) &&
+    booking.customerReliability;
+  const canNoShow = canReportNoShow(booking, role);
+  const canLate = canReportLateArrival(booking, role);
+
+  if (!noShowParty && lateArrivals.length === 0 && !showCustomerReliability && !canNoShow && !canLate) {
+    return null;
+  }
+
+  const handleNoShow = async () => {
+    if (!window.confirm(`Report that the ${otherParty} did not show up? The booking will end and this counts against their reliability.`)) {
+      return;
+    }
+
+    setUpdating(true);
+    try {
+      const result = await reportNoShow(booking.id, actor);
+      if (!result.success) {
+        alert(result.error || 'Failed to report the no-show. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error reporting no-show:', error);
+      alert('Failed to report the no-show. Please try again.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleLateArrival = async (e) => {
+    e.preventDefault();
+    setUpdating(true);
+    try {
+      const result = await reportLateArrival(booking.id, actor, Number(lateMinutes));
+      if (result.success) {
+        setShowLateForm(false);
+        setLateMinutes('');
+      } else {
+        alert(result.error || 'Failed to report the late arrival. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error reporting late arrival:', error);
+      alert('Failed to report the late arrival. Please try again.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-orange-50 rounded-md">
+      {showCustomerReliability && (
+        <p className="text-sm text-orange-800">
+          <span className="font-medium">Customer reliability:</span> {describeReliability(booking.customerReliability)}
+        </p>
+      )}
+      {noShowParty && (
+        <p className="text-sm text-orange-800">
+          <span className="font-medium">No-show:</span> {getPartyName(noShowParty)} did not show up.
+        </p>
+      )}
+      {lateArrivals.map((report) => (
+        <p key={report.reportedBy} className="text-sm text-orange-800">
+          <span className="font-medium">Late arrival:</span> {getPartyName(report.party)} arrived {report.minutes} minutes late.
+        </p>
+      ))}
+
+      {showLateForm ? (
+        <form onSubmit={handleLateArrival} className="mt-3 flex flex-wrap items-center justify-end gap-2">
+          <label className="text-sm text-orange-800">
+            Minutes late
+            <input
+              type="number"
+              min="1"
+              max={MAX_LATE_MINUTES}
+              required
+              value={lateMinutes}
+              onChange={(e) => setLateMinutes(e.target.value)}
+              className="ml-2 w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={updating}
+            className="text-sm bg-orange-600 text-white px-3 py-1 rounded-md hover:bg-orange-700 disabled:opacity-50 transition-colors"
+          >
+            Report
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowLateForm(false)}
+            className="text-sm bg-white text-gray-700 border border-gray-300 px-3 py-1 rounded-md hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+        </form>
+      ) : (canNoShow || canLate) && (
+        <div className="mt-3 flex flex-wrap justify-end gap-2">
+          {canLate && (
+            <button
+              onClick={() => setShowLateForm(true)}
+              disabled={updating}
+              className="text-sm bg-white text-orange-700 border border-orange-300 px-3 py-1 rounded-md hover:bg-orange-100 disabled:opacity-50 transition-colors"
+            >
+              Report Late Arrival
+            </button>
+          )}
+          {canNoShow && (
+            <button
+              onClick={handleNoShow}
+              disabled={updating}
+              className="text-sm bg-orange-600 text-white px-3 py-1 rounded-md hover:bg-orange-700 disabled:opacity-50 transition-colors"
+            >
+              {role === 'provider' ? 'Mark Customer No-show' : 'Report Provider No-show'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
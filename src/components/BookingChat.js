@@ -0,0 +1,166 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { collection, query, orderBy, onSnapshot } from 'firebase/firestore';
+import { db } from '@/lib/firebase';
+import { useAuth } from '@/contexts/AuthContext';
+import { markMessagesRead, sendMessage } from '@/lib/firestore';
+import { MAX_MESSAGE_LENGTH, canSendMessages, getUnreadCount, validateMessage } from '@/lib/messaging';
+
+// Message thread between the customer and provider of a booking. Shows a
+// button with the viewer's unread count; the thread loads when it is opened
+export default function BookingChat({ booking, role }) {
+  const { user } = useAuth();
+  const [showChat, setShowChat] = useState(false);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [text, setText] = useState('');
+  const [sending, setSending] = useState(false);
+  const messagesEndRef = useRef(null);
+
+  const unreadCount = getUnreadCount(booking, role);
+  const otherPartyName = role === 'customer' ? booking.providerName : booking.customerName;
+
+  useEffect(() => {
+    if (!showChat) {
+      return;
+    }
+
+    const messagesQuery = query(
+      collection(db, 'bookings', booking.id, 'messages'),
+      orderBy('createdAt', 'asc')
+    );
+
+    const unsubscribe = onSnapshot(messagesQuery, (snapshot) => {
+      setMessages(snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      })));
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [showChat, booking.id]);
+
+  // Anything that arrives while the thread is open counts as read
+  useEffect(() => {
+    if (showChat && unreadCount > 0) {
+      markMessagesRead(booking.id, role);
+    }
+  }, [showChat, unreadCount, booking.id, role]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+
+    const error = validateMessage(text);
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    setSending(true);
+    try {
+      const result = await sendMessage(booking.id, { uid: user.uid, role, name: user.displayName || user.email }, text);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setText('');
+    } catch (error) {
+      console.error('Error sending message:', error);
+      alert('Error sending message. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setShowChat(true)}
+        className="text-sm bg-white text-gray-700 border border-gray-300 px-4 py-2 rounded-md hover:bg-gray-50 transition-colors"
+      >
+        Messages
+        {unreadCount > 0 && (
+          <span className="ml-2 inline-flex items-center justify-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-600 text-white">
+            {unreadCount}
+          </span>
+        )}
+      </button>
+
+      {showChat && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-medium text-gray-900">
+                  {otherPartyName ? `Messages with ${otherPartyName}` : 'Messages'}
+                </h3>
+                <button
+                  onClick={() => setShowChat(false)}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  ✕
+                </button>
+              </div>
+
+              <p className="text-sm text-gray-600 mb-4">
+                <span className="font-medium capitalize">{booking.serviceType}</span> on {booking.scheduledDate}
+              </p>
+
+              <div className="h-64 overflow-y-auto border border-gray-200 rounded-md p-3 space-y-3 bg-gray-50">
+                {loading ? (
+                  <p className="text-sm text-gray-500 text-center">Loading messages...</p>
+                ) : messages.length === 0 ? (
+                  <p className="text-sm text-gray-500 text-center">No messages yet</p>
+                ) : (
+                  messages.map((message) => {
+                    const isOwn = message.senderRole === role;
+                    return (
+                      <div key={message.id} className={`flex ${isOwn ? 'justify-end' : 'justify-start'}`}>
+                        <div className={`max-w-xs px-3 py-2 rounded-lg ${isOwn ? 'bg-blue-600 text-white' : 'bg-white text-gray-900 border border-gray-200'}`}>
+                          <p className="text-sm whitespace-pre-wrap break-words">{message.text}</p>
+                          <p className={`text-xs mt-1 ${isOwn ? 'text-blue-100' : 'text-gray-500'}`}>
+                            {new Date(message.createdAt).toLocaleString()}
+                          </p>
+                        </div>
+                      </div>
+                    );
+                  })
+                )}
+                <div ref={messagesEndRef} />
+              </div>
+
+              {canSendMessages(booking) ? (
+                <form onSubmit={handleSend} className="mt-4 flex space-x-2">
+                  <input
+                    type="text"
+                    value={text}
+                    maxLength={MAX_MESSAGE_LENGTH}
+                    onChange={(e) => setText(e.target.value)}
+                    placeholder="Write a message..."
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+                  />
+                  <button
+                    type="submit"
+                    disabled={sending || !text.trim()}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {sending ? 'Sending...' : 'Send'}
+                  </button>
+                </form>
+              ) : (
+                <p className="mt-4 text-sm text-gray-500 text-center">
+                  This booking has ended. The conversation is kept for your records.
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
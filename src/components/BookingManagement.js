@@ -1,20 +1,47 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { collection, query, where, orderBy, onSnapshot, updateDoc, doc } from 'firebase/firestore';
+import { collection, query, where, orderBy, onSnapshot } from 'firebase/firestore';
 import { db } from '@/lib/firebase';
+import { expireStaleBookings, getProviderProfile, reassignBookingStaff, updateBookingStatus } from '@/lib/firestore';
+import { formatDuration, getActiveStaff } from '@/lib/availability';
+import { getStatusLabel } from '@/lib/bookingStatus';
+import { getPendingQuote, hasBeenQuoted } from '@/lib/quotes';
 import { useAuth } from '@/contexts/AuthContext';
+import ReschedulePanel from '@/components/ReschedulePanel';
+import SeriesPanel from '@/components/SeriesPanel';
+import BookingChat from '@/components/BookingChat';
+import AttendancePanel from '@/components/AttendancePanel';
+import PaymentPanel from '@/components/PaymentPanel';
+import InvoicePanel from '@/components/InvoicePanel';
+import QuotePanel from '@/components/QuotePanel';
 
-const BookingCard = ({ booking, onStatusUpdate }) => {
+const BookingCard = ({ booking, staff, onStatusUpdate }) => {
+  const { user } = useAuth();
   const [updating, setUpdating] = useState(false);
 
+  const handleReassign = async (staffId) => {
+    setUpdating(true);
+    try {
+      const result = await reassignBookingStaff(booking.id, staffId, { uid: user.uid, role: 'provider' });
+      if (!result.success) {
+        alert(result.error);
+      }
+    } catch (error) {
+      console.error('Error reassigning booking:', error);
+      alert('Error reassigning booking');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
   const handleStatusUpdate = async (newStatus) => {
     setUpdating(true);
     try {
-      await updateDoc(doc(db, 'bookings', booking.id), {
-        status: newStatus,
-        updatedAt: new Date().toISOString()
-      });
+      const result = await updateBookingStatus(booking.id, newStatus, { uid: user.uid, role: 'provider' });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
       onStatusUpdate(booking.id, newStatus);
     } catch (error) {
       console.error('Error updating booking status:', error);
@@ -28,7 +55,11 @@ const BookingCard = ({ booking, onStatusUpdate }) => {
     switch (status) {
       case 'pending': return 'bg-yellow-100 text-yellow-800';
       case 'confirmed': return 'bg-green-100 text-green-800';
+      case 'in-progress': return 'bg-indigo-100 text-indigo-800';
       case 'rejected': return 'bg-red-100 text-red-800';
+      case 'cancelled': return 'bg-red-100 text-red-800';
+      case 'expired': return 'bg-gray-200 text-gray-700';
+      case 'no-show': return 'bg-orange-100 text-orange-800';
       case 'completed': return 'bg-blue-100 text-blue-800';
       default: return 'bg-gray-100 text-gray-800';
     }
@@ -39,17 +70,41 @@ const BookingCard = ({ booking, onStatusUpdate }) => {
       <div className="flex justify-between items-start mb-4">
         <div>
           <h3 className="text-lg font-semibold text-gray-900">
-            {booking.serviceType} - {booking.customerName}
+            {booking.serviceType}{booking.offeringName && ` (${booking.offeringName})`} - {booking.customerName}
           </h3>
           <p className="text-gray-600">
             {booking.scheduledDate} at {booking.scheduledTime}
+            {booking.duration && ` (${formatDuration(booking.duration)})`}
           </p>
         </div>
         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(booking.status)}`}>
-          {booking.status.charAt(0).toUpperCase() + booking.status.slice(1)}
+          {getStatusLabel(booking.status)}
         </span>
       </div>
 
+      {(booking.staffName || staff.length > 0) && (
+        <div className="mb-4 flex items-center space-x-2">
+          <span className="text-sm font-medium text-gray-600">Assigned to:</span>
+          {staff.length > 0 ? (
+            <select
+              value={booking.staffId || ''}
+              onChange={(e) => handleReassign(e.target.value)}
+              disabled={updating}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+            >
+              {!staff.some(member => member.id === booking.staffId) && (
+                <option value="" disabled>{booking.staffName || 'Unassigned'}</option>
+              )}
+              {staff.map((member) => (
+                <option key={member.id} value={member.id}>{member.name}</option>
+              ))}
+            </select>
+          ) : (
+            <span className="text-sm text-gray-600">{booking.staffName}</span>
+          )}
+        </div>
+      )}
+
       {booking.description && (
         <div className="mb-4">
           <p className="text-sm text-gray-600">
@@ -62,6 +117,11 @@ const BookingCard = ({ booking, onStatusUpdate }) => {
         <div className="mb-4">
           <p className="text-sm text-gray-600">
             <span className="font-medium">Price:</span> ${booking.totalPrice}
+            {booking.promo && (
+              <span className="ml-2 text-green-600">
+                (promo {booking.promo.code}: -${booking.discount.toFixed(2)} off ${booking.originalPrice.toFixed(2)})
+              </span>
+            )}
           </p>
         </div>
       )}
@@ -70,17 +130,24 @@ const BookingCard = ({ booking, onStatusUpdate }) => {
         <p className="text-sm text-gray-600">
           <span className="font-medium">Requested:</span> {new Date(booking.createdAt).toLocaleDateString()}
         </p>
+        {booking.status === 'pending' && booking.responseDeadline && !hasBeenQuoted(booking) && (
+          <p className="text-sm text-yellow-700">
+            <span className="font-medium">Respond by:</span> {new Date(booking.responseDeadline).toLocaleString()}
+          </p>
+        )}
       </div>
 
       {booking.status === 'pending' && (
         <div className="flex space-x-3">
-          <button
-            onClick={() => handleStatusUpdate('confirmed')}
-            disabled={updating}
-            className="flex-1 bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 disabled:opacity-50 text-sm font-medium"
-          >
-            Accept
-          </button>
+          {!getPendingQuote(booking) && (
+            <button
+              onClick={() => handleStatusUpdate('confirmed')}
+              disabled={updating}
+              className="flex-1 bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 disabled:opacity-50 text-sm font-medium"
+            >
+              Accept
+            </button>
+          )}
           <button
             onClick={() => handleStatusUpdate('rejected')}
             disabled={updating}
@@ -92,6 +159,16 @@ const BookingCard = ({ booking, onStatusUpdate }) => {
       )}
 
       {booking.status === 'confirmed' && (
+        <button
+          onClick={() => handleStatusUpdate('in-progress')}
+          disabled={updating}
+          className="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 disabled:opacity-50 text-sm font-medium"
+        >
+          Start Job
+        </button>
+      )}
+
+      {booking.status === 'in-progress' && (
         <button
           onClick={() => handleStatusUpdate('completed')}
           disabled={updating}
@@ -101,6 +178,22 @@ const BookingCard = ({ booking, onStatusUpdate }) => {
         </button>
       )}
 
+      <div className="mt-4 flex justify-end">
+        <BookingChat booking={booking} role="provider" />
+      </div>
+
+      <QuotePanel booking={booking} role="provider" />
+
+      <SeriesPanel booking={booking} role="provider" />
+
+      <ReschedulePanel booking={booking} role="provider" />
+
+      <AttendancePanel booking={booking} role="provider" />
+
+      <PaymentPanel booking={booking} role="provider" />
+
+      <InvoicePanel booking={booking} role="provider" />
+
       {booking.customerReview && (
         <div className="mt-4 p-3 bg-gray-50 rounded-md">
           <div className="flex items-center mb-2">
@@ -111,6 +204,9 @@ const BookingCard = ({ booking, onStatusUpdate }) => {
             <span className="ml-2 text-sm font-medium text-gray-900">
               Customer Review
             </span>
+            {booking.tip > 0 && (
+              <span className="ml-auto text-sm text-green-600">Tip: ${booking.tip.toFixed(2)}</span>
+            )}
           </div>
           <p className="text-sm text-gray-700">{booking.customerReview.comment}</p>
         </div>
@@ -124,6 +220,17 @@ export default function BookingManagement() {
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
+  const [staff, setStaff] = useState([]);
+
+  useEffect(() => {
+    if (user) {
+      getProviderProfile(user.uid).then(result => {
+        if (result.success) {
+          setStaff(getActiveStaff(result.data));
+        }
+      });
+    }
+  }, [user]);
 
   useEffect(() => {
     if (user) {
@@ -146,6 +253,14 @@ export default function BookingManagement() {
     }
   }, [user]);
 
+  // Requests left unanswered too long release their slots. Checked once when
+  // the list opens; expired bookings then arrive through the listener
+  useEffect(() => {
+    if (user?.uid) {
+      expireStaleBookings();
+    }
+  }, [user?.uid]);
+
   const handleStatusUpdate = (bookingId, newStatus) => {
     setBookings(prev => prev.map(booking => 
       booking.id === bookingId 
@@ -180,8 +295,11 @@ export default function BookingManagement() {
           { key: 'all', label: 'All' },
           { key: 'pending', label: 'Pending' },
           { key: 'confirmed', label: 'Confirmed' },
+          { key: 'in-progress', label: 'In Progress' },
           { key: 'completed', label: 'Completed' },
-          { key: 'rejected', label: 'Rejected' }
+          { key: 'rejected', label: 'Rejected' },
+          { key: 'expired', label: 'Expired' },
+          { key: 'no-show', label: 'No-show' }
         ].map((tab) => (
           <button
             key={tab.key}
@@ -217,6 +335,7 @@ export default function BookingManagement() {
             <BookingCard
               key={booking.id}
               booking={booking}
+              staff={staff}
               onStatusUpdate={handleStatusUpdate}
             />
           ))}
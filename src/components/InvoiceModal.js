@@ -0,0 +1,130 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { getInvoice } from '@/lib/firestore';
+import { formatTimeForDisplay } from '@/lib/availability';
+import { getInvoiceBalance } from '@/lib/invoices';
+import { createInvoicePdf } from '@/lib/invoicePdf';
+
+// A booking's invoice, with the amount paid so far taken from the booking's
+// payment. Both parties can download it as a PDF
+export default function InvoiceModal({ booking, onClose }) {
+  const [invoice, setInvoice] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getInvoice(booking.invoiceId).then(result => {
+      if (result.success) {
+        setInvoice(result.data);
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [booking.invoiceId]);
+
+  const handleDownload = () => {
+    const pdf = createInvoicePdf(invoice, booking.payment);
+    const url = URL.createObjectURL(new Blob([pdf], { type: 'application/pdf' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${invoice.invoiceNumber}.pdf`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const { paid, balance } = invoice ? getInvoiceBalance(invoice, booking.payment) : {};
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          {!invoice ? (
+            <p className="text-sm text-gray-600">{error || 'Loading invoice...'}</p>
+          ) : (
+            <>
+              <div className="flex justify-between items-start mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Invoice {invoice.invoiceNumber}</h3>
+                <p className="text-sm text-gray-500">Issued {invoice.issuedAt.slice(0, 10)}</p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4 mb-4 text-sm text-gray-600">
+                <div>
+                  <p className="font-medium text-gray-900">From</p>
+                  <p>{invoice.provider.name}</p>
+                  {invoice.provider.address && <p>{invoice.provider.address}</p>}
+                  {invoice.provider.email && <p>{invoice.provider.email}</p>}
+                  {invoice.provider.phone && <p>{invoice.provider.phone}</p>}
+                  {invoice.provider.taxId && <p>Tax ID: {invoice.provider.taxId}</p>}
+                </div>
+                <div>
+                  <p className="font-medium text-gray-900">Bill to</p>
+                  <p>{invoice.customer.name}</p>
+                  {invoice.customer.email && <p>{invoice.customer.email}</p>}
+                </div>
+              </div>
+
+              <p className="text-sm text-gray-600 mb-2">
+                <span className="font-medium">Service:</span> {invoice.serviceType} on {invoice.scheduledDate} at {formatTimeForDisplay(invoice.scheduledTime)}
+              </p>
+
+              <table className="w-full text-sm text-gray-700">
+                <tbody>
+                  {invoice.lineItems.map((item, index) => (
+                    <tr key={index}>
+                      <td className="py-0.5">{item.description}</td>
+                      <td className="py-0.5 text-right">${item.amount.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t">
+                    <td className="pt-1">Subtotal</td>
+                    <td className="pt-1 text-right">${invoice.subtotal.toFixed(2)}</td>
+                  </tr>
+                  <tr>
+                    <td>Tax ({invoice.taxPercent}%)</td>
+                    <td className="text-right">${invoice.tax.toFixed(2)}</td>
+                  </tr>
+                  {invoice.discount && (
+                    <tr>
+                      <td>Promo {invoice.discount.code}</td>
+                      <td className="text-right">-${invoice.discount.amount.toFixed(2)}</td>
+                    </tr>
+                  )}
+                  <tr className="font-medium text-gray-900">
+                    <td>Total</td>
+                    <td className="text-right">${invoice.total.toFixed(2)}</td>
+                  </tr>
+                  <tr>
+                    <td>Paid</td>
+                    <td className="text-right">${paid.toFixed(2)}</td>
+                  </tr>
+                  <tr className="font-medium text-gray-900">
+                    <td>Balance due</td>
+                    <td className="text-right">${balance.toFixed(2)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+            >
+              Close
+            </button>
+            <button
+              type="button"
+              onClick={handleDownload}
+              disabled={!invoice}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Download PDF
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+'use client';
+
+import { useState } from 'react';
+import InvoiceModal from '@/components/InvoiceModal';
+
+// Link to a completed booking's invoice
+export default function InvoicePanel({ booking, role }) {
+  const [showModal, setShowModal] = useState(false);
+
+  if (!booking.invoiceId) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 flex items-center justify-between">
+      <p className="text-sm text-gray-600">
+        {role === 'provider' ? 'Invoice issued' : 'Your invoice'}: {booking.invoiceNumber}
+      </p>
+      <button
+        onClick={() => setShowModal(true)}
+        className="text-sm bg-white text-blue-600 border border-blue-300 px-3 py-1 rounded-md hover:bg-blue-50 transition-colors"
+      >
+        View Invoice
+      </button>
+
+      {showModal && (
+        <InvoiceModal booking={booking} onClose={() => setShowModal(false)} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { collection, query, where, orderBy, limit, onSnapshot } from 'firebase/firestore';
+import { db } from '@/lib/firebase';
+import { useAuth } from '@/contexts/AuthContext';
+import { markAllNotificationsRead, markNotificationRead } from '@/lib/firestore';
+import { NOTIFICATION_LIMIT } from '@/lib/notifications';
+
+// Bell in the dashboard navigation with the signed-in user's recent notifications
+export default function NotificationBell() {
+  const { user } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [showInbox, setShowInbox] = useState(false);
+
+  useEffect(() => {
+    if (user) {
+      const notificationsQuery = query(
+        collection(db, 'notifications'),
+        where('userId', '==', user.uid),
+        orderBy('createdAt', 'desc'),
+        limit(NOTIFICATION_LIMIT)
+      );
+
+      const unsubscribe = onSnapshot(notificationsQuery, (snapshot) => {
+        setNotifications(snapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        })));
+      });
+
+      return () => unsubscribe();
+    }
+  }, [user]);
+
+  const unreadCount = notifications.filter(notification => !notification.read).length;
+
+  const handleNotificationClick = (notification) => {
+    if (!notification.read) {
+      markNotificationRead(notification.id);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setShowInbox(prev => !prev)}
+        className="relative text-gray-700 hover:text-blue-600 px-3 py-2 rounded-md text-xl transition-colors"
+        aria-label="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="absolute top-0 right-0 inline-flex items-center justify-center px-1.5 py-0.5 rounded-full text-xs font-medium bg-red-600 text-white">
+            {unreadCount}
+          </span>
+        )}
+      </button>
+
+      {showInbox && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg border border-gray-200 z-50">
+          <div className="flex justify-between items-center px-4 py-3 border-b">
+            <h3 className="text-sm font-medium text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markAllNotificationsRead(user.uid)}
+                className="text-xs text-blue-600 hover:text-blue-500"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet</p>
+            ) : (
+              notifications.map((notification) => (
+                <button
+                  key={notification.id}
+                  onClick={() => handleNotificationClick(notification)}
+                  className={`block w-full text-left px-4 py-3 border-b last:border-b-0 hover:bg-gray-50 ${
+                    notification.read ? '' : 'bg-blue-50'
+                  }`}
+                >
+                  <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                  <p className="text-sm text-gray-600">{notification.body}</p>
+                  <p className="text-xs text-gray-400 mt-1">
+                    {new Date(notification.createdAt).toLocaleString()}
+                  </p>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+'use client';
+
+import { useState } from 'react';
+import { settlePayment } from '@/lib/firestore';
+import { PAYMENT_STATUS_LABELS, describePayment, getAmountDue } from '@/lib/payments';
+
+// Payment for one booking: the deposit, balance, fees and refunds collected so
+// far. Customers can retry a payment the gateway turned down, or one that was
+// never settled after the booking changed, such as a tip added with a review
+export default function PaymentPanel({ booking, role }) {
+  const [retrying, setRetrying] = useState(false);
+
+  const description = describePayment(booking);
+  const outstanding = Boolean(booking.payment) && booking.payment.amountDue < getAmountDue(booking);
+  if (!description && !outstanding) {
+    return null;
+  }
+
+  const failed = booking.payment.status === 'failed';
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    try {
+      const result = await settlePayment(booking.id);
+      if (!result.success) {
+        alert(result.error || 'Payment failed. Please try again.');
+      }
+    } catch (error) {
+      console.error('Error retrying payment:', error);
+      alert('Payment failed. Please try again.');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  return (
+    <div className={`mt-4 p-3 rounded-md flex items-center justify-between ${failed ? 'bg-red-50' : 'bg-gray-50'}`}>
+      <p className={`text-sm ${failed ? 'text-red-800' : 'text-gray-700'}`}>
+        <span className="font-medium">Payment:</span> {description || PAYMENT_STATUS_LABELS.unpaid}
+      </p>
+      {(failed || outstanding) && role === 'customer' && (
+        <button
+          onClick={handleRetry}
+          disabled={retrying}
+          className="text-sm bg-red-600 text-white px-3 py-1 rounded-md hover:bg-red-700 disabled:opacity-50 transition-colors"
+        >
+          {retrying ? 'Retrying...' : 'Retry Payment'}
+        </button>
+      )}
+    </div>
+  );
+}
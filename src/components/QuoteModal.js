@@ -0,0 +1,191 @@
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { sendQuote } from '@/lib/firestore';
+import { formatTimeForDisplay } from '@/lib/availability';
+import { MAX_QUOTE_ITEMS, QUOTE_ITEM_TYPES, calculateQuoteTotals, validateQuote } from '@/lib/quotes';
+
+const emptyItem = () => ({ type: 'labor', description: '', amount: '' });
+
+// Form for a provider to send an itemized quote. A revision starts from the
+// last quote sent for the booking
+export default function QuoteModal({ booking, previousQuote, onClose }) {
+  const { user } = useAuth();
+  const [items, setItems] = useState(previousQuote?.items || [emptyItem()]);
+  const [taxPercent, setTaxPercent] = useState(previousQuote?.taxPercent ?? 0);
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const { subtotal, tax, total } = calculateQuoteTotals(items, taxPercent);
+
+  const updateItem = (index, field, value) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const removeItem = (index) => {
+    setItems(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateQuote(items, taxPercent);
+    if (validationError) {
+      alert(validationError);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const result = await sendQuote(booking.id, { uid: user.uid, role: 'provider' }, { items, taxPercent, note });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      onClose();
+    } catch (error) {
+      console.error('Error sending quote:', error);
+      alert(error.message || 'Error sending quote. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">
+            {previousQuote ? 'Send a Revised Quote' : 'Send a Quote'}
+          </h3>
+
+          <div className="mb-4">
+            <p className="text-sm text-gray-600 mb-2">
+              <span className="font-medium">Service:</span> {booking.serviceType} for {booking.customerName}
+            </p>
+            <p className="text-sm text-gray-600">
+              <span className="font-medium">Requested:</span> {booking.scheduledDate} at {formatTimeForDisplay(booking.scheduledTime)}
+            </p>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Line Items *
+              </label>
+              {items.map((item, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <select
+                    value={item.type}
+                    onChange={(e) => updateItem(index, 'type', e.target.value)}
+                    className="px-2 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    {Object.entries(QUOTE_ITEM_TYPES).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={item.description}
+                    onChange={(e) => updateItem(index, 'description', e.target.value)}
+                    placeholder="Description"
+                    className="flex-1 min-w-0 px-2 py-2 border border-gray-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    required
+                    value={item.amount}
+                    onChange={(e) => updateItem(index, 'amount', e.target.value)}
+                    placeholder="$"
+                    className="w-24 px-2 py-2 border border-gray-300 rounded-md text-sm"
+                  />
+                  {items.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => removeItem(index)}
+                      className="text-red-600 hover:text-red-800 text-sm"
+                      aria-label="Remove line item"
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+              ))}
+              {items.length < MAX_QUOTE_ITEMS && (
+                <button
+                  type="button"
+                  onClick={() => setItems(prev => [...prev, emptyItem()])}
+                  className="text-sm text-blue-600 hover:text-blue-500"
+                >
+                  + Add line item
+                </button>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Tax (%)
+              </label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={taxPercent}
+                onChange={(e) => setTaxPercent(e.target.value)}
+                className="mt-1 block w-32 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+
+            <div className="p-3 bg-gray-50 rounded-md text-sm text-gray-700">
+              <div className="flex justify-between">
+                <span>Subtotal</span>
+                <span>${subtotal.toFixed(2)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Tax</span>
+                <span>${tax.toFixed(2)}</span>
+              </div>
+              <div className="flex justify-between font-medium text-gray-900">
+                <span>Total</span>
+                <span>${total.toFixed(2)}</span>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Message
+              </label>
+              <textarea
+                rows={2}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Anything the customer should know about this quote?"
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Sending...' : 'Send Quote'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
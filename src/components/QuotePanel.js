@@ -0,0 +1,141 @@
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import QuoteModal from '@/components/QuoteModal';
+import { respondToQuote } from '@/lib/firestore';
+import { canRespondToQuote, canSendQuote, getAcceptedQuote, getPendingQuote, getQuoteItemLabel } from '@/lib/quotes';
+
+const QuoteBreakdown = ({ quote }) => (
+  <table className="mt-2 w-full text-sm text-gray-700">
+    <tbody>
+      {quote.items.map((item, index) => (
+        <tr key={index}>
+          <td className="py-0.5">
+            {getQuoteItemLabel(item.type)}
+            {item.description && <span className="text-gray-500"> - {item.description}</span>}
+          </td>
+          <td className="py-0.5 text-right">${item.amount.toFixed(2)}</td>
+        </tr>
+      ))}
+      <tr className="border-t">
+        <td className="pt-1">Tax ({quote.taxPercent}%)</td>
+        <td className="pt-1 text-right">${quote.tax.toFixed(2)}</td>
+      </tr>
+      <tr className="font-medium text-gray-900">
+        <td>Total</td>
+        <td className="text-right">${quote.total.toFixed(2)}</td>
+      </tr>
+    </tbody>
+  </table>
+);
+
+// Quotes on a booking. Providers send and revise quotes on pending requests;
+// customers accept one to confirm the booking, or decline it. Once accepted,
+// both sides see the breakdown of the agreed price
+export default function QuotePanel({ booking, role }) {
+  const { user } = useAuth();
+  const [showModal, setShowModal] = useState(false);
+  const [responding, setResponding] = useState(false);
+
+  const acceptedQuote = getAcceptedQuote(booking);
+  const pendingQuote = getPendingQuote(booking);
+  const quotes = booking.quotes || [];
+  const lastQuote = quotes[quotes.length - 1] || null;
+  const canQuote = canSendQuote(booking, role);
+
+  if (!acceptedQuote && !pendingQuote && !canQuote) {
+    return null;
+  }
+
+  const handleRespond = async (accept) => {
+    if (accept && !window.confirm(`Accept this quote of $${pendingQuote.total.toFixed(2)}? Your booking will be confirmed at this price.`)) {
+      return;
+    }
+
+    setResponding(true);
+    try {
+      const result = await respondToQuote(booking.id, pendingQuote.id, { uid: user.uid, role }, accept);
+      if (!result.success) {
+        alert(result.error);
+      }
+    } catch (error) {
+      console.error('Error responding to quote:', error);
+      alert('Error responding to quote. Please try again.');
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      {acceptedQuote ? (
+        <div className="p-3 bg-green-50 rounded-md">
+          <p className="text-sm font-medium text-green-800">Accepted quote</p>
+          <QuoteBreakdown quote={acceptedQuote} />
+        </div>
+      ) : pendingQuote ? (
+        <div className="p-3 bg-yellow-50 rounded-md">
+          <p className="text-sm font-medium text-yellow-800">
+            {role === 'provider' ? 'Quote sent - waiting for the customer' : 'The provider sent a quote'}
+          </p>
+          <QuoteBreakdown quote={pendingQuote} />
+          {pendingQuote.note && (
+            <p className="text-sm text-yellow-700 mt-1">&quot;{pendingQuote.note}&quot;</p>
+          )}
+
+          {canRespondToQuote(booking, pendingQuote, role) && (
+            <div className="mt-3 flex justify-end space-x-2">
+              <button
+                onClick={() => handleRespond(true)}
+                disabled={responding}
+                className="text-sm bg-green-600 text-white px-3 py-1 rounded-md hover:bg-green-700 disabled:opacity-50 transition-colors"
+              >
+                Accept Quote
+              </button>
+              <button
+                onClick={() => handleRespond(false)}
+                disabled={responding}
+                className="text-sm bg-red-600 text-white px-3 py-1 rounded-md hover:bg-red-700 disabled:opacity-50 transition-colors"
+              >
+                Decline
+              </button>
+            </div>
+          )}
+          {canQuote && (
+            <div className="mt-3 flex justify-end">
+              <button
+                onClick={() => setShowModal(true)}
+                className="text-sm bg-white text-yellow-800 border border-yellow-300 px-3 py-1 rounded-md hover:bg-yellow-100 transition-colors"
+              >
+                Revise Quote
+              </button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            {lastQuote?.status === 'declined'
+              ? `The customer declined your $${lastQuote.total.toFixed(2)} quote.`
+              : 'Send an itemized quote for the customer to accept.'}
+          </p>
+          <button
+            onClick={() => setShowModal(true)}
+            className="text-sm bg-white text-blue-600 border border-blue-300 px-3 py-1 rounded-md hover:bg-blue-50 transition-colors"
+          >
+            {lastQuote ? 'Send Revised Quote' : 'Send Quote'}
+          </button>
+        </div>
+      )}
+
+      {showModal && (
+        <QuoteModal
+          booking={booking}
+          previousQuote={lastQuote}
+          onClose={() => setShowModal(false)}
+        />
+      )}
+    </div>
+  );
+}
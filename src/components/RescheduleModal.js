@@ -0,0 +1,168 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { getProviderProfile, proposeReschedule } from '@/lib/firestore';
+import { getAvailableSlots } from '@/lib/availabilityService';
+import { formatTimeForDisplay, getBookingDuration, getBookingWindow } from '@/lib/availability';
+
+export default function RescheduleModal({ booking, role, onClose }) {
+  const { user } = useAuth();
+  const [provider, setProvider] = useState(null);
+  const [scheduledDate, setScheduledDate] = useState('');
+  const [scheduledTime, setScheduledTime] = useState('');
+  const [note, setNote] = useState('');
+  const [slots, setSlots] = useState([]);
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const duration = getBookingDuration(booking);
+
+  useEffect(() => {
+    getProviderProfile(booking.providerId).then(result => {
+      if (result.success) {
+        setProvider(result.data);
+      }
+    });
+  }, [booking.providerId]);
+
+  // Offer only times the provider could take, ignoring this booking's current slot
+  useEffect(() => {
+    if (!provider || !scheduledDate) {
+      setSlots([]);
+      return;
+    }
+
+    let cancelled = false;
+    setSlotsLoading(true);
+    setScheduledTime('');
+
+    getAvailableSlots(provider, scheduledDate, scheduledDate, duration, { excludeBookingId: booking.id }).then(result => {
+      if (cancelled) return;
+      setSlots(result.success ? result.data[scheduledDate] : []);
+      setSlotsLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, scheduledDate, duration, booking.id]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const result = await proposeReschedule(booking.id, { uid: user.uid, role }, { scheduledDate, scheduledTime, note });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      onClose();
+    } catch (error) {
+      console.error('Error proposing new time:', error);
+      alert(error.message || 'Error proposing new time. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const bookingWindow = getBookingWindow(provider);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+        <div className="mt-3">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">
+            Propose a New Time
+          </h3>
+
+          <div className="mb-4">
+            <p className="text-sm text-gray-600 mb-2">
+              <span className="font-medium">Service:</span> {booking.serviceType}
+            </p>
+            <p className="text-sm text-gray-600">
+              <span className="font-medium">Currently:</span> {booking.scheduledDate} at {formatTimeForDisplay(booking.scheduledTime)}
+            </p>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                New Date *
+              </label>
+              <input
+                type="date"
+                required
+                min={bookingWindow.minDate}
+                max={bookingWindow.maxDate || undefined}
+                value={scheduledDate}
+                onChange={(e) => setScheduledDate(e.target.value)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                New Time *
+              </label>
+              {!scheduledDate ? (
+                <p className="mt-2 text-sm text-gray-500">Please select a date first</p>
+              ) : slotsLoading ? (
+                <p className="mt-2 text-sm text-gray-500">Loading available times...</p>
+              ) : slots.length === 0 ? (
+                <p className="mt-2 text-sm text-red-600">No available time slots for this date</p>
+              ) : (
+                <div className="mt-2 grid grid-cols-3 gap-2">
+                  {slots.map((slot) => (
+                    <button
+                      key={slot}
+                      type="button"
+                      onClick={() => setScheduledTime(slot)}
+                      className={`px-3 py-2 text-sm rounded-md border transition-colors ${
+                        scheduledTime === slot
+                          ? 'bg-blue-600 text-white border-blue-600'
+                          : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      {formatTimeForDisplay(slot)}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Message
+              </label>
+              <textarea
+                rows={2}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Why does the time need to change?"
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={submitting || !scheduledTime}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Sending...' : 'Send Proposal'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import RescheduleModal from '@/components/RescheduleModal';
+import { respondToReschedule } from '@/lib/firestore';
+import { formatTimeForDisplay } from '@/lib/availability';
+import { canProposeReschedule, canRespondToProposal, getPendingProposal } from '@/lib/rescheduling';
+
+// Shows the open rescheduling proposal on a booking and lets either party
+// propose, accept, reject or counter. role is the viewer's side of the booking
+export default function ReschedulePanel({ booking, role }) {
+  const { user } = useAuth();
+  const [showModal, setShowModal] = useState(false);
+  const [responding, setResponding] = useState(false);
+
+  if (!canProposeReschedule(booking, role)) {
+    return null;
+  }
+
+  const proposal = getPendingProposal(booking);
+  const otherParty = role === 'customer' ? 'provider' : 'customer';
+
+  const handleRespond = async (accept) => {
+    setResponding(true);
+    try {
+      const result = await respondToReschedule(booking.id, proposal.id, { uid: user.uid, role }, accept);
+      if (!result.success) {
+        alert(result.error);
+      }
+    } catch (error) {
+      console.error('Error responding to proposal:', error);
+      alert('Error responding to proposal. Please try again.');
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      {proposal ? (
+        <div className="p-3 bg-purple-50 rounded-md">
+          <p className="text-sm text-purple-800">
+            {proposal.proposedBy === role ? 'You proposed' : `The ${otherParty} proposed`} moving this booking to{' '}
+            <span className="font-medium">
+              {proposal.scheduledDate} at {formatTimeForDisplay(proposal.scheduledTime)}
+            </span>
+          </p>
+          {proposal.note && (
+            <p className="text-sm text-purple-700 mt-1">&quot;{proposal.note}&quot;</p>
+          )}
+
+          {canRespondToProposal(proposal, role) ? (
+            <div className="mt-3 flex justify-end space-x-2">
+              <button
+                onClick={() => handleRespond(true)}
+                disabled={responding}
+                className="text-sm bg-green-600 text-white px-3 py-1 rounded-md hover:bg-green-700 disabled:opacity-50 transition-colors"
+              >
+                Accept
+              </button>
+              <button
+                onClick={() => handleRespond(false)}
+                disabled={responding}
+                className="text-sm bg-red-600 text-white px-3 py-1 rounded-md hover:bg-red-700 disabled:opacity-50 transition-colors"
+              >
+                Reject
+              </button>
+              <button
+                onClick={() => setShowModal(true)}
+                disabled={responding}
+                className="text-sm bg-white text-purple-700 border border-purple-300 px-3 py-1 rounded-md hover:bg-purple-100 disabled:opacity-50 transition-colors"
+              >
+                Suggest Another Time
+              </button>
+            </div>
+          ) : (
+            <p className="text-xs text-purple-600 mt-1">Waiting for the {otherParty} to respond</p>
+          )}
+        </div>
+      ) : (
+        <div className="flex justify-end">
+          <button
+            onClick={() => setShowModal(true)}
+            className="text-sm bg-white text-purple-700 border border-purple-300 px-4 py-2 rounded-md hover:bg-purple-50 transition-colors"
+          >
+            Propose New Time
+          </button>
+        </div>
+      )}
+
+      {showModal && (
+        <RescheduleModal
+          booking={booking}
+          role={role}
+          onClose={() => setShowModal(false)}
+        />
+      )}
+    </div>
+  );
+}
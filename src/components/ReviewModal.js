@@ -3,12 +3,19 @@
 import { useState } from 'react';
 import { updateDoc, doc } from 'firebase/firestore';
 import { db } from '@/lib/firebase';
+import { createNotification, settlePayment } from '@/lib/firestore';
+import { NOTIFICATION_TYPES } from '@/lib/notifications';
+import { canReviewBooking } from '@/lib/reliability';
+import { TIP_PERCENT_OPTIONS, getSuggestedTip, validateTip } from '@/lib/payments';
 
 export default function ReviewModal({ booking, onClose, onSubmit }) {
   const [rating, setRating] = useState(0);
   const [comment, setComment] = useState('');
+  const [tip, setTip] = useState('');
   const [submitting, setSubmitting] = useState(false);
 
+  const tipAmount = Math.round((Number(tip) || 0) * 100) / 100;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -17,6 +24,18 @@ export default function ReviewModal({ booking, onClose, onSubmit }) {
       return;
     }
 
+    // No-shows and jobs that never finished can't be reviewed
+    if (!canReviewBooking(booking)) {
+      alert('This booking can no longer be reviewed.');
+      return;
+    }
+
+    const tipError = validateTip(tip || 0);
+    if (tipError) {
+      alert(tipError);
+      return;
+    }
+
     setSubmitting(true);
 
     try {
@@ -28,8 +47,18 @@ export default function ReviewModal({ booking, onClose, onSubmit }) {
 
       await updateDoc(doc(db, 'bookings', booking.id), {
         customerReview: reviewData,
+        ...(tipAmount > 0 && { tip: tipAmount }),
         updatedAt: new Date().toISOString()
       });
+      await createNotification('provider', NOTIFICATION_TYPES.REVIEW_RECEIVED, booking, { rating, tip: tipAmount });
+
+      // The tip is charged with the rest of the booking's payment
+      if (tipAmount > 0) {
+        const payment = await settlePayment(booking.id);
+        if (!payment.success) {
+          alert(`Your review was saved, but your tip could not be charged: ${payment.error} You can retry it from your dashboard.`);
+        }
+      }
 
       onSubmit(reviewData);
       onClose();
@@ -108,6 +137,48 @@ export default function ReviewModal({ booking, onClose, onSubmit }) {
               />
             </div>
 
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Add a tip
+              </label>
+              <p className="text-xs text-gray-500 mb-2">Optional. Tips go to {booking.providerName} in full.</p>
+              <div className="flex space-x-2">
+                <button
+                  type="button"
+                  onClick={() => setTip('')}
+                  className={`px-3 py-1 text-sm rounded-md border ${
+                    tipAmount === 0 ? 'border-blue-600 bg-blue-50 text-blue-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  No tip
+                </button>
+                {Number(booking.totalPrice) > 0 && TIP_PERCENT_OPTIONS.map(percent => {
+                  const suggested = getSuggestedTip(booking, percent);
+                  return (
+                    <button
+                      key={percent}
+                      type="button"
+                      onClick={() => setTip(String(suggested))}
+                      className={`px-3 py-1 text-sm rounded-md border ${
+                        tipAmount === suggested ? 'border-blue-600 bg-blue-50 text-blue-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      {percent}%
+                    </button>
+                  );
+                })}
+              </div>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={tip}
+                onChange={(e) => setTip(e.target.value)}
+                placeholder="Other amount ($)"
+                className="mt-2 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+
             <div className="flex justify-end space-x-3 pt-4">
               <button
                 type="button"
@@ -121,7 +192,7 @@ export default function ReviewModal({ booking, onClose, onSubmit }) {
                 disabled={submitting || rating === 0}
                 className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                {submitting ? 'Submitting...' : 'Submit Review'}
+                {submitting ? 'Submitting...' : tipAmount > 0 ? `Submit Review and $${tipAmount.toFixed(2)} Tip` : 'Submit Review'}
               </button>
             </div>
           </form>
@@ -0,0 +1,123 @@
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { cancelBooking, cancelBookingSeries, updateSeriesStatus } from '@/lib/firestore';
+import { canTransition } from '@/lib/bookingStatus';
+import { describeCancellationPolicy, getCancellationFee } from '@/lib/cancellationPolicy';
+import { describeRecurrence } from '@/lib/recurrence';
+
+// Series details and actions for one occurrence of a recurring booking.
+// Providers can answer the whole series at once; either side can skip this
+// date or cancel every remaining occurrence
+export default function SeriesPanel({ booking, role }) {
+  const { user } = useAuth();
+  const [updating, setUpdating] = useState(false);
+
+  if (!booking.seriesId) {
+    return null;
+  }
+
+  const actor = { uid: user.uid, role };
+  const canCancel = canTransition(booking.status, 'cancelled', role);
+
+  const runAction = async (action, errorMessage) => {
+    setUpdating(true);
+    try {
+      const result = await action();
+      if (!result.success) {
+        alert(result.error || errorMessage);
+      }
+    } catch (error) {
+      console.error('Error updating booking series:', error);
+      alert(errorMessage);
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleSeriesStatus = (status) => {
+    runAction(() => updateSeriesStatus(booking.seriesId, status, actor), 'Failed to update the series. Please try again.');
+  };
+
+  const handleSkip = () => {
+    let message = 'Skip this date? The rest of the series is not affected.';
+    if (role === 'customer') {
+      const { isLate, fee } = getCancellationFee(booking);
+      message += isLate
+        ? `\n\nThis is a late cancellation. A fee of $${fee.toFixed(2)} applies under the provider's policy.`
+        : '\n\nYou will not be charged for skipping it.';
+    }
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    runAction(() => cancelBooking(booking.id, actor, 'Skipped this date'), 'Failed to skip this date. Please try again.');
+  };
+
+  const handleCancelSeries = () => {
+    const message = role === 'customer'
+      ? 'Cancel every remaining booking in this series?\n\nLate cancellation fees apply to any that start within the free cancellation period.'
+      : 'Cancel every remaining booking in this series?';
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    runAction(() => cancelBookingSeries(booking.seriesId, actor, 'Series cancelled'), 'Failed to cancel the series. Please try again.');
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-blue-50 rounded-md">
+      <p className="text-sm text-blue-800">
+        <span className="font-medium">Recurring:</span> {describeRecurrence(booking.recurrence)}
+        {booking.occurrenceCount && ` (booking ${booking.occurrenceIndex + 1} of ${booking.occurrenceCount})`}
+      </p>
+      {role === 'customer' && canCancel && (
+        <p className="text-xs text-blue-700 mt-1">
+          {describeCancellationPolicy(booking.cancellationPolicy)}
+        </p>
+      )}
+
+      {(canCancel || (role === 'provider' && booking.status === 'pending')) && (
+        <div className="mt-3 flex flex-wrap justify-end gap-2">
+          {role === 'provider' && booking.status === 'pending' && (
+            <>
+              <button
+                onClick={() => handleSeriesStatus('confirmed')}
+                disabled={updating}
+                className="text-sm bg-green-600 text-white px-3 py-1 rounded-md hover:bg-green-700 disabled:opacity-50 transition-colors"
+              >
+                Accept Series
+              </button>
+              <button
+                onClick={() => handleSeriesStatus('rejected')}
+                disabled={updating}
+                className="text-sm bg-red-600 text-white px-3 py-1 rounded-md hover:bg-red-700 disabled:opacity-50 transition-colors"
+              >
+                Decline Series
+              </button>
+            </>
+          )}
+          {canCancel && (
+            <>
+              <button
+                onClick={handleSkip}
+                disabled={updating}
+                className="text-sm bg-white text-blue-700 border border-blue-300 px-3 py-1 rounded-md hover:bg-blue-100 disabled:opacity-50 transition-colors"
+              >
+                Skip This Date
+              </button>
+              <button
+                onClick={handleCancelSeries}
+                disabled={updating}
+                className="text-sm bg-white text-red-600 border border-red-300 px-3 py-1 rounded-md hover:bg-red-50 disabled:opacity-50 transition-colors"
+              >
+                Cancel Series
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,97 +1,545 @@
 // Utility functions for provider availability checking
+import {
+  addDays,
+  getDayOfWeek,
+  getLocalTimeZone,
+  getProviderTimeZone,
+  getTodayInTimeZone,
+  getZonedDateTime,
+  zonedTimeToDate
+} from './timezone';
+
+// Statuses that hold a provider's time
+export const BLOCKING_STATUSES = ['pending', 'confirmed', 'in-progress'];
+
+// Job length used when neither the booking nor the service says otherwise
+export const DEFAULT_BOOKING_DURATION = 60;
+
+// Step between bookable start times, independent of job length
+export const SLOT_INTERVAL_MINUTES = 30;
+
+// Typical job length in minutes for each service category
+export const SERVICE_DURATIONS = {
+  electrician: 60,
+  tutor: 60,
+  cleaner: 120,
+  plumber: 90,
+  gardener: 120,
+  painter: 180
+};
 
 /**
- * Check if a provider is available on a specific date and time
- * @param {Object} provider - Provider object with availability data
+ * Get the expected job length for a service type
+ * @param {string} serviceType - Service category id
+ * @returns {number} - Duration in minutes
+ */
+export const getServiceDuration = (serviceType) => {
+  return SERVICE_DURATIONS[serviceType] || DEFAULT_BOOKING_DURATION;
+};
+
+/**
+ * Get the length of an existing booking
+ * Bookings made before durations were recorded count as a single hour
+ * @param {Object} booking - Booking object
+ * @returns {number} - Duration in minutes
+ */
+export const getBookingDuration = (booking) => {
+  return booking.duration || DEFAULT_BOOKING_DURATION;
+};
+
+/**
+ * Get the padding a provider keeps around a job of the given type
+ * Per-service settings override the provider's defaults
+ * @param {Object} provider - Provider object
+ * @param {string} serviceType - Service category id
+ * @returns {Object} - { before, after } in minutes
+ */
+export const getBufferTimes = (provider, serviceType) => {
+  const serviceBuffers = provider?.serviceBuffers?.[serviceType] || {};
+  return {
+    before: Number(serviceBuffers.before ?? provider?.bufferBefore ?? 0) || 0,
+    after: Number(serviceBuffers.after ?? provider?.bufferAfter ?? 0) || 0
+  };
+};
+
+/**
+ * Get the largest padding any of a provider's services can need
+ * @param {Object} provider - Provider object
+ * @returns {Object} - { before, after } in minutes
+ */
+export const getMaxBufferTimes = (provider) => {
+  const serviceTypes = [undefined, ...Object.keys(provider?.serviceBuffers || {})];
+  return serviceTypes.reduce((max, serviceType) => {
+    const buffers = getBufferTimes(provider, serviceType);
+    return {
+      before: Math.max(max.before, buffers.before),
+      after: Math.max(max.after, buffers.after)
+    };
+  }, { before: 0, after: 0 });
+};
+
+/**
+ * Get the time an existing booking keeps blocked, including its buffers
+ * Buffers recorded on the booking win over the provider's current settings
+ * @param {Object} booking - Booking object
+ * @param {Object} provider - Provider object
+ * @returns {Object} - { start, end } in minutes
+ */
+export const getBookingBlockedRange = (booking, provider) => {
+  const buffers = getBufferTimes(provider, booking.serviceType);
+  const start = timeToMinutes(booking.scheduledTime);
+  return {
+    start: start - (booking.bufferBefore ?? buffers.before),
+    end: start + getBookingDuration(booking) + (booking.bufferAfter ?? buffers.after)
+  };
+};
+
+/**
+ * Convert a time string to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} - Minutes since midnight
+ */
+export const timeToMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Convert minutes since midnight to a time string
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} - Time in HH:MM format
+ */
+export const minutesToTime = (minutes) => {
+  const hour = Math.floor(minutes / 60);
+  const minute = minutes % 60;
+  return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Check whether two time ranges overlap
+ * Ranges are half-open, so a job ending at 11:00 does not clash with one starting at 11:00
+ * @param {number} startA - Start of first range in minutes
+ * @param {number} endA - End of first range in minutes
+ * @param {number} startB - Start of second range in minutes
+ * @param {number} endB - End of second range in minutes
+ * @returns {boolean} - True if the ranges overlap
+ */
+export const rangesOverlap = (startA, endA, startB, endB) => {
+  return startA < endB && startB < endA;
+};
+
+/**
+ * Format a duration for display
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} - Formatted duration (e.g., "1h 30m")
+ */
+export const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const remainder = minutes % 60;
+  if (hours === 0) return `${remainder}m`;
+  return remainder ? `${hours}h ${remainder}m` : `${hours}h`;
+};
+
+/**
+ * Get the range of dates and times a provider accepts new bookings for
+ * minNoticeHours keeps short-notice requests out; maxAdvanceDays caps how far ahead customers can book
+ * @param {Object} provider - Provider object
+ * @returns {Object} - { earliest: Date, minDate, maxDate } with dates in YYYY-MM-DD format
+ *   (maxDate is null when there is no limit)
+ */
+export const getBookingWindow = (provider) => {
+  const timeZone = getProviderTimeZone(provider);
+  const minNoticeHours = Number(provider?.minNoticeHours) || 0;
+  const maxAdvanceDays = Number(provider?.maxAdvanceDays) || 0;
+  const earliest = new Date(Date.now() + minNoticeHours * 60 * 60 * 1000);
+
+  return {
+    earliest,
+    minDate: getZonedDateTime(earliest, timeZone).date,
+    maxDate: maxAdvanceDays > 0 ? addDays(getTodayInTimeZone(timeZone), maxAdvanceDays) : null
+  };
+};
+
+/**
+ * Check if a slot respects the provider's notice period and booking horizon
+ * Slots in the past are always outside the window
+ * @param {Object} provider - Provider object
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {string} time - Time in HH:MM format
- * @param {Array} existingBookings - Array of existing bookings for the provider
- * @returns {boolean} - True if available, false otherwise
+ * @returns {boolean} - True if the slot can be booked now
  */
-export const isProviderAvailable = (provider, date, time, existingBookings = []) => {
-  if (!provider?.availability || !date || !time) {
+export const isWithinBookingWindow = (provider, date, time) => {
+  const { earliest, maxDate } = getBookingWindow(provider);
+  if (maxDate && date > maxDate) {
     return false;
   }
+  return zonedTimeToDate(date, time, getProviderTimeZone(provider)) >= earliest;
+};
 
-  // Get day of week (0 = Sunday, 1 = Monday, etc.)
-  const dayOfWeek = new Date(date).getDay();
-  const dayAvailability = provider.availability[dayOfWeek];
+/**
+ * Bring a day's availability into the intervals/breaks shape
+ * Older profiles stored a single startTime/endTime pair per day
+ * @param {Object} dayAvailability - Day availability object
+ * @returns {Object} - { available, intervals, breaks } with times in HH:MM format
+ */
+export const normalizeDayAvailability = (dayAvailability) => {
+  if (!dayAvailability) {
+    return { available: false, intervals: [], breaks: [] };
+  }
 
-  // Check if provider works on this day
-  if (!dayAvailability?.available) {
-    return false;
+  const legacyInterval = dayAvailability.startTime && dayAvailability.endTime
+    ? [{ startTime: dayAvailability.startTime, endTime: dayAvailability.endTime }]
+    : [];
+
+  return {
+    available: !!dayAvailability.available,
+    intervals: dayAvailability.intervals || legacyInterval,
+    breaks: dayAvailability.breaks || []
+  };
+};
+
+/**
+ * Get the working windows of a day with breaks taken out
+ * @param {Object} dayAvailability - Day availability object
+ * @returns {Array} - Sorted array of { start, end } windows in minutes
+ */
+export const getWorkingIntervals = (dayAvailability) => {
+  const { available, intervals, breaks } = normalizeDayAvailability(dayAvailability);
+  if (!available) {
+    return [];
   }
 
-  // Check if time is within working hours
-  const timeHour = parseInt(time.split(':')[0]);
-  const timeMinute = parseInt(time.split(':')[1]);
-  const requestedTime = timeHour * 60 + timeMinute;
+  let windows = intervals
+    .map(interval => ({ start: timeToMinutes(interval.startTime), end: timeToMinutes(interval.endTime) }))
+    .filter(window => window.start < window.end)
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, window) => {
+      // Extra hours from exceptions can touch or overlap the weekly ones
+      const last = merged[merged.length - 1];
+      if (last && window.start <= last.end) {
+        last.end = Math.max(last.end, window.end);
+      } else {
+        merged.push({ ...window });
+      }
+      return merged;
+    }, []);
+
+  breaks.forEach(({ startTime, endTime }) => {
+    const breakStart = timeToMinutes(startTime);
+    const breakEnd = timeToMinutes(endTime);
+
+    windows = windows.flatMap(window => {
+      if (!rangesOverlap(window.start, window.end, breakStart, breakEnd)) {
+        return [window];
+      }
+      const remaining = [];
+      if (window.start < breakStart) remaining.push({ start: window.start, end: breakStart });
+      if (breakEnd < window.end) remaining.push({ start: breakEnd, end: window.end });
+      return remaining;
+    });
+  });
 
-  const startHour = parseInt(dayAvailability.startTime.split(':')[0]);
-  const startMinute = parseInt(dayAvailability.startTime.split(':')[1]);
-  const startTime = startHour * 60 + startMinute;
+  return windows;
+};
 
-  const endHour = parseInt(dayAvailability.endTime.split(':')[0]);
-  const endMinute = parseInt(dayAvailability.endTime.split(':')[1]);
-  const endTime = endHour * 60 + endMinute;
+/**
+ * Get the staff members who take bookings for a provider
+ * Providers without staff work alone and take one job at a time
+ * @param {Object} provider - Provider object
+ * @returns {Array} - Array of staff objects { id, name, availability }
+ */
+export const getActiveStaff = (provider) => {
+  return (provider?.staff || []).filter(member => member.active !== false);
+};
 
-  if (requestedTime < startTime || requestedTime >= endTime) {
-    return false;
-  }
+/**
+ * Get the schedule a staff member works to, shaped like a provider
+ * Staff without their own weekly schedule follow the provider's, and the
+ * provider's closures and extra hours apply to everyone
+ * @param {Object} provider - Provider object
+ * @param {Object} member - Staff object
+ * @returns {Object} - { availability, availabilityExceptions }
+ */
+export const getStaffSchedule = (provider, member) => {
+  return {
+    availability: member.availability || provider?.availability,
+    availabilityExceptions: provider?.availabilityExceptions || []
+  };
+};
 
-  // Check if there's already a booking at this time
-  const conflictingBooking = existingBookings.find(booking => 
-    booking.scheduledDate === date && 
-    booking.scheduledTime === time &&
-    ['pending', 'confirmed'].includes(booking.status)
-  );
+/**
+ * Get the date-specific exceptions that apply to a date
+ * Closures cover startDate to endDate inclusive; extra hours apply to a single date
+ * @param {Object} provider - Provider object
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Array} - Matching exception objects
+ */
+export const getExceptionsForDate = (provider, date) => {
+  return (provider?.availabilityExceptions || []).filter(exception => {
+    if (exception.type === 'closed') {
+      return exception.startDate <= date && date <= (exception.endDate || exception.startDate);
+    }
+    return exception.date === date;
+  });
+};
 
-  return !conflictingBooking;
+/**
+ * Get the closure covering a date, if any
+ * @param {Object} provider - Provider object
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object|null} - Closure exception or null
+ */
+export const getClosureForDate = (provider, date) => {
+  return getExceptionsForDate(provider, date).find(exception => exception.type === 'closed') || null;
 };
 
 /**
- * Get available time slots for a provider on a specific date
- * This now considers accepted bookings and shows realistic availability
+ * Get a provider's availability settings for a specific date
+ * Starts from the weekly schedule and applies date-specific exceptions:
+ * closures win over everything, extra hours are added to the day.
+ * A team is open whenever at least one staff member is working
  * @param {Object} provider - Provider object with availability data
  * @param {string} date - Date in YYYY-MM-DD format
- * @param {Array} existingBookings - Array of existing bookings for the provider
- * @param {number} slotDuration - Duration of each slot in minutes (default: 60)
- * @returns {Array} - Array of available time slots in HH:MM format
+ * @returns {Object|undefined} - Day availability object
  */
-export const getAvailableTimeSlots = (provider, date, existingBookings = [], slotDuration = 60) => {
-  if (!provider?.availability || !date) {
-    return [];
+export const getDayAvailability = (provider, date) => {
+  const staff = getActiveStaff(provider);
+  if (staff.length > 0) {
+    const intervals = staff
+      .flatMap(member => getWorkingIntervals(getDayAvailability(getStaffSchedule(provider, member), date)))
+      .map(window => ({ startTime: minutesToTime(window.start), endTime: minutesToTime(window.end) }));
+    return { available: intervals.length > 0, intervals, breaks: [] };
   }
 
-  const dayOfWeek = new Date(date).getDay();
-  const dayAvailability = provider.availability[dayOfWeek];
+  const weeklyAvailability = provider?.availability?.[getDayOfWeek(date)];
+  const exceptions = getExceptionsForDate(provider, date);
 
-  if (!dayAvailability?.available) {
-    return [];
+  if (exceptions.some(exception => exception.type === 'closed')) {
+    return { available: false, intervals: [], breaks: [] };
   }
 
-  const slots = [];
-  const startHour = parseInt(dayAvailability.startTime.split(':')[0]);
-  const startMinute = parseInt(dayAvailability.startTime.split(':')[1]);
-  const endHour = parseInt(dayAvailability.endTime.split(':')[0]);
-  const endMinute = parseInt(dayAvailability.endTime.split(':')[1]);
+  const extraIntervals = exceptions
+    .filter(exception => exception.type === 'extra-hours')
+    .flatMap(exception => exception.intervals || []);
+  if (extraIntervals.length === 0) {
+    return weeklyAvailability;
+  }
 
-  let currentTime = startHour * 60 + startMinute;
-  const endTime = endHour * 60 + endMinute;
+  const weekly = normalizeDayAvailability(weeklyAvailability);
+  return {
+    available: true,
+    intervals: [...(weekly.available ? weekly.intervals : []), ...extraIntervals],
+    breaks: weekly.available ? weekly.breaks : []
+  };
+};
 
-  while (currentTime + slotDuration <= endTime) {
-    const hour = Math.floor(currentTime / 60);
-    const minute = currentTime % 60;
-    const timeString = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+/**
+ * Validate a date-specific exception before saving
+ * @param {Object} exception - Exception object
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateAvailabilityException = (exception) => {
+  if (exception.type === 'closed') {
+    if (!exception.startDate) {
+      return 'Choose the first day of the closure';
+    }
+    if (exception.endDate && exception.endDate < exception.startDate) {
+      return 'The closure must end on or after its first day';
+    }
+    return null;
+  }
 
-    if (isProviderAvailable(provider, date, timeString, existingBookings)) {
-      slots.push(timeString);
+  if (exception.type === 'extra-hours') {
+    if (!exception.date) {
+      return 'Choose the date for the extra hours';
     }
+    const invalidInterval = (exception.intervals || []).length === 0 || exception.intervals.some(interval =>
+      !interval.startTime || !interval.endTime || timeToMinutes(interval.startTime) >= timeToMinutes(interval.endTime)
+    );
+    return invalidInterval ? 'Extra hours must end after they start' : null;
+  }
 
-    currentTime += slotDuration;
+  return 'Unknown exception type';
+};
+
+/**
+ * Format a day's working windows for display
+ * @param {Object} dayAvailability - Day availability object
+ * @returns {string} - Working hours (e.g., "08:00 - 12:00, 16:00 - 20:00")
+ */
+export const formatWorkingHours = (dayAvailability) => {
+  return getWorkingIntervals(dayAvailability)
+    .map(window => `${minutesToTime(window.start)} - ${minutesToTime(window.end)}`)
+    .join(', ');
+};
+
+/**
+ * Validate a day's intervals and breaks before saving
+ * @param {Object} dayAvailability - Day availability object
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateDayAvailability = (dayAvailability) => {
+  const { available, intervals, breaks } = normalizeDayAvailability(dayAvailability);
+  if (!available) {
+    return null;
   }
 
-  return slots;
+  if (intervals.length === 0) {
+    return 'Add at least one working interval';
+  }
+
+  const ranges = [...intervals, ...breaks];
+  if (ranges.some(range => !range.startTime || !range.endTime || timeToMinutes(range.startTime) >= timeToMinutes(range.endTime))) {
+    return 'Each interval and break must end after it starts';
+  }
+
+  const sorted = intervals
+    .map(interval => [timeToMinutes(interval.startTime), timeToMinutes(interval.endTime)])
+    .sort((a, b) => a[0] - b[0]);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i][0] < sorted[i - 1][1]) {
+      return 'Working intervals must not overlap';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get every start time on a day where a job of the given length fits a working window
+ * @param {Object} dayAvailability - Day availability object
+ * @param {number} duration - Length of the job in minutes
+ * @param {number} slotInterval - Minutes between candidate start times
+ * @returns {Array} - Array of time slots in HH:MM format
+ */
+const getCandidateSlots = (dayAvailability, duration, slotInterval) => {
+  return getWorkingIntervals(dayAvailability).flatMap(window =>
+    generateTimeSlots(minutesToTime(window.start), minutesToTime(window.end), duration, slotInterval)
+  );
+};
+
+/**
+ * Check whether a job fits inside one of a day's working windows
+ * @param {Object} dayAvailability - Day availability object
+ * @param {number} start - Start of the job in minutes
+ * @param {number} end - End of the job in minutes
+ * @returns {boolean} - True if the whole job fits
+ */
+const fitsWorkingHours = (dayAvailability, start, end) => {
+  return getWorkingIntervals(dayAvailability).some(window => start >= window.start && end <= window.end);
+};
+
+/**
+ * Find the first booking whose time or buffers overlap a job
+ * @param {Object} provider - Provider object
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} start - Start of the job in minutes
+ * @param {number} end - End of the job in minutes
+ * @param {Array} existingBookings - Bookings to check against
+ * @returns {Object|undefined} - Conflicting booking, if any
+ */
+const findConflictingBooking = (provider, date, start, end, existingBookings) => {
+  return existingBookings.find(booking => {
+    if (booking.scheduledDate !== date || !BLOCKING_STATUSES.includes(booking.status)) {
+      return false;
+    }
+    const blocked = getBookingBlockedRange(booking, provider);
+    return rangesOverlap(start, end, blocked.start, blocked.end);
+  });
+};
+
+/**
+ * Get the staff members free to take a job at a specific date and time
+ * A member is free when the job fits their schedule and misses their own bookings
+ * @param {Object} provider - Provider object with staff
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {Array} existingBookings - Array of existing bookings for the provider
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
+ * @returns {Array} - Array of free staff objects
+ */
+export const getAvailableStaff = (provider, date, time, existingBookings = [], duration = DEFAULT_BOOKING_DURATION) => {
+  const start = timeToMinutes(time);
+  const end = start + duration;
+
+  return getActiveStaff(provider).filter(member =>
+    fitsWorkingHours(getDayAvailability(getStaffSchedule(provider, member), date), start, end) &&
+    !findConflictingBooking(provider, date, start, end, existingBookings.filter(booking => booking.staffId === member.id))
+  );
+};
+
+/**
+ * Get how many more jobs a provider can take at a specific date and time
+ * Solo providers have a capacity of one; a team has one per free staff member.
+ * Bookings not assigned to a current staff member still take one person each.
+ * The booking window is not considered here, see isProviderAvailable
+ * @param {Object} provider - Provider object with availability data
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {Array} existingBookings - Array of existing bookings for the provider
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
+ * @returns {number} - Number of jobs that can still be booked
+ */
+export const getSlotCapacity = (provider, date, time, existingBookings = [], duration = DEFAULT_BOOKING_DURATION) => {
+  const start = timeToMinutes(time);
+  const end = start + duration;
+  const staff = getActiveStaff(provider);
+
+  if (staff.length === 0) {
+    const isFree = fitsWorkingHours(getDayAvailability(provider, date), start, end) &&
+      !findConflictingBooking(provider, date, start, end, existingBookings);
+    return isFree ? 1 : 0;
+  }
+
+  const staffIds = staff.map(member => member.id);
+  const unassignedOverlapping = existingBookings.filter(booking =>
+    !staffIds.includes(booking.staffId) && findConflictingBooking(provider, date, start, end, [booking])
+  );
+  const freeStaff = getAvailableStaff(provider, date, time, existingBookings, duration);
+
+  return Math.max(0, freeStaff.length - unassignedOverlapping.length);
+};
+
+/**
+ * Check if a provider is available on a specific date and time
+ * @param {Object} provider - Provider object with availability data
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {Array} existingBookings - Array of existing bookings for the provider
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
+ * @returns {boolean} - True if available, false otherwise
+ */
+export const isProviderAvailable = (provider, date, time, existingBookings = [], duration = DEFAULT_BOOKING_DURATION) => {
+  if (!provider?.availability || !date || !time) {
+    return false;
+  }
+
+  // Check the provider's notice period and booking horizon
+  if (!isWithinBookingWindow(provider, date, time)) {
+    return false;
+  }
+
+  // Check that the job fits working hours and someone is left to take it
+  return getSlotCapacity(provider, date, time, existingBookings, duration) > 0;
+};
+
+/**
+ * Get available time slots for a provider on a specific date
+ * This now considers accepted bookings and shows realistic availability
+ * @param {Object} provider - Provider object with availability data
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Array} existingBookings - Array of existing bookings for the provider
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
+ * @param {number} slotInterval - Minutes between candidate start times (default: 30)
+ * @returns {Array} - Array of start times in HH:MM format where the whole job fits
+ */
+export const getAvailableTimeSlots = (provider, date, existingBookings = [], duration = DEFAULT_BOOKING_DURATION, slotInterval = SLOT_INTERVAL_MINUTES) => {
+  if (!provider?.availability || !date) {
+    return [];
+  }
+
+  return getCandidateSlots(getDayAvailability(provider, date), duration, slotInterval)
+    .filter(timeString => isProviderAvailable(provider, date, timeString, existingBookings, duration));
 };
 
 /**
@@ -99,34 +547,35 @@ export const getAvailableTimeSlots = (provider, date, existingBookings = [], slo
  * @param {Object} provider - Provider object with availability data
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {Array} existingBookings - Array of existing bookings for the provider
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
  * @returns {Object} - Availability status with details
  */
-export const getAvailabilityStatus = (provider, date, existingBookings = []) => {
+export const getAvailabilityStatus = (provider, date, existingBookings = [], duration = DEFAULT_BOOKING_DURATION) => {
   if (!provider?.availability || !date) {
     return { available: false, status: 'unavailable', message: 'No availability data' };
   }
 
-  const dayOfWeek = new Date(date).getDay();
-  const dayAvailability = provider.availability[dayOfWeek];
+  const dayAvailability = getDayAvailability(provider, date);
 
-  if (!dayAvailability?.available) {
+  if (getWorkingIntervals(dayAvailability).length === 0) {
+    const closure = getClosureForDate(provider, date);
     return { 
       available: false, 
       status: 'closed', 
-      message: 'Provider is closed on this day',
+      message: closure?.reason ? `Provider is closed: ${closure.reason}` : 'Provider is closed on this day',
       dayName: getDayName(date)
     };
   }
 
-  const availableSlots = getAvailableTimeSlots(provider, date, existingBookings);
-  const totalPossibleSlots = getTotalPossibleSlots(dayAvailability);
+  const availableSlots = getAvailableTimeSlots(provider, date, existingBookings, duration);
+  const totalPossibleSlots = getTotalPossibleSlots(dayAvailability, duration);
   const bookedSlots = getBookedSlotsForDate(date, existingBookings);
 
   if (availableSlots.length === 0) {
     return {
       available: false,
-      status: 'fully-booked',
-      message: 'Fully booked for this day',
+      status: totalPossibleSlots === 0 ? 'unavailable' : 'fully-booked',
+      message: totalPossibleSlots === 0 ? 'Working hours are too short for this job' : 'Fully booked for this day',
       bookedSlots: bookedSlots.length,
       totalSlots: totalPossibleSlots
     };
@@ -152,7 +601,7 @@ export const getAvailabilityStatus = (provider, date, existingBookings = []) =>
     bookedSlots: bookedSlots.length,
     totalSlots: totalPossibleSlots,
     availabilityPercentage: Math.round(availabilityPercentage),
-    workingHours: `${dayAvailability.startTime} - ${dayAvailability.endTime}`
+    workingHours: formatWorkingHours(dayAvailability)
   };
 };
 
@@ -166,7 +615,7 @@ export const getBookedSlotsForDate = (date, existingBookings = []) => {
   return existingBookings
     .filter(booking => 
       booking.scheduledDate === date && 
-      ['pending', 'confirmed'].includes(booking.status)
+      BLOCKING_STATUSES.includes(booking.status)
     )
     .map(booking => booking.scheduledTime)
     .sort();
@@ -175,29 +624,23 @@ export const getBookedSlotsForDate = (date, existingBookings = []) => {
 /**
  * Calculate total possible slots for a day
  * @param {Object} dayAvailability - Day availability object
- * @param {number} slotDuration - Duration of each slot in minutes
+ * @param {number} duration - Length of the requested job in minutes
+ * @param {number} slotInterval - Minutes between candidate start times
  * @returns {number} - Total number of possible slots
  */
-export const getTotalPossibleSlots = (dayAvailability, slotDuration = 60) => {
-  const startHour = parseInt(dayAvailability.startTime.split(':')[0]);
-  const startMinute = parseInt(dayAvailability.startTime.split(':')[1]);
-  const endHour = parseInt(dayAvailability.endTime.split(':')[0]);
-  const endMinute = parseInt(dayAvailability.endTime.split(':')[1]);
-
-  const startTime = startHour * 60 + startMinute;
-  const endTime = endHour * 60 + endMinute;
-  
-  return Math.floor((endTime - startTime) / slotDuration);
+export const getTotalPossibleSlots = (dayAvailability, duration = DEFAULT_BOOKING_DURATION, slotInterval = SLOT_INTERVAL_MINUTES) => {
+  return getCandidateSlots(dayAvailability, duration, slotInterval).length;
 };
 
 /**
  * Get day name from date
+ * The weekday of a calendar date is the same in every time zone
  * @param {string} date - Date in YYYY-MM-DD format
  * @returns {string} - Day name
  */
 export const getDayName = (date) => {
   const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  return days[new Date(date).getDay()];
+  return days[getDayOfWeek(date)];
 };
 
 /**
@@ -205,17 +648,16 @@ export const getDayName = (date) => {
  * @param {string} startTime - Start time in HH:MM format
  * @param {string} endTime - End time in HH:MM format
  * @param {number} duration - Duration of each slot in minutes
+ * @param {number} slotInterval - Minutes between slot start times (defaults to the duration)
  * @returns {Array} - Array of time slots
  */
-export const generateTimeSlots = (startTime, endTime, duration = 60) => {
+export const generateTimeSlots = (startTime, endTime, duration = DEFAULT_BOOKING_DURATION, slotInterval = duration) => {
   const slots = [];
-  const start = parseInt(startTime.split(':')[0]) * 60 + parseInt(startTime.split(':')[1]);
-  const end = parseInt(endTime.split(':')[0]) * 60 + parseInt(endTime.split(':')[1]);
+  const start = timeToMinutes(startTime);
+  const end = timeToMinutes(endTime);
   
-  for (let time = start; time + duration <= end; time += duration) {
-    const hour = Math.floor(time / 60);
-    const minute = time % 60;
-    slots.push(`${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`);
+  for (let time = start; time + duration <= end; time += slotInterval) {
+    slots.push(minutesToTime(time));
   }
   
   return slots;
@@ -223,20 +665,25 @@ export const generateTimeSlots = (startTime, endTime, duration = 60) => {
 
 /**
  * Get next available slot for a provider
+ * Days start from today in the provider's time zone and past slots are skipped
  * @param {Object} provider - Provider object
  * @param {Array} existingBookings - Existing bookings
  * @param {number} daysToCheck - Number of days to check ahead
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
  * @returns {Object|null} - Next available slot or null
  */
-export const getNextAvailableSlot = (provider, existingBookings = [], daysToCheck = 14) => {
-  const today = new Date();
+export const getNextAvailableSlot = (provider, existingBookings = [], daysToCheck = 14, duration = DEFAULT_BOOKING_DURATION) => {
+  const timeZone = getProviderTimeZone(provider);
+  const today = getTodayInTimeZone(timeZone);
   
   for (let i = 0; i < daysToCheck; i++) {
-    const checkDate = new Date(today);
-    checkDate.setDate(today.getDate() + i);
-    const dateString = checkDate.toISOString().split('T')[0];
+    const dateString = addDays(today, i);
     
-    const availableSlots = getAvailableTimeSlots(provider, dateString, existingBookings);
+    const availableSlots = filterPastSlots(
+      dateString,
+      getAvailableTimeSlots(provider, dateString, existingBookings, duration),
+      timeZone
+    );
     
     if (availableSlots.length > 0) {
       return {
@@ -255,19 +702,17 @@ export const getNextAvailableSlot = (provider, existingBookings = [], daysToChec
  * @param {Object} provider - Provider object
  * @param {string} weekStartDate - Start date of the week (YYYY-MM-DD)
  * @param {Array} existingBookings - Existing bookings
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
  * @returns {Object} - Weekly availability overview
  */
-export const getWeeklyAvailability = (provider, weekStartDate, existingBookings = []) => {
+export const getWeeklyAvailability = (provider, weekStartDate, existingBookings = [], duration = DEFAULT_BOOKING_DURATION) => {
   const weeklyAvailability = {};
-  const startDate = new Date(weekStartDate);
   
   for (let i = 0; i < 7; i++) {
-    const currentDate = new Date(startDate);
-    currentDate.setDate(startDate.getDate() + i);
-    const dateString = currentDate.toISOString().split('T')[0];
+    const dateString = addDays(weekStartDate, i);
     const dayName = getDayName(dateString);
     
-    weeklyAvailability[dayName] = getAvailabilityStatus(provider, dateString, existingBookings);
+    weeklyAvailability[dayName] = getAvailabilityStatus(provider, dateString, existingBookings, duration);
   }
   
   return weeklyAvailability;
@@ -277,29 +722,30 @@ export const getWeeklyAvailability = (provider, weekStartDate, existingBookings
  * Check if a time slot is in the past
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {string} time - Time in HH:MM format
+ * @param {string} timeZone - Time zone the slot is expressed in (default: local)
  * @returns {boolean} - True if in the past
  */
-export const isSlotInPast = (date, time) => {
-  const slotDateTime = new Date(`${date}T${time}:00`);
-  return slotDateTime < new Date();
+export const isSlotInPast = (date, time, timeZone = getLocalTimeZone()) => {
+  return zonedTimeToDate(date, time, timeZone) < new Date();
 };
 
 /**
  * Filter out past time slots
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {Array} timeSlots - Array of time slots
+ * @param {string} timeZone - Time zone the slots are expressed in (default: local)
  * @returns {Array} - Filtered time slots
  */
-export const filterPastSlots = (date, timeSlots) => {
-  const today = new Date().toISOString().split('T')[0];
+export const filterPastSlots = (date, timeSlots, timeZone = getLocalTimeZone()) => {
+  const today = getTodayInTimeZone(timeZone);
   
-  // If it's not today, return all slots
-  if (date !== today) {
+  // Future days keep all their slots
+  if (date > today) {
     return timeSlots;
   }
   
-  // If it's today, filter out past slots
-  return timeSlots.filter(time => !isSlotInPast(date, time));
+  // Today (or earlier), filter out past slots
+  return timeSlots.filter(time => !isSlotInPast(date, time, timeZone));
 };
 
 /**
@@ -308,9 +754,10 @@ export const filterPastSlots = (date, timeSlots) => {
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {string} time - Time in HH:MM format
  * @param {Object} bookingsMap - Map of provider bookings
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
  * @returns {Array} - Filtered providers
  */
-export const filterProvidersByAvailability = (providers, date, time, bookingsMap = {}) => {
+export const filterProvidersByAvailability = (providers, date, time, bookingsMap = {}, duration = DEFAULT_BOOKING_DURATION) => {
   if (!date && !time) return providers;
 
   return providers.filter(provider => {
@@ -318,10 +765,10 @@ export const filterProvidersByAvailability = (providers, date, time, bookingsMap
     
     if (date && time) {
       // Check specific date and time
-      return isProviderAvailable(provider, date, time, providerBookings);
+      return isProviderAvailable(provider, date, time, providerBookings, duration);
     } else if (date) {
       // Check if provider has any availability on this date
-      return hasAvailabilityOnDate(provider, date, providerBookings);
+      return hasAvailabilityOnDate(provider, date, providerBookings, duration);
     }
     
     return true;
@@ -333,32 +780,31 @@ export const filterProvidersByAvailability = (providers, date, time, bookingsMap
  * @param {Object} provider - Provider object
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {Array} existingBookings - Array of existing bookings
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
  * @returns {boolean} - True if has availability
  */
-export const hasAvailabilityOnDate = (provider, date, existingBookings = []) => {
-  const availableSlots = getAvailableTimeSlots(provider, date, existingBookings);
-  const filteredSlots = filterPastSlots(date, availableSlots);
+export const hasAvailabilityOnDate = (provider, date, existingBookings = [], duration = DEFAULT_BOOKING_DURATION) => {
+  const availableSlots = getAvailableTimeSlots(provider, date, existingBookings, duration);
+  const filteredSlots = filterPastSlots(date, availableSlots, getProviderTimeZone(provider));
   return filteredSlots.length > 0;
 };
 
 /**
  * Get the next available date for a provider
+ * Days start from today in the provider's time zone
  * @param {Object} provider - Provider object with availability data
  * @param {Array} existingBookings - Array of existing bookings for the provider
  * @param {number} daysToCheck - Number of days to check ahead (default: 30)
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
  * @returns {string|null} - Next available date in YYYY-MM-DD format or null
  */
-export const getNextAvailableDate = (provider, existingBookings = [], daysToCheck = 30) => {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+export const getNextAvailableDate = (provider, existingBookings = [], daysToCheck = 30, duration = DEFAULT_BOOKING_DURATION) => {
+  const today = getTodayInTimeZone(getProviderTimeZone(provider));
 
   for (let i = 0; i < daysToCheck; i++) {
-    const checkDate = new Date(today);
-    checkDate.setDate(today.getDate() + i);
-    
-    const dateString = checkDate.toISOString().split('T')[0];
+    const dateString = addDays(today, i);
     
-    if (hasAvailabilityOnDate(provider, dateString, existingBookings)) {
+    if (hasAvailabilityOnDate(provider, dateString, existingBookings, duration)) {
       return dateString;
     }
   }
@@ -0,0 +1,137 @@
+// Availability service: the one place that loads bookings for slot checks
+// Fetches only the bookings that can block a provider on the requested dates,
+// then applies the rules in availability.js. The bookings come from
+// /api/availability, since customers and visitors can't read them directly
+import {
+  DEFAULT_BOOKING_DURATION,
+  filterPastSlots,
+  filterProvidersByAvailability,
+  getAvailableTimeSlots,
+  getDayName
+} from './availability';
+import { addDays, getProviderTimeZone, getTodayInTimeZone } from './timezone';
+
+/**
+ * Get the bookings that hold a provider's time between two dates
+ * Only their timing fields are loaded (see src/lib/bookedTimes.js)
+ * @param {string} providerId - Provider id
+ * @param {string} startDate - First date in YYYY-MM-DD format
+ * @param {string} endDate - Last date in YYYY-MM-DD format (inclusive)
+ * @returns {Promise<Object>} - { success, data: Array of bookings }
+ */
+export const getBlockingBookings = async (providerId, startDate, endDate = startDate) => {
+  try {
+    const params = new URLSearchParams({ providerId, startDate, endDate });
+    const response = await fetch(`/api/availability?${params}`);
+    return await response.json();
+  } catch (error) {
+    console.error('Error getting blocking bookings:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get a provider's bookable start times for each date in a range
+ * Slots already in the past are left out
+ * @param {Object} provider - Provider object, including its id
+ * @param {string} startDate - First date in YYYY-MM-DD format
+ * @param {string} endDate - Last date in YYYY-MM-DD format (inclusive)
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
+ * @param {Object} options - { excludeBookingId } to ignore a booking that is being moved
+ * @returns {Promise<Object>} - { success, data: { 'YYYY-MM-DD': ['09:00', ...] } }
+ */
+export const getAvailableSlots = async (provider, startDate, endDate = startDate, duration = DEFAULT_BOOKING_DURATION, { excludeBookingId } = {}) => {
+  const bookingsResult = await getBlockingBookings(provider.id, startDate, endDate);
+  if (!bookingsResult.success) {
+    return bookingsResult;
+  }
+  const bookings = bookingsResult.data.filter(booking => booking.id !== excludeBookingId);
+
+  const timeZone = getProviderTimeZone(provider);
+  const slotsByDate = {};
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    slotsByDate[date] = filterPastSlots(
+      date,
+      getAvailableTimeSlots(provider, date, bookings, duration),
+      timeZone
+    );
+  }
+
+  return { success: true, data: slotsByDate };
+};
+
+/**
+ * Get a provider's bookable start times for the coming days
+ * Days start from today in the provider's time zone
+ * @param {Object} provider - Provider object, including its id
+ * @param {number} days - Number of days to include, today first (default: 7)
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
+ * @returns {Promise<Object>} - { success, data: { 'YYYY-MM-DD': ['09:00', ...] } }
+ */
+export const getUpcomingSlots = async (provider, days = 7, duration = DEFAULT_BOOKING_DURATION) => {
+  const today = getTodayInTimeZone(getProviderTimeZone(provider));
+  return getAvailableSlots(provider, today, addDays(today, days - 1), duration);
+};
+
+/**
+ * Get the coming days' bookable start times for several providers
+ * @param {Array} providers - Array of provider objects
+ * @param {number} days - Number of days to include, today first (default: 7)
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
+ * @returns {Promise<Object>} - { success, data: { providerId: { 'YYYY-MM-DD': [...] } } }
+ */
+export const getUpcomingSlotsForProviders = async (providers, days = 7, duration = DEFAULT_BOOKING_DURATION) => {
+  const results = await Promise.all(providers.map(provider => getUpcomingSlots(provider, days, duration)));
+
+  const failed = results.find(result => !result.success);
+  if (failed) {
+    return failed;
+  }
+
+  return {
+    success: true,
+    data: Object.fromEntries(providers.map((provider, i) => [provider.id, results[i].data]))
+  };
+};
+
+/**
+ * Keep the providers that can take a job on a date, or at a date and time
+ * @param {Array} providers - Array of provider objects
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format (optional)
+ * @param {number} duration - Length of the requested job in minutes (default: 60)
+ * @returns {Promise<Object>} - { success, data: Array of available providers }
+ */
+export const filterAvailableProviders = async (providers, date, time, duration = DEFAULT_BOOKING_DURATION) => {
+  if (!date) {
+    return { success: true, data: providers };
+  }
+
+  const results = await Promise.all(providers.map(provider => getBlockingBookings(provider.id, date)));
+
+  const failed = results.find(result => !result.success);
+  if (failed) {
+    return failed;
+  }
+
+  const bookingsMap = Object.fromEntries(providers.map((provider, i) => [provider.id, results[i].data]));
+  return { success: true, data: filterProvidersByAvailability(providers, date, time, bookingsMap, duration) };
+};
+
+/**
+ * Find the earliest slot in a map of slots by date
+ * @param {Object} slotsByDate - Map of YYYY-MM-DD dates to start times
+ * @returns {Object|null} - { date, time, dayName } or null if there are none
+ */
+export const getFirstAvailableSlot = (slotsByDate = {}) => {
+  const date = Object.keys(slotsByDate).sort().find(day => slotsByDate[day].length > 0);
+  if (!date) {
+    return null;
+  }
+
+  return {
+    date,
+    time: slotsByDate[date][0],
+    dayName: getDayName(date)
+  };
+};
@@ -0,0 +1,49 @@
+// Booked times lookup (server only)
+// Serves /api/availability. Customers and visitors can't read a provider's
+// bookings, so slot checks in the browser load them from here. Only the fields
+// that say when a booking holds the provider's time are returned, nothing about
+// the customer or the job
+import { getAdminDb } from './firebaseAdmin';
+import { BLOCKING_STATUSES } from './availability';
+
+// What availability.js needs to place a booking and its buffers
+const BOOKED_TIME_FIELDS = [
+  'status',
+  'staffId',
+  'serviceType',
+  'scheduledDate',
+  'scheduledTime',
+  'duration',
+  'bufferBefore',
+  'bufferAfter'
+];
+
+/**
+ * Get the times a provider's bookings hold between two dates
+ * @param {string} providerId - Provider id
+ * @param {string} startDate - First date in YYYY-MM-DD format
+ * @param {string} endDate - Last date in YYYY-MM-DD format (inclusive)
+ * @returns {Promise<Object>} - { success, data: Array of { id, ...BOOKED_TIME_FIELDS } }
+ */
+export const getBookedTimes = async (providerId, startDate, endDate) => {
+  try {
+    const bookingsSnapshot = await getAdminDb()
+      .collection('bookings')
+      .where('providerId', '==', providerId)
+      .where('status', 'in', BLOCKING_STATUSES)
+      .where('scheduledDate', '>=', startDate)
+      .where('scheduledDate', '<=', endDate)
+      .select(...BOOKED_TIME_FIELDS)
+      .get();
+
+    const bookings = bookingsSnapshot.docs.map(bookingDoc => ({
+      id: bookingDoc.id,
+      ...Object.fromEntries(BOOKED_TIME_FIELDS.map(field => [field, bookingDoc.get(field) ?? null]))
+    }));
+
+    return { success: true, data: bookings };
+  } catch (error) {
+    console.error('Error getting booked times:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,94 @@
+// Utility functions for expiring unanswered booking requests
+// A pending booking expires once the provider's response window has passed,
+// or when its scheduled time arrives, whichever comes first. Sending a quote
+// counts as a response, so a quoted request only expires at its start
+import { getLocalTimeZone, zonedTimeToDate } from './timezone';
+import { hasBeenQuoted } from './quotes';
+
+// Used for providers who have not set a response window
+export const DEFAULT_RESPONSE_WINDOW_HOURS = 24;
+
+/**
+ * Get how long a provider has to answer a booking request
+ * @param {Object} provider - Provider object
+ * @returns {number} - Response window in hours
+ */
+export const getResponseWindowHours = (provider) => {
+  return Number(provider?.responseWindowHours) || DEFAULT_RESPONSE_WINDOW_HOURS;
+};
+
+/**
+ * Get the time a booking's scheduled start falls at
+ * @param {Object} booking - Booking object
+ * @returns {Date} - Start of the booking
+ */
+const getBookingStart = (booking) => {
+  return zonedTimeToDate(booking.scheduledDate, booking.scheduledTime, booking.timezone || getLocalTimeZone());
+};
+
+/**
+ * Work out when a new booking request expires if the provider does not answer
+ * @param {Object} provider - Provider object
+ * @param {Object} booking - Booking object with scheduledDate, scheduledTime and timezone
+ * @param {Date} requestedAt - Time the request is made (default: now)
+ * @returns {string} - ISO timestamp of the deadline
+ */
+export const getResponseDeadline = (provider, booking, requestedAt = new Date()) => {
+  const windowEnd = requestedAt.getTime() + getResponseWindowHours(provider) * 60 * 60 * 1000;
+  return new Date(Math.min(windowEnd, getBookingStart(booking).getTime())).toISOString();
+};
+
+/**
+ * Get the deadline of a request the provider has answered with a quote
+ * It now waits on the customer, so it stays open until its start
+ * @param {Object} booking - Booking object
+ * @returns {string} - ISO timestamp of the deadline
+ */
+export const getQuotedResponseDeadline = (booking) => {
+  return getBookingStart(booking).toISOString();
+};
+
+/**
+ * Check whether a pending booking is past its deadline
+ * The scheduled start always counts, so bookings moved earlier or made before
+ * deadlines were recorded still expire once their time arrives
+ * @param {Object} booking - Booking object
+ * @param {Date} now - Time to check against (default: now)
+ * @returns {boolean} - True if the booking should be expired
+ */
+export const isPendingExpired = (booking, now = new Date()) => {
+  if (booking.status !== 'pending') {
+    return false;
+  }
+
+  const start = getBookingStart(booking);
+  const deadline = booking.responseDeadline && new Date(booking.responseDeadline) < start
+    ? new Date(booking.responseDeadline)
+    : start;
+  return now >= deadline;
+};
+
+/**
+ * Get the pending bookings in a list that should be expired
+ * @param {Array} bookings - Array of bookings
+ * @param {Date} now - Time to check against (default: now)
+ * @returns {Array} - Bookings past their deadline
+ */
+export const getExpiredPendingBookings = (bookings, now = new Date()) => {
+  return bookings.filter(booking => isPendingExpired(booking, now));
+};
+
+/**
+ * Explain why a booking expired, for its status history and the customer
+ * @param {Object} booking - Booking object
+ * @returns {string} - Reason for the expiry
+ */
+export const getExpiryReason = (booking) => {
+  if (hasBeenQuoted(booking)) {
+    return 'The scheduled time passed before a quote was accepted.';
+  }
+  if (booking.responseDeadline && new Date(booking.responseDeadline) < getBookingStart(booking)) {
+    return 'The provider did not respond within their response window.';
+  }
+  return 'The scheduled time passed before the provider responded.';
+};
@@ -0,0 +1,104 @@
+// Booking lifecycle: which status changes are allowed and who may make them
+// Every status change goes through updateBookingStatus, which checks it here
+
+// Allowed transitions, keyed by current then next status, with the actors
+// allowed to make each: 'customer', 'provider' or 'system' for automated jobs
+export const STATUS_TRANSITIONS = {
+  pending: {
+    // Customers confirm by accepting the provider's quote
+    confirmed: ['customer', 'provider'],
+    rejected: ['provider'],
+    cancelled: ['customer', 'provider'],
+    expired: ['system']
+  },
+  confirmed: {
+    'in-progress': ['provider'],
+    cancelled: ['customer', 'provider'],
+    // The provider marks the customer, the customer reports the provider
+    'no-show': ['customer', 'provider']
+  },
+  'in-progress': {
+    completed: ['provider'],
+    'no-show': ['provider']
+  },
+  completed: {},
+  rejected: {},
+  cancelled: {},
+  expired: {},
+  'no-show': {}
+};
+
+// Actor recorded for changes made by automated jobs, such as expiring requests
+export const SYSTEM_ACTOR = { uid: null, role: 'system' };
+
+// Field stamped with the time a booking entered each status
+export const STATUS_TIMESTAMP_FIELDS = {
+  confirmed: 'confirmedAt',
+  rejected: 'rejectedAt',
+  cancelled: 'cancelledAt',
+  expired: 'expiredAt',
+  'in-progress': 'startedAt',
+  completed: 'completedAt',
+  'no-show': 'noShowAt'
+};
+
+export const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  'in-progress': 'In Progress',
+  completed: 'Completed',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled',
+  expired: 'Expired',
+  'no-show': 'No-show'
+};
+
+/**
+ * Check whether an actor may move a booking from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - Actor making the change ('customer', 'provider' or 'system')
+ * @returns {boolean} - True if the transition is allowed
+ */
+export const canTransition = (from, to, role) => {
+  return !!STATUS_TRANSITIONS[from]?.[to]?.includes(role);
+};
+
+/**
+ * Get the statuses an actor can move a booking to next
+ * @param {string} status - Current status
+ * @param {string} role - Actor making the change
+ * @returns {Array} - Array of status names
+ */
+export const getNextStatuses = (status, role) => {
+  return Object.keys(STATUS_TRANSITIONS[status] || {}).filter(next => canTransition(status, next, role));
+};
+
+/**
+ * Get the display label for a status
+ * @param {string} status - Booking status
+ * @returns {string} - Human readable label
+ */
+export const getStatusLabel = (status) => {
+  return STATUS_LABELS[status] || status;
+};
+
+/**
+ * Build the status history entry recording a change
+ * @param {string|null} from - Previous status (null when the booking is created)
+ * @param {string} to - New status
+ * @param {Object} actor - { uid, role } of whoever made the change
+ * @param {string} at - ISO timestamp of the change
+ * @param {string} note - Optional reason for the change
+ * @returns {Object} - Status history entry
+ */
+export const createStatusHistoryEntry = (from, to, actor, at, note = '') => {
+  return {
+    from,
+    to,
+    changedBy: actor.uid || null,
+    role: actor.role,
+    at,
+    ...(note && { note })
+  };
+};
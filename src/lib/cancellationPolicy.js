@@ -0,0 +1,63 @@
+// Utility functions for provider cancellation policies
+// A policy lets customers cancel for free until a number of hours before the
+// job, after which a percentage of the price is charged
+import { getLocalTimeZone, zonedTimeToDate } from './timezone';
+
+// Used for providers who have not set a policy: cancellation is always free
+export const DEFAULT_CANCELLATION_POLICY = {
+  freeCancellationHours: 0,
+  lateCancellationFeePercent: 0
+};
+
+/**
+ * Get a provider's cancellation policy with defaults filled in
+ * @param {Object} provider - Provider object
+ * @returns {Object} - { freeCancellationHours, lateCancellationFeePercent }
+ */
+export const getCancellationPolicy = (provider) => {
+  const policy = provider?.cancellationPolicy || {};
+  return {
+    freeCancellationHours: Number(policy.freeCancellationHours) || DEFAULT_CANCELLATION_POLICY.freeCancellationHours,
+    lateCancellationFeePercent: Math.min(100, Number(policy.lateCancellationFeePercent) || DEFAULT_CANCELLATION_POLICY.lateCancellationFeePercent)
+  };
+};
+
+/**
+ * Describe a cancellation policy for customers
+ * @param {Object} policy - Cancellation policy
+ * @returns {string} - Policy summary
+ */
+export const describeCancellationPolicy = (policy) => {
+  const { freeCancellationHours, lateCancellationFeePercent } = policy || DEFAULT_CANCELLATION_POLICY;
+  if (!lateCancellationFeePercent) {
+    return 'Free cancellation at any time before the job starts.';
+  }
+  if (!freeCancellationHours) {
+    return `Cancellations are charged ${lateCancellationFeePercent}% of the price.`;
+  }
+  return `Free cancellation up to ${freeCancellationHours} hours before the job. Later cancellations are charged ${lateCancellationFeePercent}% of the price.`;
+};
+
+/**
+ * Work out what a customer owes for cancelling a booking now
+ * Uses the policy recorded on the booking when it was made
+ * @param {Object} booking - Booking object
+ * @param {Date} now - Time of the cancellation (default: now)
+ * @returns {Object} - { isLate, feePercent, fee }
+ */
+export const getCancellationFee = (booking, now = new Date()) => {
+  const policy = booking.cancellationPolicy || DEFAULT_CANCELLATION_POLICY;
+  const startsAt = zonedTimeToDate(booking.scheduledDate, booking.scheduledTime, booking.timezone || getLocalTimeZone());
+  const hoursUntilStart = (startsAt - now) / (60 * 60 * 1000);
+
+  // Without a free period every cancellation is charged
+  const isLate = policy.lateCancellationFeePercent > 0 &&
+    (!policy.freeCancellationHours || hoursUntilStart < policy.freeCancellationHours);
+  const feePercent = isLate ? policy.lateCancellationFeePercent : 0;
+
+  return {
+    isLate,
+    feePercent,
+    fee: Math.round((Number(booking.totalPrice) || 0) * feePercent) / 100
+  };
+};
@@ -0,0 +1,117 @@
+// Utility functions for providers' price catalogs
+// Providers list the jobs they offer in each service category with a price and
+// a typical length. Customers pick one when booking, and it sets the booking's
+// duration and estimated price. Providers without a catalog fall back to their
+// single average price
+import { getServiceDuration } from './availability';
+
+// How an offering's price is charged
+export const PRICING_MODELS = {
+  hourly: 'Per hour',
+  fixed: 'Fixed price',
+  from: 'Starting from'
+};
+
+// Shortest and longest job an offering can describe, in minutes
+export const MIN_OFFERING_DURATION = 15;
+export const MAX_OFFERING_DURATION = 12 * 60;
+
+/**
+ * Get a provider's offerings, optionally only those in one category
+ * @param {Object} provider - Provider object
+ * @param {string} category - Service category id (optional)
+ * @returns {Array} - Catalog offerings
+ */
+export const getCatalogOfferings = (provider, category = '') => {
+  return (provider?.catalog || []).filter(offering => !category || offering.category === category);
+};
+
+/**
+ * Find one of a provider's offerings
+ * @param {Object} provider - Provider object
+ * @param {string} offeringId - Offering id
+ * @returns {Object|null} - Offering or null
+ */
+export const getOffering = (provider, offeringId) => {
+  return getCatalogOfferings(provider).find(offering => offering.id === offeringId) || null;
+};
+
+/**
+ * Get the length of a job booked from an offering
+ * @param {Object} offering - Offering object
+ * @returns {number} - Duration in minutes
+ */
+export const getOfferingDuration = (offering) => {
+  return Number(offering.duration) || getServiceDuration(offering.category);
+};
+
+/**
+ * Get the price of a job booked from an offering
+ * Hourly offerings are charged for their whole duration; "from" prices are the minimum
+ * @param {Object} offering - Offering object
+ * @returns {number} - Price in dollars
+ */
+export const getOfferingPrice = (offering) => {
+  const price = Number(offering.price) || 0;
+  if (offering.pricingModel === 'hourly') {
+    return Math.round(price * getOfferingDuration(offering) / 60 * 100) / 100;
+  }
+  return price;
+};
+
+/**
+ * Describe an offering's price for display
+ * @param {Object} offering - Offering object
+ * @returns {string} - e.g. "$45/hr", "$120" or "From $80"
+ */
+export const formatOfferingPrice = (offering) => {
+  const price = Number(offering.price) || 0;
+  switch (offering.pricingModel) {
+    case 'hourly':
+      return `$${price}/hr`;
+    case 'from':
+      return `From $${price}`;
+    default:
+      return `$${price}`;
+  }
+};
+
+/**
+ * Get the lowest price a customer could pay a provider
+ * Used for "starting from" prices and the price filter
+ * @param {Object} provider - Provider object
+ * @param {string} category - Service category id (optional)
+ * @returns {number} - Lowest price in dollars, 0 if the provider lists none
+ */
+export const getStartingPrice = (provider, category = '') => {
+  const offerings = getCatalogOfferings(provider, category);
+  if (offerings.length === 0) {
+    return Number(provider?.pricing?.averagePrice) || 0;
+  }
+  return Math.min(...offerings.map(getOfferingPrice));
+};
+
+/**
+ * Validate an offering before it is saved
+ * @param {Object} offering - Offering object
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateOffering = (offering) => {
+  if (!offering.name?.trim()) {
+    return 'Each offering needs a name';
+  }
+  if (!offering.category) {
+    return `${offering.name} needs a service category`;
+  }
+  if (!PRICING_MODELS[offering.pricingModel]) {
+    return `${offering.name} needs a pricing model`;
+  }
+  if (!(Number(offering.price) > 0)) {
+    return `${offering.name} needs a price greater than zero`;
+  }
+  const duration = Number(offering.duration);
+  if (!(duration >= MIN_OFFERING_DURATION && duration <= MAX_OFFERING_DURATION)) {
+    return `${offering.name} must last between ${MIN_OFFERING_DURATION} minutes and ${MAX_OFFERING_DURATION / 60} hours`;
+  }
+  return null;
+};
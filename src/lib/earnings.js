@@ -0,0 +1,184 @@
+// Utility functions for provider earnings
+// A provider's ledger is built from the charges and refunds recorded on their
+// bookings' payments (see src/lib/payments.js) and the payouts they have
+// taken. The platform keeps a commission on every charge, recorded with the
+// charge, and gives it back on refunds; tips carry no commission and are
+// listed on their own. Money on bookings that are still
+// under way is pending, since it may yet be refunded; the rest is available
+// to pay out
+import { addDays, getDayOfWeek, getZonedDateTime } from './timezone';
+
+// Platform commission on charges, unless PLATFORM_COMMISSION_PERCENT says otherwise
+export const DEFAULT_COMMISSION_PERCENT = 10;
+
+export const LEDGER_ENTRY_LABELS = {
+  earning: 'Payment received',
+  tip: 'Tip received',
+  commission: 'Platform commission',
+  refund: 'Refund',
+  payout: 'Payout'
+};
+
+export const EARNINGS_PERIODS = {
+  week: 'Weekly',
+  month: 'Monthly',
+  year: 'Yearly'
+};
+
+// Bookings whose payments can still change
+const OPEN_STATUSES = ['pending', 'confirmed', 'in-progress'];
+
+const roundToCents = (amount) => {
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Get the commission recorded on a charge or refund
+ * Transactions from before commissions were recorded use the default rate
+ * @param {Object} transaction - Payment transaction
+ * @returns {number} - Commission in dollars
+ */
+export const getTransactionCommission = (transaction) => {
+  return transaction.commission ?? roundToCents(transaction.amount * DEFAULT_COMMISSION_PERCENT / 100);
+};
+
+/**
+ * Build a provider's ledger from their bookings and payouts
+ * Amounts are signed: money in is positive, deductions and payouts negative
+ * @param {Array} bookings - Provider's bookings, with their ids
+ * @param {Array} payouts - Provider's payouts, with their ids
+ * @returns {Array} - Entries { id, type, amount, at, bookingId, description, pending }, newest first
+ */
+export const getLedgerEntries = (bookings, payouts = []) => {
+  const entries = [];
+
+  bookings.forEach(booking => {
+    const description = `${booking.serviceType} for ${booking.customerName} on ${booking.scheduledDate}`;
+    const pending = OPEN_STATUSES.includes(booking.status);
+
+    (booking.payment?.transactions || []).forEach(transaction => {
+      const isRefund = transaction.type === 'refund';
+      const commission = getTransactionCommission(transaction);
+      const tip = isRefund ? 0 : transaction.tip || 0;
+      const base = { bookingId: booking.id, description, pending, at: transaction.createdAt };
+
+      if (transaction.amount > tip) {
+        entries.push({
+          ...base,
+          id: transaction.id,
+          type: isRefund ? 'refund' : 'earning',
+          amount: isRefund ? -transaction.amount : roundToCents(transaction.amount - tip)
+        });
+      }
+      if (tip > 0) {
+        entries.push({ ...base, id: `${transaction.id}_tip`, type: 'tip', amount: tip });
+      }
+      if (commission > 0) {
+        entries.push({
+          ...base,
+          id: `${transaction.id}_commission`,
+          type: 'commission',
+          amount: isRefund ? commission : -commission
+        });
+      }
+    });
+  });
+
+  payouts
+    .filter(payout => payout.status !== 'failed')
+    .forEach(payout => {
+      entries.push({
+        id: payout.id,
+        type: 'payout',
+        amount: -payout.amount,
+        at: payout.createdAt,
+        bookingId: null,
+        description: payout.status === 'processing' ? 'Payout (processing)' : 'Payout to your account',
+        pending: false
+      });
+    });
+
+  return entries.sort((a, b) => b.at.localeCompare(a.at));
+};
+
+/**
+ * Work out a provider's balances from their ledger
+ * @param {Array} entries - Ledger entries from getLedgerEntries
+ * @returns {Object} - { available, pending, paidOut, lifetimeNet } in dollars
+ */
+export const getEarningsBalances = (entries) => {
+  const sum = (list) => roundToCents(list.reduce((total, entry) => total + entry.amount, 0));
+  const payouts = entries.filter(entry => entry.type === 'payout');
+  const earnings = entries.filter(entry => entry.type !== 'payout');
+
+  return {
+    available: sum(entries.filter(entry => !entry.pending)),
+    pending: sum(earnings.filter(entry => entry.pending)),
+    paidOut: -sum(payouts),
+    lifetimeNet: sum(earnings)
+  };
+};
+
+/**
+ * Get the start of the period a date falls in
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} period - One of the EARNINGS_PERIODS keys
+ * @returns {string} - Week's Monday (YYYY-MM-DD), month (YYYY-MM) or year (YYYY)
+ */
+export const getPeriodKey = (date, period) => {
+  switch (period) {
+    case 'week':
+      return addDays(date, -((getDayOfWeek(date) + 6) % 7));
+    case 'year':
+      return date.slice(0, 4);
+    default:
+      return date.slice(0, 7);
+  }
+};
+
+/**
+ * Describe a period for display
+ * @param {string} key - Period key from getPeriodKey
+ * @param {string} period - One of the EARNINGS_PERIODS keys
+ * @returns {string} - e.g. "Week of 2025-07-28", "July 2025" or "2025"
+ */
+export const formatPeriodLabel = (key, period) => {
+  switch (period) {
+    case 'week':
+      return `Week of ${key}`;
+    case 'year':
+      return key;
+    default: {
+      const [year, month] = key.split('-').map(Number);
+      return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+  }
+};
+
+/**
+ * Total a provider's ledger by week, month or year
+ * Entries are placed by their date in the provider's time zone
+ * @param {Array} entries - Ledger entries from getLedgerEntries
+ * @param {string} period - One of the EARNINGS_PERIODS keys
+ * @param {string} timeZone - Provider's IANA time zone
+ * @returns {Array} - { key, earnings, tips, commission, refunds, payouts, net } per period, newest first
+ */
+export const getEarningsByPeriod = (entries, period, timeZone) => {
+  const periods = new Map();
+
+  entries.forEach(entry => {
+    const key = getPeriodKey(getZonedDateTime(new Date(entry.at), timeZone).date, period);
+    if (!periods.has(key)) {
+      periods.set(key, { key, earnings: 0, tips: 0, commission: 0, refunds: 0, payouts: 0, net: 0 });
+    }
+
+    const totals = periods.get(key);
+    const field = { earning: 'earnings', tip: 'tips', commission: 'commission', refund: 'refunds', payout: 'payouts' }[entry.type];
+    totals[field] = roundToCents(totals[field] + entry.amount);
+    if (entry.type !== 'payout') {
+      totals.net = roundToCents(totals.net + entry.amount);
+    }
+  });
+
+  return [...periods.values()].sort((a, b) => b.key.localeCompare(a.key));
+};
@@ -0,0 +1,76 @@
+// Email delivery for notifications (server only)
+// Mail goes through a transport chosen by EMAIL_TRANSPORT. 'console' logs
+// messages and is the default; 'smtp' sends through any SMTP server, such as
+// a local catcher like Mailpit during development. Other transports can be
+// added with registerEmailTransport
+import nodemailer from 'nodemailer';
+
+// Factories for the known transports; each returns { send(message) }
+const transports = {
+  console: () => ({
+    send: async (message) => {
+      console.log(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+      return { messageId: null };
+    }
+  }),
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Add a transport that can be selected with EMAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} factory - Returns an object with an async send(message) method
+ */
+export const registerEmailTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null;
+};
+
+/**
+ * Get the transport selected by EMAIL_TRANSPORT, creating it on first use
+ * @returns {Object} - Transport with an async send(message) method
+ */
+export const getEmailTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.EMAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown email transport: ${name}`);
+    }
+    activeTransport = transports[name]();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<Object>} - { success, messageId }
+ */
+export const sendEmail = async ({ to, subject, text }) => {
+  try {
+    const result = await getEmailTransport().send({
+      from: process.env.EMAIL_FROM || 'ServiceHub <notifications@servicehub.local>',
+      to,
+      subject,
+      text
+    });
+    return { success: true, messageId: result?.messageId || null };
+  } catch (error) {
+    console.error('Error sending email:', error);
+    return { success: false, error: error.message };
+  }
+};
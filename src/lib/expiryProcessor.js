@@ -0,0 +1,102 @@
+// Booking expiry job (server only)
+// Run through /api/bookings/expire, on a schedule for every booking and when a
+// dashboard opens for the caller's own. Expires pending requests past their
+// deadline (see src/lib/bookingExpiry.js) the way updateBookingStatus changes a
+// status for the 'system' actor, releases their slots, tells the customer and
+// refunds their deposit. Each booking is re-checked in its own transaction, so
+// runs that overlap never expire one twice
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb } from './firebaseAdmin';
+import { SYSTEM_ACTOR, STATUS_TIMESTAMP_FIELDS, createStatusHistoryEntry } from './bookingStatus';
+import { getExpiryReason, isPendingExpired } from './bookingExpiry';
+import { NOTIFICATION_TYPES, buildNotification } from './notifications';
+import { getBookingSlotLockIds } from './slotLocks';
+import { sendNotificationEmail } from './notificationMailer';
+import { settleBookingPayment } from './paymentProcessor';
+
+// Expire one booking if it is still pending and past its deadline. Returns the
+// notification sent to the customer, or null if there was nothing to do
+const expireBooking = (db, bookingRef, now) => {
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    const booking = bookingDoc.exists ? { id: bookingDoc.id, ...bookingDoc.data() } : null;
+    if (!booking || !isPendingExpired(booking, now)) {
+      return null;
+    }
+
+    const at = now.toISOString();
+    const expired = { ...booking, status: 'expired' };
+    transaction.update(bookingRef, {
+      // An expired request takes its open time proposal off the table
+      ...((booking.rescheduleProposals || []).some(proposal => proposal.status === 'pending') && {
+        rescheduleProposals: booking.rescheduleProposals.map(proposal =>
+          proposal.status === 'pending' ? { ...proposal, status: 'withdrawn', respondedAt: at } : proposal
+        )
+      }),
+      status: 'expired',
+      [STATUS_TIMESTAMP_FIELDS.expired]: at,
+      statusHistory: [
+        ...(booking.statusHistory || []),
+        createStatusHistoryEntry('pending', 'expired', SYSTEM_ACTOR, at, getExpiryReason(booking))
+      ],
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    getBookingSlotLockIds(booking).forEach(lockId => {
+      transaction.delete(db.collection('slotLocks').doc(lockId));
+    });
+
+    const notification = {
+      userId: booking.customerId,
+      role: 'customer',
+      type: NOTIFICATION_TYPES.BOOKING_EXPIRED,
+      ...buildNotification(NOTIFICATION_TYPES.BOOKING_EXPIRED, expired),
+      bookingId: booking.id,
+      createdBy: null,
+      read: false,
+      createdAt: at
+    };
+    transaction.set(db.collection('notifications').doc(), notification);
+    return notification;
+  });
+};
+
+/**
+ * Expire the pending bookings past their deadline
+ * @param {string} origin - Base URL of the app, used for links in emails
+ * @param {Object} options - { userId } to only look at that user's bookings, as customer or provider
+ * @param {Date} now - Time of the run (default: now)
+ * @returns {Promise<Object>} - { success, expired: number of bookings expired }
+ */
+export const expirePendingBookings = async (origin, { userId } = {}, now = new Date()) => {
+  try {
+    const db = getAdminDb();
+    const pending = db.collection('bookings').where('status', '==', 'pending');
+    const snapshots = await Promise.all(userId
+      ? [pending.where('customerId', '==', userId).get(), pending.where('providerId', '==', userId).get()]
+      : [pending.get()]);
+
+    // Deadlines are checked here rather than in the query, so requests made
+    // before deadlines were recorded expire at their start
+    const stale = snapshots
+      .flatMap(snapshot => snapshot.docs)
+      .filter(bookingDoc => isPendingExpired(bookingDoc.data(), now));
+
+    let expired = 0;
+    for (const bookingDoc of stale) {
+      const notification = await expireBooking(db, bookingDoc.ref, now);
+      if (!notification) {
+        continue;
+      }
+
+      expired++;
+      await sendNotificationEmail(notification, origin);
+      // Refund the deposit
+      await settleBookingPayment(bookingDoc.id);
+    }
+
+    return { success: true, expired };
+  } catch (error) {
+    console.error('Error expiring bookings:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,29 @@
+// Firebase Admin SDK for scheduled jobs and payments (server only)
+// Uses the service account in FIREBASE_SERVICE_ACCOUNT (JSON) if set,
+// otherwise the environment's default credentials
+import { initializeApp, getApps, cert, applicationDefault } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const getAdminApp = () => {
+  if (getApps().length > 0) {
+    return getApps()[0];
+  }
+
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+  return initializeApp({
+    credential: serviceAccount ? cert(JSON.parse(serviceAccount)) : applicationDefault()
+  });
+};
+
+/**
+ * Get the Admin Firestore instance, initializing the app on first use
+ * @returns {Object} - Admin Firestore
+ */
+export const getAdminDb = () => getFirestore(getAdminApp());
+
+/**
+ * Get the Admin Auth instance, used to verify callers' ID tokens
+ * @returns {Object} - Admin Auth
+ */
+export const getAdminAuth = () => getAuth(getAdminApp());
@@ -12,9 +12,42 @@ import {
   limit, 
   getDocs,
   addDoc,
-  serverTimestamp
+  runTransaction,
+  serverTimestamp,
+  writeBatch,
+  increment,
+  arrayUnion
 } from 'firebase/firestore';
-import { db } from './firebase';
+import { auth, db } from './firebase';
+import { v4 as uuidv4 } from 'uuid';
+import { STATUS_TIMESTAMP_FIELDS, canTransition, createStatusHistoryEntry, getStatusLabel } from './bookingStatus';
+import { getQuotedResponseDeadline, getResponseDeadline, isPendingExpired } from './bookingExpiry';
+import { getMessagePreview } from './messaging';
+import { NOTIFICATION_TYPES, STATUS_NOTIFICATION_TYPES, buildNotification } from './notifications';
+import { getCancellationFee, getCancellationPolicy } from './cancellationPolicy';
+import { RESCHEDULABLE_STATUSES, canProposeReschedule, canRespondToProposal, getPendingProposal } from './rescheduling';
+import { canReportLateArrival, canReportNoShow, getOtherParty, validateLateMinutes } from './reliability';
+import { calculateQuoteTotals, canRespondToQuote, canSendQuote, getAcceptedQuote, getPendingQuote, validateQuote } from './quotes';
+import { getBlockingBookings } from './availabilityService';
+import { getOffering, getOfferingDuration, getOfferingPrice } from './catalog';
+import { getDepositPercent } from './payments';
+import { buildInvoice } from './invoices';
+import { applyBookingPromo, getPromoCodeError, isFirstBooking, normalizePromoCode, validatePromoCode } from './promoCodes';
+import { getProviderTimeZone, getTodayInTimeZone } from './timezone';
+import { getBookingSlotLockIds, getLockBlockedRange, getLockOwnerId, getSlotLockData, getSlotLockIds } from './slotLocks';
+import {
+  BLOCKING_STATUSES,
+  getActiveStaff,
+  getAvailableStaff,
+  getBookingDuration,
+  getBufferTimes,
+  isProviderAvailable,
+  getMaxBufferTimes,
+  isWithinBookingWindow,
+  rangesOverlap,
+  timeToMinutes,
+  minutesToTime
+} from './availability';
 
 // User operations
 export const createUserProfile = async (uid, userData) => {
@@ -90,35 +123,970 @@ export const getProviderProfile = async (uid) => {
 };
 
 // Booking operations
-export const createBooking = async (bookingData) => {
+
+export const SLOT_UNAVAILABLE_ERROR = 'slot-unavailable';
+export const OUTSIDE_BOOKING_WINDOW_ERROR = 'outside-booking-window';
+export const INVALID_STATUS_TRANSITION_ERROR = 'invalid-status-transition';
+export const INVALID_PROMO_CODE_ERROR = 'invalid-promo-code';
+
+// Most writes Firestore commits in one transaction
+const MAX_TRANSACTION_WRITES = 500;
+
+// One lock document per provider/date/time, so concurrent requests for the
+// same slot collide inside the booking transaction
+const getSlotLockRef = (lockId) => doc(db, 'slotLocks', lockId);
+
+// Find the bookings holding one lock owner's locks anywhere in [start, end).
+// Looks far enough either side to see neighbours whose buffers reach the job;
+// a booking being moved passes its own id so its current locks are ignored
+const getOverlappingLockBookingIds = async (transaction, ownerId, date, start, end, maxBuffers, ignoreBookingId = null) => {
+  const checkedLockIds = getSlotLockIds(ownerId, date, start - maxBuffers.after, end + maxBuffers.before);
+  const lockDocs = await Promise.all(
+    checkedLockIds.map(lockId => transaction.get(getSlotLockRef(lockId)))
+  );
+  const bookingIds = lockDocs
+    .filter(lockDoc => {
+      if (!lockDoc.exists() || lockDoc.data().bookingId === ignoreBookingId) return false;
+      const blocked = getLockBlockedRange(lockDoc.data());
+      return rangesOverlap(start, end, blocked.start, blocked.end);
+    })
+    .map(lockDoc => lockDoc.data().bookingId);
+  return [...new Set(bookingIds)];
+};
+
+// Find who can take a job. Teams give it to the preferred staff member if they
+// are free, otherwise the first member on shift whose time is free; a solo
+// provider is the single candidate, represented by null. Returns undefined
+// when nobody is free.
+// As in getSlotCapacity, a team's bookings not assigned to a current staff
+// member (locked under the provider, or under someone no longer active) still
+// take one person each, so that many free members are held back for them
+const findFreeStaff = async (transaction, providerId, provider, date, start, end, { preferredStaffId, ignoreBookingId } = {}) => {
+  const maxBuffers = getMaxBufferTimes(provider);
+  const activeStaff = getActiveStaff(provider);
+  if (activeStaff.length === 0) {
+    const bookingIds = await getOverlappingLockBookingIds(transaction, providerId, date, start, end, maxBuffers, ignoreBookingId);
+    return bookingIds.length === 0 ? null : undefined;
+  }
+
+  const unassignedOwnerIds = [
+    providerId,
+    ...(provider.staff || [])
+      .filter(member => !activeStaff.includes(member))
+      .map(member => getLockOwnerId(providerId, member.id))
+  ];
+  const unassigned = new Set();
+  for (const ownerId of unassignedOwnerIds) {
+    const bookingIds = await getOverlappingLockBookingIds(transaction, ownerId, date, start, end, maxBuffers, ignoreBookingId);
+    bookingIds.forEach(bookingId => unassigned.add(bookingId));
+  }
+
+  const candidates = getAvailableStaff(provider, date, minutesToTime(start), [], end - start)
+    .sort((a, b) => (b.id === preferredStaffId) - (a.id === preferredStaffId));
+  const freeStaff = [];
+  for (const member of candidates) {
+    const ownerId = getLockOwnerId(providerId, member.id);
+    const bookingIds = await getOverlappingLockBookingIds(transaction, ownerId, date, start, end, maxBuffers, ignoreBookingId);
+    if (bookingIds.length === 0) {
+      freeStaff.push(member);
+    }
+    if (freeStaff.length > unassigned.size) {
+      return freeStaff[0];
+    }
+  }
+  return undefined;
+};
+
+const slotUnavailableError = (message) => {
+  const error = new Error(message);
+  error.code = SLOT_UNAVAILABLE_ERROR;
+  return error;
+};
+
+// Check a requested booking against the provider's rules and locks and build
+// the booking document. Reads only, so several can be prepared in one transaction
+const prepareBooking = async (transaction, provider, bookingData, now) => {
+  const { providerId, scheduledDate, scheduledTime, serviceType } = bookingData;
+
+  // A catalog offering sets the job's length and price, as the provider lists them now
+  const offering = bookingData.offeringId ? getOffering(provider, bookingData.offeringId) : null;
+  if (bookingData.offeringId && !offering) {
+    throw new Error('This service is no longer offered. Please choose another.');
+  }
+  const duration = offering ? getOfferingDuration(offering) : getBookingDuration(bookingData);
+  // Without an offering the job is priced at the provider's average price
+  const price = offering ? getOfferingPrice(offering) : Number(provider.pricing?.averagePrice) || 0;
+  // Dates and times are in the provider's zone, whatever the browser says
+  const timezone = getProviderTimeZone(provider);
+  const start = timeToMinutes(scheduledTime);
+  const end = start + duration;
+
+  if (!isWithinBookingWindow(provider, scheduledDate, scheduledTime)) {
+    const error = new Error('This time can no longer be booked with this provider. Please choose another time.');
+    error.code = OUTSIDE_BOOKING_WINDOW_ERROR;
+    throw error;
+  }
+  // Working hours, closures and time off as the provider has them now; the
+  // slot list the customer picked from may be out of date
+  if (!isProviderAvailable(provider, scheduledDate, scheduledTime, [], duration)) {
+    throw slotUnavailableError('The provider is not available at this time. Please choose another time.');
+  }
+
+  // Buffers come from the provider's settings, not the client
+  const buffers = getBufferTimes(provider, serviceType);
+  const assignedStaff = await findFreeStaff(transaction, providerId, provider, scheduledDate, start, end);
+  if (assignedStaff === undefined) {
+    throw slotUnavailableError('This time slot has just been booked. Please choose another time.');
+  }
+
+  return {
+    ...bookingData,
+    ...(offering && {
+      offeringName: offering.name,
+      pricingModel: offering.pricingModel,
+      // Lets the security rules find the offering the price comes from
+      offeringIndex: provider.catalog.indexOf(offering)
+    }),
+    timezone,
+    // A promo code's discount comes off the price; the original is kept alongside
+    ...(bookingData.promo ? applyBookingPromo(bookingData, price) : { totalPrice: price }),
+    duration,
+    bufferBefore: buffers.before,
+    bufferAfter: buffers.after,
+    staffId: assignedStaff?.id || null,
+    staffName: assignedStaff?.name || null,
+    // The provider's contact address for invoices; the customer's comes with the request
+    providerEmail: provider.email || null,
+    // The policy shown at booking time is the one applied on cancellation
+    cancellationPolicy: getCancellationPolicy(provider),
+    // Share of the price taken as a deposit, kept as agreed even if the provider changes it
+    depositPercent: getDepositPercent(provider),
+    // Unanswered requests expire at this time and release the slot
+    responseDeadline: getResponseDeadline(provider, { ...bookingData, timezone }),
+    slotLockIds: getSlotLockIds(getLockOwnerId(providerId, assignedStaff?.id), scheduledDate, start, end),
+    status: 'pending',
+    statusHistory: [
+      createStatusHistoryEntry(null, 'pending', { uid: bookingData.customerId, role: 'customer' }, now)
+    ],
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+// The customer's record so far, copied onto their requests for the provider to see
+const getCustomerReliability = async (transaction, customerId) => {
+  const customerDoc = await transaction.get(doc(db, 'users', customerId));
+  return customerDoc.exists() ? customerDoc.data().reliability || null : null;
+};
+
+// Look up and check the promo code on a booking request. Returns null if there
+// is no code, otherwise its reference and the discount to record on the booking.
+// customerReliability is the customer's record read in the same transaction
+const getBookingPromo = async (transaction, provider, bookingData, customerReliability) => {
+  if (!bookingData.promoCode) {
+    return null;
+  }
+
+  const code = normalizePromoCode(bookingData.promoCode);
+  const promoRef = doc(db, 'promoCodes', code);
+  const promoDoc = await transaction.get(promoRef);
+  const promo = promoDoc.exists() ? promoDoc.data() : null;
+  const promoError = getPromoCodeError(promo, {
+    customerId: bookingData.customerId,
+    providerId: bookingData.providerId,
+    serviceType: bookingData.serviceType,
+    today: getTodayInTimeZone(getProviderTimeZone(provider)),
+    isFirstBooking: isFirstBooking(customerReliability)
+  });
+  if (promoError) {
+    const error = new Error(promoError);
+    error.code = INVALID_PROMO_CODE_ERROR;
+    throw error;
+  }
+
+  return {
+    ref: promoRef,
+    discount: { code, discountType: promo.discountType, amount: promo.amount, providerId: promo.providerId || null }
+  };
+};
+
+// Count a use of a promo code against its limits. The security rules only
+// allow it alongside the new booking it is used for, recorded as lastBookingId
+const redeemPromoCode = (transaction, promo, customerId, bookingId) => {
+  transaction.update(promo.ref, { usedCount: increment(1), redeemedBy: arrayUnion(customerId), lastBookingId: bookingId });
+};
+
+const writeBooking = (transaction, bookingRef, booking, now) => {
+  transaction.set(bookingRef, booking);
+  booking.slotLockIds.forEach(lockId => {
+    transaction.set(getSlotLockRef(lockId), getSlotLockData(bookingRef.id, booking, now));
+  });
+};
+
+export const createBooking = async ({ promoCode, ...bookingData }) => {
   try {
-    const docRef = await addDoc(collection(db, 'bookings'), {
-      ...bookingData,
-      status: 'pending',
-      createdAt: serverTimestamp(),
-      updatedAt: serverTimestamp()
+    const bookingRef = doc(collection(db, 'bookings'));
+    let booking;
+
+    await runTransaction(db, async (transaction) => {
+      const providerDoc = await transaction.get(doc(db, 'providers', bookingData.providerId));
+      const provider = providerDoc.exists() ? providerDoc.data() : {};
+      const customerReliability = await getCustomerReliability(transaction, bookingData.customerId);
+      const promo = await getBookingPromo(transaction, provider, { ...bookingData, promoCode }, customerReliability);
+
+      const now = new Date().toISOString();
+      booking = await prepareBooking(transaction, provider, {
+        ...bookingData,
+        customerReliability,
+        ...(promo && { promo: promo.discount })
+      }, now);
+      writeBooking(transaction, bookingRef, booking, now);
+      if (promo) {
+        redeemPromoCode(transaction, promo, bookingData.customerId, bookingRef.id);
+      }
     });
-    return { success: true, id: docRef.id };
+
+    await createNotification('provider', NOTIFICATION_TYPES.BOOKING_REQUESTED, { ...booking, id: bookingRef.id });
+
+    // The request stands even if the deposit fails; the customer can retry it
+    const payment = await settlePayment(bookingRef.id);
+
+    return { success: true, id: bookingRef.id, paymentError: payment.success ? null : payment.error };
   } catch (error) {
     console.error('Error creating booking:', error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, code: error.code };
   }
 };
 
-export const updateBookingStatus = async (bookingId, status, additionalData = {}) => {
+// Book every date of a recurring series in one transaction, so the customer
+// gets all of them or none. Each occurrence is an ordinary booking linked by
+// seriesId; dates lists the occurrences to book, which may leave out ones the
+// customer chose to skip
+export const createBookingSeries = async ({ promoCode, ...bookingData }, recurrence, dates) => {
   try {
-    await updateDoc(doc(db, 'bookings', bookingId), {
-      status,
-      ...additionalData,
-      updatedAt: serverTimestamp()
+    const seriesId = uuidv4();
+    const bookingRefs = dates.map(() => doc(collection(db, 'bookings')));
+    let bookings;
+
+    await runTransaction(db, async (transaction) => {
+      const providerDoc = await transaction.get(doc(db, 'providers', bookingData.providerId));
+      const provider = providerDoc.exists() ? providerDoc.data() : {};
+      const customerReliability = await getCustomerReliability(transaction, bookingData.customerId);
+      // A code discounts every occurrence and counts as one use
+      const promo = await getBookingPromo(transaction, provider, { ...bookingData, promoCode }, customerReliability);
+
+      // Check every occurrence before writing any of them
+      const now = new Date().toISOString();
+      bookings = [];
+      for (const [index, scheduledDate] of dates.entries()) {
+        try {
+          bookings.push(await prepareBooking(transaction, provider, {
+            ...bookingData,
+            customerReliability,
+            ...(promo && { promo: promo.discount }),
+            scheduledDate,
+            seriesId,
+            recurrence,
+            occurrenceIndex: index,
+            occurrenceCount: dates.length
+          }, now));
+        } catch (error) {
+          error.message = `${scheduledDate}: ${error.message}`;
+          throw error;
+        }
+      }
+
+      // Every occurrence and each of its slot locks is a write, plus one for the
+      // promo code's use; long jobs can take a series over the limit
+      const promoWrites = promo ? 1 : 0;
+      const writes = bookings.reduce((sum, booking) => sum + 1 + booking.slotLockIds.length, promoWrites);
+      if (writes > MAX_TRANSACTION_WRITES) {
+        const writesPerBooking = Math.max(...bookings.map(booking => 1 + booking.slotLockIds.length));
+        const maxBookings = Math.floor((MAX_TRANSACTION_WRITES - promoWrites) / writesPerBooking);
+        throw new Error(`A series of this service can have at most ${maxBookings} bookings. Please book fewer dates.`);
+      }
+
+      bookings.forEach((booking, index) => writeBooking(transaction, bookingRefs[index], booking, now));
+      if (promo) {
+        redeemPromoCode(transaction, promo, bookingData.customerId, bookingRefs[0].id);
+      }
     });
+
+    // One notification covers the whole series
+    await createNotification('provider', NOTIFICATION_TYPES.BOOKING_REQUESTED, { ...bookings[0], id: bookingRefs[0].id }, { count: bookings.length });
+
+    // Each occurrence takes its own deposit
+    let paymentError = null;
+    for (const bookingRef of bookingRefs) {
+      const payment = await settlePayment(bookingRef.id);
+      paymentError = paymentError || (payment.success ? null : payment.error);
+    }
+
+    return { success: true, id: seriesId, bookingIds: bookingRefs.map(ref => ref.id), paymentError };
+  } catch (error) {
+    console.error('Error creating booking series:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+// Apply a checked status change to a booking read in the same transaction.
+// Returns the booking as it will be after the change
+const applyStatusChange = (transaction, bookingRef, booking, status, actor, { note, ...additionalData } = {}) => {
+  if (!canTransition(booking.status, status, actor?.role)) {
+    const error = new Error(`A ${getStatusLabel(booking.status).toLowerCase()} booking cannot be changed to ${getStatusLabel(status).toLowerCase()}.`);
+    error.code = INVALID_STATUS_TRANSITION_ERROR;
+    throw error;
+  }
+  // A request past its deadline can only expire, even if the sweep hasn't run yet
+  if (status === 'confirmed' && isPendingExpired(booking)) {
+    const error = new Error('This request has expired and can no longer be accepted.');
+    error.code = INVALID_STATUS_TRANSITION_ERROR;
+    throw error;
+  }
+  // Once a quote is out, the booking is confirmed by the customer accepting it
+  if (status === 'confirmed' && actor.role === 'customer' && !getAcceptedQuote({ ...booking, ...additionalData })) {
+    const error = new Error('Bookings are confirmed by accepting the provider\'s quote.');
+    error.code = INVALID_STATUS_TRANSITION_ERROR;
+    throw error;
+  }
+  if (status === 'confirmed' && actor.role === 'provider' && getPendingQuote(booking)) {
+    const error = new Error('This request has a quote waiting for the customer\'s answer.');
+    error.code = INVALID_STATUS_TRANSITION_ERROR;
+    throw error;
+  }
+  // Nobody is a no-show until the grace period after the start has passed
+  if (status === 'no-show' && !canReportNoShow(booking, actor.role)) {
+    const error = new Error('It is too early to report a no-show for this booking.');
+    error.code = INVALID_STATUS_TRANSITION_ERROR;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  // A booking that can no longer move takes its open proposal off the table
+  const withdrawProposal = !RESCHEDULABLE_STATUSES.includes(status) && getPendingProposal(booking);
+  transaction.update(bookingRef, {
+    ...additionalData,
+    ...(withdrawProposal && {
+      rescheduleProposals: booking.rescheduleProposals.map(proposal =>
+        proposal.status === 'pending' ? { ...proposal, status: 'withdrawn', respondedAt: now } : proposal
+      )
+    }),
+    status,
+    [STATUS_TIMESTAMP_FIELDS[status]]: now,
+    statusHistory: [
+      ...(booking.statusHistory || []),
+      createStatusHistoryEntry(booking.status, status, actor, now, note)
+    ],
+    updatedAt: serverTimestamp()
+  });
+
+  // Free the slot once the booking no longer holds it
+  if (!BLOCKING_STATUSES.includes(status)) {
+    getBookingSlotLockIds(booking).forEach(lockId => transaction.delete(getSlotLockRef(lockId)));
+  }
+
+  return { ...booking, ...additionalData, status };
+};
+
+// Statuses whose outcome counts towards the parties' reliability
+const RELIABILITY_STATUSES = ['completed', 'no-show'];
+
+// Tell the other party about a status change. Expiry is reported by the
+// server, see src/lib/expiryProcessor.js
+const notifyStatusChange = (booking, actor, details) => {
+  const type = STATUS_NOTIFICATION_TYPES[booking.status];
+  if (!type) {
+    return null;
+  }
+  return createNotification(actor.role === 'customer' ? 'provider' : 'customer', type, booking, details);
+};
+
+// The only way to change a booking's status. actor is { uid, role } of whoever
+// makes the change; the move is checked against the lifecycle in bookingStatus.js
+// and recorded in the booking's statusHistory
+export const updateBookingStatus = async (bookingId, status, actor, options = {}) => {
+  try {
+    const bookingRef = doc(db, 'bookings', bookingId);
+    let updatedBooking;
+
+    await runTransaction(db, async (transaction) => {
+      const bookingDoc = await transaction.get(bookingRef);
+      if (!bookingDoc.exists()) {
+        throw new Error('Booking not found');
+      }
+
+      // Completing a job issues its invoice
+      const booking = bookingDoc.data();
+      const invoice = status === 'completed' && !booking.invoiceId
+        ? await prepareInvoice(transaction, { ...booking, id: bookingId })
+        : null;
+
+      updatedBooking = applyStatusChange(transaction, bookingRef, booking, status, actor, {
+        ...options,
+        ...(invoice && { invoiceId: invoice.ref.id, invoiceNumber: invoice.data.invoiceNumber })
+      });
+      if (invoice) {
+        writeInvoice(transaction, invoice);
+      }
+    });
+
+    await notifyStatusChange({ ...updatedBooking, id: bookingId }, actor);
+    await settlePayment(bookingId);
+    if (RELIABILITY_STATUSES.includes(status)) {
+      await recordReliability(bookingId);
+    }
+
     return { success: true };
   } catch (error) {
     console.error('Error updating booking status:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+// Fields recorded on a cancelled booking. Customers pay any late fee under the
+// policy recorded on the booking; a provider cancelling never charges the customer
+const getCancellationChanges = (booking, actor, reason) => {
+  const { fee, feePercent } = actor.role === 'customer'
+    ? getCancellationFee(booking)
+    : { fee: 0, feePercent: 0 };
+
+  return {
+    note: reason,
+    cancelledBy: actor.role,
+    cancellationReason: reason,
+    cancellationFee: fee,
+    cancellationFeePercent: feePercent
+  };
+};
+
+export const cancelBooking = async (bookingId, actor, reason = '') => {
+  const bookingResult = await getBooking(bookingId);
+  if (!bookingResult.success) {
+    return bookingResult;
+  }
+
+  return updateBookingStatus(bookingId, 'cancelled', actor, getCancellationChanges(bookingResult.data, actor, reason));
+};
+
+// Get the ids of a series' occurrences that the actor is party to
+const getSeriesBookings = async (seriesId, actor) => {
+  const seriesQuery = query(
+    collection(db, 'bookings'),
+    where('seriesId', '==', seriesId),
+    where(actor.role === 'provider' ? 'providerId' : 'customerId', '==', actor.uid)
+  );
+  const seriesSnapshot = await getDocs(seriesQuery);
+  return seriesSnapshot.docs.map(doc => doc.id);
+};
+
+// Move every occurrence of a series that can make the change to a new status,
+// leaving the rest (already cancelled, completed, ...) alone. getOptions builds
+// the note and extra fields for each booking. The other party gets a single
+// notification for the series
+const updateSeriesBookings = async (seriesId, status, actor, getOptions = () => ({})) => {
+  const bookingIds = await getSeriesBookings(seriesId, actor);
+  let updated = [];
+
+  await runTransaction(db, async (transaction) => {
+    const bookingRefs = bookingIds.map(bookingId => doc(db, 'bookings', bookingId));
+    const bookingDocs = await Promise.all(bookingRefs.map(bookingRef => transaction.get(bookingRef)));
+
+    updated = [];
+    bookingDocs.forEach((bookingDoc, index) => {
+      // Occurrences deleted since the query are skipped like finished ones
+      if (!bookingDoc.exists()) {
+        return;
+      }
+      const booking = bookingDoc.data();
+      if (!canTransition(booking.status, status, actor.role) || (status === 'confirmed' && isPendingExpired(booking))) {
+        return;
+      }
+      const changed = applyStatusChange(transaction, bookingRefs[index], booking, status, actor, getOptions(booking));
+      updated.push({ ...changed, id: bookingIds[index] });
+    });
+  });
+
+  if (updated.length > 0) {
+    const [first] = [...updated].sort((a, b) => a.scheduledDate.localeCompare(b.scheduledDate));
+    await notifyStatusChange(first, actor, { count: updated.length });
+  }
+
+  for (const booking of updated) {
+    await settlePayment(booking.id);
+    if (RELIABILITY_STATUSES.includes(status)) {
+      await recordReliability(booking.id);
+    }
+  }
+
+  return updated.length;
+};
+
+// Change the status of a whole series at once, e.g. a provider accepting all
+// of its pending occurrences
+export const updateSeriesStatus = async (seriesId, status, actor, options = {}) => {
+  try {
+    const updated = await updateSeriesBookings(seriesId, status, actor, () => options);
+    return { success: true, updated };
+  } catch (error) {
+    console.error('Error updating booking series:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+// Cancel every remaining occurrence of a series; each is charged under its own
+// cancellation policy, so only the ones close to their start cost a fee
+export const cancelBookingSeries = async (seriesId, actor, reason = '') => {
+  try {
+    const updated = await updateSeriesBookings(seriesId, 'cancelled', actor, booking => getCancellationChanges(booking, actor, reason));
+    return { success: true, updated };
+  } catch (error) {
+    console.error('Error cancelling booking series:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+// Ask the server to expire the signed-in user's requests whose deadline has
+// passed (see src/lib/expiryProcessor.js). Dashboards call it once when they
+// open; the scheduled job in FIREBASE_SETUP.md covers bookings nobody is looking at
+export const expireStaleBookings = async () => {
+  try {
+    const idToken = await auth.currentUser?.getIdToken();
+    if (!idToken || typeof window === 'undefined') {
+      return { success: false, error: 'Not signed in' };
+    }
+    const response = await fetch('/api/bookings/expire', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${idToken}` }
+    });
+    return await response.json();
+  } catch (error) {
+    console.error('Error expiring bookings:', error);
     return { success: false, error: error.message };
   }
 };
 
+// Record that the other party never turned up. Providers mark customers and
+// customers report providers; either way the booking ends and its slot is freed
+export const reportNoShow = async (bookingId, actor, note = '') => {
+  return updateBookingStatus(bookingId, 'no-show', actor, { note, noShowParty: getOtherParty(actor.role) });
+};
+
+// Record that the other party arrived late. The booking carries on as before;
+// the delay is kept on it and counted on the late party's profile by the server
+export const reportLateArrival = async (bookingId, actor, minutes) => {
+  try {
+    const validationError = validateLateMinutes(minutes);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const bookingRef = doc(db, 'bookings', bookingId);
+    const party = getOtherParty(actor.role);
+    let reportedFor;
+
+    await runTransaction(db, async (transaction) => {
+      const bookingDoc = await transaction.get(bookingRef);
+      if (!bookingDoc.exists()) {
+        throw new Error('Booking not found');
+      }
+
+      const booking = bookingDoc.data();
+      if (!canReportLateArrival(booking, actor.role)) {
+        throw new Error('A late arrival can no longer be reported for this booking.');
+      }
+
+      transaction.update(bookingRef, {
+        lateArrivals: [...(booking.lateArrivals || []), {
+          party,
+          minutes,
+          reportedBy: actor.role,
+          reportedByUid: actor.uid,
+          at: new Date().toISOString()
+        }],
+        updatedAt: serverTimestamp()
+      });
+      reportedFor = { ...booking, id: bookingId };
+    });
+
+    await createNotification(party, NOTIFICATION_TYPES.LATE_ARRIVAL_REPORTED, reportedFor, { minutes, reportedBy: actor.role });
+    await recordReliability(bookingId);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error reporting late arrival:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const proposeReschedule = async (bookingId, actor, { scheduledDate, scheduledTime, note = '' }) => {
+  try {
+    const bookingRef = doc(db, 'bookings', bookingId);
+    const proposalId = uuidv4();
+    let proposedFor;
+
+    await runTransaction(db, async (transaction) => {
+      const bookingDoc = await transaction.get(bookingRef);
+      if (!bookingDoc.exists()) {
+        throw new Error('Booking not found');
+      }
+
+      const booking = bookingDoc.data();
+      if (!canProposeReschedule(booking, actor.role)) {
+        throw new Error('This booking can no longer be rescheduled.');
+      }
+
+      // A new proposal replaces the open one: the other side's is countered, our own is withdrawn
+      const now = new Date().toISOString();
+      const proposals = (booking.rescheduleProposals || []).map(proposal =>
+        proposal.status === 'pending'
+          ? { ...proposal, status: proposal.proposedBy === actor.role ? 'withdrawn' : 'countered', respondedAt: now }
+          : proposal
+      );
+
+      transaction.update(bookingRef, {
+        rescheduleProposals: [...proposals, {
+          id: proposalId,
+          proposedBy: actor.role,
+          proposedByUid: actor.uid,
+          scheduledDate,
+          scheduledTime,
+          previousDate: booking.scheduledDate,
+          previousTime: booking.scheduledTime,
+          note,
+          status: 'pending',
+          createdAt: now
+        }],
+        updatedAt: serverTimestamp()
+      });
+      proposedFor = { ...booking, id: bookingId };
+    });
+
+    await createNotification(actor.role === 'customer' ? 'provider' : 'customer', NOTIFICATION_TYPES.RESCHEDULE_PROPOSED, proposedFor);
+
+    return { success: true, id: proposalId };
+  } catch (error) {
+    console.error('Error proposing reschedule:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Accept or reject the open proposal. Accepting moves the booking and its slot
+// locks to the proposed time in one transaction
+export const respondToReschedule = async (bookingId, proposalId, actor, accept) => {
+  try {
+    const bookingRef = doc(db, 'bookings', bookingId);
+
+    // Bookings can't be queried inside a transaction, so load the new day's first
+    let otherBookings = [];
+    if (accept) {
+      const bookingResult = await getBooking(bookingId);
+      if (!bookingResult.success) {
+        return bookingResult;
+      }
+      const target = (bookingResult.data.rescheduleProposals || []).find(proposal => proposal.id === proposalId);
+      if (target) {
+        const bookingsResult = await getBlockingBookings(bookingResult.data.providerId, target.scheduledDate);
+        if (!bookingsResult.success) {
+          return bookingsResult;
+        }
+        otherBookings = bookingsResult.data.filter(other => other.id !== bookingId);
+      }
+    }
+
+    let movedBooking = null;
+    let proposer = null;
+
+    await runTransaction(db, async (transaction) => {
+      const bookingDoc = await transaction.get(bookingRef);
+      if (!bookingDoc.exists()) {
+        throw new Error('Booking not found');
+      }
+
+      const booking = bookingDoc.data();
+      const proposal = (booking.rescheduleProposals || []).find(item => item.id === proposalId);
+      if (!canRespondToProposal(proposal, actor.role)) {
+        throw new Error('This proposal is no longer open.');
+      }
+      if (!canProposeReschedule(booking, actor.role)) {
+        throw new Error('This booking can no longer be rescheduled.');
+      }
+
+      const now = new Date().toISOString();
+      const proposals = booking.rescheduleProposals.map(item =>
+        item.id === proposalId
+          ? { ...item, status: accept ? 'accepted' : 'rejected', respondedAt: now, respondedBy: actor.uid }
+          : item
+      );
+
+      if (!accept) {
+        transaction.update(bookingRef, { rescheduleProposals: proposals, updatedAt: serverTimestamp() });
+        return;
+      }
+
+      const { scheduledDate, scheduledTime } = proposal;
+      const providerDoc = await transaction.get(doc(db, 'providers', booking.providerId));
+      const provider = providerDoc.exists() ? providerDoc.data() : {};
+      if (!isWithinBookingWindow(provider, scheduledDate, scheduledTime)) {
+        const error = new Error('The proposed time can no longer be booked with this provider.');
+        error.code = OUTSIDE_BOOKING_WINDOW_ERROR;
+        throw error;
+      }
+      const duration = getBookingDuration(booking);
+      if (!isProviderAvailable(provider, scheduledDate, scheduledTime, otherBookings, duration)) {
+        throw slotUnavailableError('The provider is no longer free at the proposed time.');
+      }
+
+      const start = timeToMinutes(scheduledTime);
+      const end = start + duration;
+      const assignedStaff = await findFreeStaff(transaction, booking.providerId, provider, scheduledDate, start, end, {
+        preferredStaffId: booking.staffId,
+        ignoreBookingId: bookingId
+      });
+      if (assignedStaff === undefined) {
+        throw slotUnavailableError('The proposed time has just been booked by someone else.');
+      }
+
+      const moved = {
+        ...booking,
+        scheduledDate,
+        scheduledTime,
+        staffId: assignedStaff?.id || null,
+        staffName: assignedStaff?.name || null,
+        slotLockIds: getSlotLockIds(getLockOwnerId(booking.providerId, assignedStaff?.id), scheduledDate, start, end)
+      };
+
+      // Release the old slot and take the new one, keeping locks the two share
+      const previousLockIds = getBookingSlotLockIds(booking);
+      previousLockIds
+        .filter(lockId => !moved.slotLockIds.includes(lockId))
+        .forEach(lockId => transaction.delete(getSlotLockRef(lockId)));
+      moved.slotLockIds
+        .filter(lockId => !previousLockIds.includes(lockId))
+        .forEach(lockId => {
+          transaction.set(getSlotLockRef(lockId), getSlotLockData(bookingId, moved, now));
+        });
+
+      transaction.update(bookingRef, {
+        scheduledDate,
+        scheduledTime,
+        staffId: moved.staffId,
+        staffName: moved.staffName,
+        slotLockIds: moved.slotLockIds,
+        rescheduleProposals: proposals,
+        // The reminders sent so far were for the old time
+        remindersSent: [],
+        updatedAt: serverTimestamp()
+      });
+      movedBooking = { ...moved, id: bookingId };
+      proposer = proposal.proposedBy;
+    });
+
+    if (movedBooking) {
+      await createNotification(proposer, NOTIFICATION_TYPES.BOOKING_RESCHEDULED, movedBooking);
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error responding to reschedule:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+// Quote operations
+// Send the customer an itemized quote for a pending request. A new quote
+// replaces any the customer hasn't answered yet
+export const sendQuote = async (bookingId, actor, { items, taxPercent = 0, note = '' }) => {
+  try {
+    const validationError = validateQuote(items, taxPercent);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const bookingRef = doc(db, 'bookings', bookingId);
+    const quoteId = uuidv4();
+    let quotedBooking;
+
+    await runTransaction(db, async (transaction) => {
+      const bookingDoc = await transaction.get(bookingRef);
+      if (!bookingDoc.exists()) {
+        throw new Error('Booking not found');
+      }
+
+      const booking = bookingDoc.data();
+      if (!canSendQuote(booking, actor.role)) {
+        throw new Error('This booking can no longer be quoted.');
+      }
+
+      const now = new Date().toISOString();
+      const quotes = (booking.quotes || []).map(quote =>
+        quote.status === 'pending' ? { ...quote, status: 'superseded', respondedAt: now } : quote
+      );
+
+      transaction.update(bookingRef, {
+        quotes: [...quotes, {
+          id: quoteId,
+          items: items.map(({ type, description = '', amount }) => ({ type, description, amount: Number(amount) })),
+          taxPercent: Number(taxPercent),
+          ...calculateQuoteTotals(items, taxPercent),
+          note,
+          status: 'pending',
+          createdBy: actor.uid,
+          createdAt: now
+        }],
+        responseDeadline: getQuotedResponseDeadline(booking),
+        updatedAt: serverTimestamp()
+      });
+      quotedBooking = { ...booking, id: bookingId };
+    });
+
+    await createNotification('customer', NOTIFICATION_TYPES.QUOTE_RECEIVED, quotedBooking);
+
+    return { success: true, id: quoteId };
+  } catch (error) {
+    console.error('Error sending quote:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Accept or decline the open quote. Accepting confirms the booking at the
+// quoted total; declining leaves the request pending for the provider
+export const respondToQuote = async (bookingId, quoteId, actor, accept) => {
+  try {
+    const bookingRef = doc(db, 'bookings', bookingId);
+    let respondedBooking;
+    let quoteTotal;
+
+    await runTransaction(db, async (transaction) => {
+      const bookingDoc = await transaction.get(bookingRef);
+      if (!bookingDoc.exists()) {
+        throw new Error('Booking not found');
+      }
+
+      const booking = bookingDoc.data();
+      const quote = (booking.quotes || []).find(item => item.id === quoteId);
+      if (!canRespondToQuote(booking, quote, actor.role)) {
+        throw new Error('This quote is no longer open.');
+      }
+
+      const now = new Date().toISOString();
+      const quotes = booking.quotes.map(item =>
+        item.id === quoteId
+          ? { ...item, status: accept ? 'accepted' : 'declined', respondedAt: now }
+          : item
+      );
+      quoteTotal = quote.total;
+
+      if (accept) {
+        respondedBooking = applyStatusChange(transaction, bookingRef, booking, 'confirmed', actor, {
+          note: 'Accepted quote',
+          quotes,
+          acceptedQuoteId: quoteId,
+          // The booking's promo code carries over to the quoted price
+          ...(booking.promo ? applyBookingPromo(booking, quote.total) : { totalPrice: quote.total })
+        });
+      } else {
+        transaction.update(bookingRef, { quotes, updatedAt: serverTimestamp() });
+        respondedBooking = booking;
+      }
+    });
+
+    await createNotification(
+      'provider',
+      accept ? NOTIFICATION_TYPES.QUOTE_ACCEPTED : NOTIFICATION_TYPES.QUOTE_DECLINED,
+      { ...respondedBooking, id: bookingId },
+      { total: quoteTotal }
+    );
+    if (accept) {
+      await settlePayment(bookingId);
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error responding to quote:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
+// Give a team booking to another staff member. Only the booking's provider can
+// do this; the customer is told who is coming instead
+export const reassignBookingStaff = async (bookingId, staffId, actor) => {
+  try {
+    const bookingRef = doc(db, 'bookings', bookingId);
+    let reassignedBooking;
+
+    await runTransaction(db, async (transaction) => {
+      const bookingDoc = await transaction.get(bookingRef);
+      if (!bookingDoc.exists()) {
+        throw new Error('Booking not found');
+      }
+
+      const booking = bookingDoc.data();
+      if (actor?.role !== 'provider' || actor.uid !== booking.providerId) {
+        throw new Error('Only the provider can reassign this booking.');
+      }
+
+      const providerDoc = await transaction.get(doc(db, 'providers', booking.providerId));
+      const provider = providerDoc.exists() ? providerDoc.data() : {};
+      const member = getActiveStaff(provider).find(staff => staff.id === staffId);
+      if (!member) {
+        throw new Error('Staff member not found');
+      }
+
+      const { scheduledDate, scheduledTime } = booking;
+      const duration = getBookingDuration(booking);
+      const start = timeToMinutes(scheduledTime);
+      const end = start + duration;
+      const ownerId = getLockOwnerId(booking.providerId, member.id);
+      const isActive = BLOCKING_STATUSES.includes(booking.status);
+
+      // Finished bookings only change hands on paper; active ones need the new person free
+      if (isActive) {
+        const isOnShift = getAvailableStaff(provider, scheduledDate, scheduledTime, [], duration)
+          .some(staff => staff.id === member.id);
+        const overlapping = isOnShift
+          ? await getOverlappingLockBookingIds(transaction, ownerId, scheduledDate, start, end, getMaxBufferTimes(provider), bookingId)
+          : [];
+        if (!isOnShift || overlapping.length > 0) {
+          throw slotUnavailableError(`${member.name} is not free at this time.`);
+        }
+      }
+
+      const reassigned = {
+        ...booking,
+        staffId: member.id,
+        staffName: member.name,
+        slotLockIds: getSlotLockIds(ownerId, scheduledDate, start, end)
+      };
+
+      // Move the booking's locks over to the new staff member
+      if (isActive) {
+        const now = new Date().toISOString();
+        getBookingSlotLockIds(booking).forEach(lockId => transaction.delete(getSlotLockRef(lockId)));
+        reassigned.slotLockIds.forEach(lockId => {
+          transaction.set(getSlotLockRef(lockId), getSlotLockData(bookingId, reassigned, now));
+        });
+      }
+
+      transaction.update(bookingRef, {
+        staffId: reassigned.staffId,
+        staffName: reassigned.staffName,
+        ...(isActive && { slotLockIds: reassigned.slotLockIds }),
+        updatedAt: serverTimestamp()
+      });
+      reassignedBooking = isActive && booking.staffId !== member.id ? { ...reassigned, id: bookingId } : null;
+    });
+
+    if (reassignedBooking) {
+      await createNotification('customer', NOTIFICATION_TYPES.STAFF_REASSIGNED, reassignedBooking);
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error reassigning booking:', error);
+    return { success: false, error: error.message, code: error.code };
+  }
+};
+
 export const getBooking = async (bookingId) => {
   try {
     const bookingDoc = await getDoc(doc(db, 'bookings', bookingId));
@@ -132,6 +1100,303 @@ export const getBooking = async (bookingId) => {
   }
 };
 
+// Invoice operations
+// Number the invoice for a booking from the provider's counter and build it.
+// The counter lives in its own document so profile saves can't overwrite it;
+// reading it in the transaction keeps the numbers in sequence without gaps
+const prepareInvoice = async (transaction, booking) => {
+  const providerDoc = await transaction.get(doc(db, 'providers', booking.providerId));
+  const counterRef = doc(db, 'invoiceCounters', booking.providerId);
+  const counterDoc = await transaction.get(counterRef);
+  const sequence = (counterDoc.exists() ? counterDoc.data().count : 0) + 1;
+
+  return {
+    ref: doc(collection(db, 'invoices')),
+    counterRef,
+    sequence,
+    data: buildInvoice(booking, providerDoc.exists() ? providerDoc.data() : {}, sequence, new Date().toISOString())
+  };
+};
+
+const writeInvoice = (transaction, invoice) => {
+  transaction.set(invoice.ref, invoice.data);
+  transaction.set(invoice.counterRef, { count: invoice.sequence });
+};
+
+export const getInvoice = async (invoiceId) => {
+  try {
+    const invoiceDoc = await getDoc(doc(db, 'invoices', invoiceId));
+    if (invoiceDoc.exists()) {
+      return { success: true, data: { id: invoiceDoc.id, ...invoiceDoc.data() } };
+    }
+    return { success: false, error: 'Invoice not found' };
+  } catch (error) {
+    console.error('Error getting invoice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Promo code operations
+// Check a code for the booking modal, before the customer sends the request.
+// The booking transaction checks it again when the request is made
+export const checkPromoCode = async (code, { customerId, providerId, serviceType, timeZone }) => {
+  try {
+    const [promoDoc, customerDoc] = await Promise.all([
+      getDoc(doc(db, 'promoCodes', normalizePromoCode(code))),
+      getDoc(doc(db, 'users', customerId))
+    ]);
+    const promo = promoDoc.exists() ? promoDoc.data() : null;
+    const promoError = getPromoCodeError(promo, {
+      customerId,
+      providerId,
+      serviceType,
+      today: getTodayInTimeZone(timeZone),
+      isFirstBooking: isFirstBooking(customerDoc.exists() ? customerDoc.data().reliability : null)
+    });
+    if (promoError) {
+      return { success: false, error: promoError };
+    }
+    return { success: true, data: { id: promoDoc.id, ...promo } };
+  } catch (error) {
+    console.error('Error checking promo code:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Create a code for a provider's own services. Codes are stored under their
+// normalized form, so a code already taken by anyone can't be created again
+export const createPromoCode = async (providerId, promoData) => {
+  try {
+    const validationError = validatePromoCode(promoData);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const code = normalizePromoCode(promoData.code);
+    const promoRef = doc(db, 'promoCodes', code);
+    await runTransaction(db, async (transaction) => {
+      const promoDoc = await transaction.get(promoRef);
+      if (promoDoc.exists()) {
+        throw new Error('This code is already taken. Please choose another.');
+      }
+      transaction.set(promoRef, {
+        code,
+        providerId,
+        discountType: promoData.discountType,
+        amount: Number(promoData.amount),
+        validFrom: promoData.validFrom || null,
+        validUntil: promoData.validUntil || null,
+        maxUses: promoData.maxUses ? Number(promoData.maxUses) : null,
+        usedCount: 0,
+        categories: promoData.categories || [],
+        firstBookingOnly: !!promoData.firstBookingOnly,
+        onePerCustomer: !!promoData.onePerCustomer,
+        redeemedBy: [],
+        active: true,
+        createdAt: serverTimestamp()
+      });
+    });
+
+    return { success: true, id: code };
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const setPromoCodeActive = async (code, active) => {
+  try {
+    await updateDoc(doc(db, 'promoCodes', code), { active, updatedAt: serverTimestamp() });
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Payment operations
+// Ask the server to charge or refund a booking so its payment matches its
+// status (see src/lib/paymentProcessor.js). Called after every change that can
+// alter what the customer owes, and by the customer to retry a failed payment.
+// If a settlement is already running, the server has it run again for this
+// change and answers at once, so nothing here waits or retries.
+// The result is also recorded on the booking, so callers can ignore it
+export const settlePayment = async (bookingId) => {
+  try {
+    const idToken = await auth.currentUser?.getIdToken();
+    if (!idToken || typeof window === 'undefined') {
+      return { success: false, error: 'Not signed in' };
+    }
+
+    const response = await fetch('/api/payments', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${idToken}` },
+      body: JSON.stringify({ bookingId })
+    });
+    return await response.json();
+  } catch (error) {
+    console.error('Error settling payment:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Ask the server to pay the signed-in provider their available balance
+// (see src/lib/payoutProcessor.js)
+export const requestPayout = async () => {
+  try {
+    const idToken = await auth.currentUser?.getIdToken();
+    if (!idToken) {
+      return { success: false, error: 'Not signed in' };
+    }
+    const response = await fetch('/api/payouts', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${idToken}` }
+    });
+    return await response.json();
+  } catch (error) {
+    console.error('Error requesting payout:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Reliability operations
+// Ask the server to count a booking's outcomes on its parties' profiles (see
+// src/lib/reliabilityProcessor.js). Called after a booking completes, is marked
+// a no-show or has a late arrival reported; counting again is harmless
+export const recordReliability = async (bookingId) => {
+  try {
+    const idToken = await auth.currentUser?.getIdToken();
+    if (!idToken || typeof window === 'undefined') {
+      return { success: false, error: 'Not signed in' };
+    }
+    const response = await fetch('/api/reliability', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${idToken}` },
+      body: JSON.stringify({ bookingId })
+    });
+    return await response.json();
+  } catch (error) {
+    console.error('Error recording reliability:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Notification operations
+// Ask the server to email a notification. Runs in the background: the
+// notification is already in the recipient's inbox whether or not this succeeds
+const emailNotification = async (notificationId) => {
+  try {
+    const idToken = await auth.currentUser?.getIdToken();
+    if (!idToken || typeof window === 'undefined') {
+      return;
+    }
+    await fetch('/api/notifications/email', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${idToken}` },
+      body: JSON.stringify({ notificationId })
+    });
+  } catch (error) {
+    console.error('Error emailing notification:', error);
+  }
+};
+
+// Record a notification about a booking for one of its parties. Failures are
+// logged rather than thrown, so they never undo the action being reported
+export const createNotification = async (recipientRole, type, booking, details = {}) => {
+  try {
+    const notificationRef = await addDoc(collection(db, 'notifications'), {
+      userId: recipientRole === 'provider' ? booking.providerId : booking.customerId,
+      role: recipientRole,
+      type,
+      ...buildNotification(type, booking, details),
+      bookingId: booking.id || null,
+      createdBy: auth.currentUser?.uid || null,
+      read: false,
+      createdAt: new Date().toISOString()
+    });
+
+    emailNotification(notificationRef.id);
+
+    return { success: true, id: notificationRef.id };
+  } catch (error) {
+    console.error('Error creating notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const markNotificationRead = async (notificationId) => {
+  try {
+    await updateDoc(doc(db, 'notifications', notificationId), { read: true });
+    return { success: true };
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const markAllNotificationsRead = async (userId) => {
+  try {
+    const unreadQuery = query(
+      collection(db, 'notifications'),
+      where('userId', '==', userId),
+      where('read', '==', false)
+    );
+    const unreadSnapshot = await getDocs(unreadQuery);
+
+    const batch = writeBatch(db);
+    unreadSnapshot.docs.forEach(notificationDoc => batch.update(notificationDoc.ref, { read: true }));
+    await batch.commit();
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Message operations
+// sender is { uid, role, name }. The message and the other party's unread
+// count are written together so the counter never misses a message
+export const sendMessage = async (bookingId, sender, text) => {
+  try {
+    const batch = writeBatch(db);
+    const messageRef = doc(collection(db, 'bookings', bookingId, 'messages'));
+    const recipientRole = sender.role === 'customer' ? 'provider' : 'customer';
+    const now = new Date().toISOString();
+
+    batch.set(messageRef, {
+      senderId: sender.uid,
+      senderRole: sender.role,
+      senderName: sender.name || '',
+      text: text.trim(),
+      createdAt: now
+    });
+    batch.update(doc(db, 'bookings', bookingId), {
+      [`unreadCount.${recipientRole}`]: increment(1),
+      lastMessageAt: now,
+      lastMessagePreview: getMessagePreview(text)
+    });
+    await batch.commit();
+
+    return { success: true, id: messageRef.id };
+  } catch (error) {
+    console.error('Error sending message:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const markMessagesRead = async (bookingId, role) => {
+  try {
+    await updateDoc(doc(db, 'bookings', bookingId), {
+      [`unreadCount.${role}`]: 0
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Error marking messages read:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Review operations
 export const addReview = async (bookingId, reviewData) => {
   try {
@@ -229,70 +1494,6 @@ export const updateProviderAvailability = async (providerId, availability) => {
   }
 };
 
-export const getAvailableTimeSlots = async (providerId, date) => {
-  try {
-    // Get provider's availability settings
-    const providerResult = await getProviderProfile(providerId);
-    if (!providerResult.success) {
-      return providerResult;
-    }
-
-    const provider = providerResult.data;
-    const dayOfWeek = new Date(date).getDay();
-    
-    // Get day availability (0 = Sunday, 1 = Monday, etc.)
-    const dayAvailability = provider.availability?.[dayOfWeek];
-    if (!dayAvailability || !dayAvailability.available) {
-      return { success: true, data: [] };
-    }
-
-    // Get existing bookings for this date
-    const bookingsQuery = query(
-      collection(db, 'bookings'),
-      where('providerId', '==', providerId),
-      where('scheduledDate', '==', date),
-      where('status', 'in', ['pending', 'confirmed'])
-    );
-
-    const bookingsSnapshot = await getDocs(bookingsQuery);
-    const bookedTimes = bookingsSnapshot.docs.map(doc => doc.data().scheduledTime);
-
-    // Generate available time slots
-    const availableSlots = [];
-    const startTime = dayAvailability.startTime || '09:00';
-    const endTime = dayAvailability.endTime || '17:00';
-    
-    // This is a simplified version - you'd want more sophisticated slot generation
-    const slots = generateTimeSlots(startTime, endTime, 60); // 60-minute slots
-    
-    slots.forEach(slot => {
-      if (!bookedTimes.includes(slot)) {
-        availableSlots.push(slot);
-      }
-    });
-
-    return { success: true, data: availableSlots };
-  } catch (error) {
-    console.error('Error getting available time slots:', error);
-    return { success: false, error: error.message };
-  }
-};
-
-// Helper function to generate time slots
-const generateTimeSlots = (startTime, endTime, intervalMinutes) => {
-  const slots = [];
-  const start = new Date(`2000-01-01 ${startTime}`);
-  const end = new Date(`2000-01-01 ${endTime}`);
-  
-  let current = new Date(start);
-  while (current < end) {
-    slots.push(current.toTimeString().slice(0, 5));
-    current.setMinutes(current.getMinutes() + intervalMinutes);
-  }
-  
-  return slots;
-};
-
 export default {
   createUserProfile,
   getUserProfile,
@@ -300,10 +1501,22 @@ export default {
   updateProviderProfile,
   getProviderProfile,
   createBooking,
+  createBookingSeries,
   updateBookingStatus,
+  updateSeriesStatus,
+  cancelBooking,
+  cancelBookingSeries,
+  expireStaleBookings,
+  proposeReschedule,
+  respondToReschedule,
+  reassignBookingStaff,
   getBooking,
+  createNotification,
+  markNotificationRead,
+  markAllNotificationsRead,
+  sendMessage,
+  markMessagesRead,
   addReview,
   searchProviders,
-  updateProviderAvailability,
-  getAvailableTimeSlots
+  updateProviderAvailability
 };
@@ -0,0 +1,155 @@
+// PDF rendering for invoices
+// Writes a single-page PDF by hand using the standard Helvetica fonts, which
+// every PDF reader has built in, so no fonts or libraries need to be shipped.
+// Text is limited to the Latin-1 characters those fonts cover
+import { formatTimeForDisplay } from './availability';
+import { getInvoiceBalance } from './invoices';
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+
+// Helvetica character widths (per 1000 units of font size) for the characters
+// used in amounts, so they can be right-aligned. Other characters use a typical width
+const CHAR_WIDTHS = { ' ': 278, '.': 278, ',': 278, '-': 333, '%': 889, '(': 333, ')': 333 };
+const DEFAULT_CHAR_WIDTH = 556;
+
+const formatMoney = (amount) => `$${Number(amount).toFixed(2)}`;
+
+// Make a string safe to place inside a PDF string literal
+const escapeText = (text) => {
+  return String(text ?? '')
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`);
+};
+
+const getTextWidth = (text, size) => {
+  return [...text].reduce((width, char) => width + (CHAR_WIDTHS[char] || DEFAULT_CHAR_WIDTH), 0) * size / 1000;
+};
+
+const truncate = (text, length) => {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+};
+
+// Collects drawing commands for the page, top to bottom
+const createPage = () => {
+  const commands = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const text = (value, x, { size = 10, bold = false, align = 'left' } = {}) => {
+    const safe = escapeText(value);
+    const left = align === 'right' ? x - getTextWidth(String(value ?? ''), size) : x;
+    commands.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${safe}) Tj ET`);
+  };
+
+  return {
+    text,
+    line: () => {
+      commands.push(`${MARGIN} ${(y + 4).toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${(y + 4).toFixed(2)} l S`);
+    },
+    down: (points) => {
+      y -= points;
+    },
+    getContent: () => commands.join('\n')
+  };
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice object
+ * @param {Object} payment - Payment record from the invoice's booking, for the amount paid
+ * @returns {Uint8Array} - PDF file contents
+ */
+export const createInvoicePdf = (invoice, payment) => {
+  const page = createPage();
+  const right = PAGE_WIDTH - MARGIN;
+
+  page.text('INVOICE', MARGIN, { size: 22, bold: true });
+  page.text(invoice.invoiceNumber, right, { size: 12, bold: true, align: 'right' });
+  page.down(16);
+  page.text(`Issued ${invoice.issuedAt.slice(0, 10)}`, right, { align: 'right' });
+  page.down(32);
+
+  // Seller and buyer side by side
+  const sellerLines = [
+    invoice.provider.address,
+    invoice.provider.email,
+    invoice.provider.phone,
+    invoice.provider.taxId && `Tax ID: ${invoice.provider.taxId}`
+  ].filter(Boolean);
+  page.text('From', MARGIN, { bold: true });
+  page.text('Bill to', PAGE_WIDTH / 2, { bold: true });
+  page.down(14);
+  page.text(invoice.provider.name, MARGIN);
+  page.text(invoice.customer.name, PAGE_WIDTH / 2);
+  page.down(14);
+  for (let index = 0; index < Math.max(sellerLines.length, 1); index++) {
+    if (sellerLines[index]) {
+      page.text(truncate(sellerLines[index], 45), MARGIN);
+    }
+    if (index === 0 && invoice.customer.email) {
+      page.text(invoice.customer.email, PAGE_WIDTH / 2);
+    }
+    page.down(14);
+  }
+  page.down(14);
+
+  page.text(`Service: ${invoice.serviceType} on ${invoice.scheduledDate} at ${formatTimeForDisplay(invoice.scheduledTime)}`, MARGIN);
+  page.down(28);
+
+  // Line items
+  page.text('Description', MARGIN, { bold: true });
+  page.text('Amount', right, { bold: true, align: 'right' });
+  page.down(8);
+  page.line();
+  page.down(12);
+  invoice.lineItems.forEach(item => {
+    page.text(truncate(item.description, 80), MARGIN);
+    page.text(formatMoney(item.amount), right, { align: 'right' });
+    page.down(16);
+  });
+  page.line();
+  page.down(12);
+
+  const { paid, balance } = getInvoiceBalance(invoice, payment);
+  const totals = [
+    ['Subtotal', formatMoney(invoice.subtotal)],
+    [`Tax (${invoice.taxPercent}%)`, formatMoney(invoice.tax)],
+    invoice.discount && [`Promo ${invoice.discount.code}`, `-${formatMoney(invoice.discount.amount)}`],
+    ['Total', formatMoney(invoice.total), true],
+    ['Paid', formatMoney(paid)],
+    ['Balance due', formatMoney(balance), true]
+  ].filter(Boolean);
+  totals.forEach(([label, amount, bold]) => {
+    page.text(label, right - 160, { bold });
+    page.text(amount, right, { bold, align: 'right' });
+    page.down(16);
+  });
+
+  page.down(24);
+  page.text('Thank you for your business.', MARGIN, { size: 9 });
+
+  const content = page.getContent();
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+  ];
+
+  // Every character is a single byte, so string offsets are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Uint8Array.from(pdf, char => char.charCodeAt(0));
+};
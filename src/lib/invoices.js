@@ -0,0 +1,105 @@
+// Utility functions for invoices
+// Completing a booking issues an invoice for it, numbered in sequence for each
+// provider. The invoice keeps its own copy of the line items, prices and both
+// parties' details, so later changes to the booking or the provider's profile
+// never alter an invoice that has been issued
+import { getAcceptedQuote, getQuoteItemLabel } from './quotes';
+import { PAYMENT_CURRENCY, getAmountPaid, getBookingPrice } from './payments';
+
+export const DEFAULT_INVOICE_PREFIX = 'INV';
+
+/**
+ * Format an invoice number
+ * @param {string} prefix - Provider's invoice prefix
+ * @param {number} sequence - Invoice's place in the provider's sequence, from 1
+ * @returns {string} - e.g. "INV-00042"
+ */
+export const formatInvoiceNumber = (prefix, sequence) => {
+  return `${prefix || DEFAULT_INVOICE_PREFIX}-${String(sequence).padStart(5, '0')}`;
+};
+
+// A promo code's discount comes off the total, after tax
+const getInvoiceDiscount = (booking) => {
+  return booking.promo ? { code: booking.promo.code, amount: Number(booking.discount) || 0 } : null;
+};
+
+/**
+ * Get the line items, tax and discount billed for a booking
+ * Uses the accepted quote if there is one, otherwise the booking's price as a single item
+ * @param {Object} booking - Booking object
+ * @returns {Object} - { lineItems: [{ description, amount }], subtotal, taxPercent, tax, discount, total }
+ */
+export const getInvoiceLines = (booking) => {
+  const quote = getAcceptedQuote(booking);
+  const discount = getInvoiceDiscount(booking);
+  const total = getBookingPrice(booking);
+  if (quote) {
+    return {
+      lineItems: quote.items.map(item => ({
+        description: item.description ? `${getQuoteItemLabel(item.type)} - ${item.description}` : getQuoteItemLabel(item.type),
+        amount: Number(item.amount)
+      })),
+      subtotal: quote.subtotal,
+      taxPercent: Number(quote.taxPercent) || 0,
+      tax: quote.tax,
+      discount,
+      total
+    };
+  }
+
+  const price = discount ? Number(booking.originalPrice) || 0 : total;
+  return {
+    lineItems: [{ description: booking.offeringName || booking.serviceType, amount: price }],
+    subtotal: price,
+    taxPercent: 0,
+    tax: 0,
+    discount,
+    total
+  };
+};
+
+/**
+ * Build the invoice for a completed booking
+ * @param {Object} booking - Booking object, with its id
+ * @param {Object} provider - Provider object
+ * @param {number} sequence - Invoice's place in the provider's sequence
+ * @param {string} issuedAt - ISO time the invoice is issued
+ * @returns {Object} - Invoice document
+ */
+export const buildInvoice = (booking, provider, sequence, issuedAt) => {
+  return {
+    invoiceNumber: formatInvoiceNumber(provider.invoicePrefix, sequence),
+    sequence,
+    bookingId: booking.id,
+    providerId: booking.providerId,
+    customerId: booking.customerId,
+    provider: {
+      name: provider.name || booking.providerName,
+      address: provider.businessAddress || provider.city || '',
+      taxId: provider.taxId || '',
+      email: provider.email || booking.providerEmail || '',
+      phone: provider.phone || ''
+    },
+    customer: {
+      name: booking.customerName,
+      email: booking.customerEmail || ''
+    },
+    serviceType: booking.serviceType,
+    scheduledDate: booking.scheduledDate,
+    scheduledTime: booking.scheduledTime,
+    ...getInvoiceLines(booking),
+    currency: PAYMENT_CURRENCY,
+    issuedAt
+  };
+};
+
+/**
+ * Work out what is still owed on an invoice
+ * @param {Object} invoice - Invoice object
+ * @param {Object} payment - Payment record from the invoice's booking
+ * @returns {Object} - { paid, balance } in dollars
+ */
+export const getInvoiceBalance = (invoice, payment) => {
+  const paid = Math.min(invoice.total, getAmountPaid(payment));
+  return { paid, balance: Math.round((invoice.total - paid) * 100) / 100 };
+};
@@ -0,0 +1,64 @@
+// Utility functions for booking message threads
+// Each booking has a messages subcollection; the booking keeps an unread count
+// per party so dashboards can show it without loading the threads
+import { STATUS_TRANSITIONS } from './bookingStatus';
+
+export const MAX_MESSAGE_LENGTH = 1000;
+
+// Length of the last-message preview stored on the booking
+const PREVIEW_LENGTH = 80;
+
+/**
+ * Check whether new messages can be sent on a booking
+ * Threads stay readable after a booking ends but no longer take messages
+ * @param {Object} booking - Booking object
+ * @returns {boolean} - True while the booking is still open
+ */
+export const canSendMessages = (booking) => {
+  return Object.keys(STATUS_TRANSITIONS[booking.status] || {}).length > 0;
+};
+
+/**
+ * Validate a message before it is sent
+ * @param {string} text - Message text
+ * @returns {string|null} - Error message or null if valid
+ */
+export const validateMessage = (text) => {
+  if (!text?.trim()) {
+    return 'Please enter a message';
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Shorten a message for the preview shown on the booking
+ * @param {string} text - Message text
+ * @returns {string} - Preview text
+ */
+export const getMessagePreview = (text) => {
+  const trimmed = text.trim();
+  return trimmed.length > PREVIEW_LENGTH ? `${trimmed.slice(0, PREVIEW_LENGTH - 1)}…` : trimmed;
+};
+
+/**
+ * Get how many messages on a booking a party hasn't read
+ * @param {Object} booking - Booking object
+ * @param {string} role - 'customer' or 'provider'
+ * @returns {number} - Unread message count
+ */
+export const getUnreadCount = (booking, role) => {
+  return booking.unreadCount?.[role] || 0;
+};
+
+/**
+ * Get a party's unread messages across bookings
+ * @param {Array} bookings - Array of bookings
+ * @param {string} role - 'customer' or 'provider'
+ * @returns {number} - Total unread message count
+ */
+export const getTotalUnreadCount = (bookings, role) => {
+  return bookings.reduce((total, booking) => total + getUnreadCount(booking, role), 0);
+};
@@ -0,0 +1,108 @@
+// Notification emails (server only)
+// Used by /api/notifications/email and the server jobs. Notifications and
+// bookings are written by the parties, so nothing in an email is copied from
+// them: the address is the recipient's Firebase Auth email, and the text is
+// built here from the notification's type and the booking's dates, with names
+// taken from the parties' accounts and profiles
+import { getAdminAuth, getAdminDb } from './firebaseAdmin';
+import { sendEmail } from './email';
+import { SERVICE_DURATIONS } from './availability';
+import { NOTIFICATION_TYPES, buildNotification, formatNotificationEmail } from './notifications';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+// The booking fields notification text uses, from sources the parties can't
+// put arbitrary text into
+const getEmailBooking = async (db, booking) => {
+  const [customer, providerDoc] = await Promise.all([
+    getAdminAuth().getUser(booking.customerId),
+    db.collection('providers').doc(booking.providerId).get()
+  ]);
+  const provider = providerDoc.exists ? providerDoc.data() : {};
+  const staff = (provider.staff || []).find(member => member.id === booking.staffId);
+
+  return {
+    customerName: customer.displayName || customer.email,
+    providerName: provider.name || 'Your provider',
+    staffName: staff?.name || 'A team member',
+    serviceType: SERVICE_DURATIONS[booking.serviceType] ? booking.serviceType : 'service',
+    scheduledDate: booking.scheduledDate,
+    scheduledTime: booking.scheduledTime,
+    cancelledBy: booking.cancelledBy === 'customer' ? 'customer' : 'provider',
+    noShowParty: booking.noShowParty === 'provider' ? 'provider' : 'customer'
+  };
+};
+
+// The numbers some notification types mention, worked out from the booking
+const getEmailDetails = async (db, type, booking, role) => {
+  switch (type) {
+    case NOTIFICATION_TYPES.BOOKING_REQUESTED: {
+      if (!booking.seriesId) {
+        return {};
+      }
+      const seriesSnapshot = await db.collection('bookings').where('seriesId', '==', booking.seriesId).get();
+      return { count: seriesSnapshot.size };
+    }
+    case NOTIFICATION_TYPES.REVIEW_RECEIVED:
+      return {
+        rating: Math.min(5, Math.max(1, Math.round(Number(booking.customerReview?.rating) || 0))),
+        tip: Number(booking.tip) || 0
+      };
+    case NOTIFICATION_TYPES.LATE_ARRIVAL_REPORTED: {
+      const reportedBy = role === 'provider' ? 'customer' : 'provider';
+      const report = (booking.lateArrivals || []).filter(item => item.reportedBy === reportedBy).pop();
+      return { reportedBy, minutes: Math.round(Number(report?.minutes) || 0) };
+    }
+    case NOTIFICATION_TYPES.QUOTE_ACCEPTED:
+    case NOTIFICATION_TYPES.QUOTE_DECLINED: {
+      const quote = (booking.quotes || [])[(booking.quotes || []).length - 1];
+      return { total: Number(quote?.total) || 0 };
+    }
+    default:
+      return {};
+  }
+};
+
+/**
+ * Email a notification to its recipient
+ * @param {Object} notification - Notification object ({ userId, type, bookingId })
+ * @param {string} origin - Base URL of the app, used for links in emails
+ * @param {Object} details - Details worked out by a server job, e.g. { hours } for reminders
+ * @returns {Promise<Object>} - { success, messageId } or { success: false, error }
+ */
+export const sendNotificationEmail = async (notification, origin, details = {}) => {
+  try {
+    if (!Object.values(NOTIFICATION_TYPES).includes(notification.type) || !notification.bookingId) {
+      return { success: false, error: 'Unknown notification type' };
+    }
+
+    const db = getAdminDb();
+    const bookingDoc = await db.collection('bookings').doc(notification.bookingId).get();
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    const role = booking?.providerId === notification.userId ? 'provider'
+      : booking?.customerId === notification.userId ? 'customer'
+        : null;
+    if (!role || !DATE_PATTERN.test(booking.scheduledDate) || !TIME_PATTERN.test(booking.scheduledTime)) {
+      return { success: false, error: 'Booking not found' };
+    }
+
+    const recipient = await getAdminAuth().getUser(notification.userId);
+    if (!recipient.email) {
+      return { success: false, error: 'No email address for this recipient' };
+    }
+
+    const [emailBooking, derivedDetails] = await Promise.all([
+      getEmailBooking(db, booking),
+      getEmailDetails(db, notification.type, booking, role)
+    ]);
+    const content = buildNotification(notification.type, emailBooking, { ...derivedDetails, ...details });
+    return await sendEmail({
+      to: recipient.email,
+      ...formatNotificationEmail({ ...content, role }, origin)
+    });
+  } catch (error) {
+    console.error('Error emailing notification:', error);
+    return { success: false, error: error.message };
+  }
+};
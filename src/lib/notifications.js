@@ -0,0 +1,136 @@
+// Utility functions for user notifications
+// Booking events are recorded as notification documents for the user they
+// concern; the bell in each dashboard lists them and each can also be emailed
+import { formatTimeForDisplay } from './availability';
+
+export const NOTIFICATION_TYPES = {
+  BOOKING_REQUESTED: 'booking-requested',
+  BOOKING_ACCEPTED: 'booking-accepted',
+  BOOKING_DECLINED: 'booking-declined',
+  BOOKING_CANCELLED: 'booking-cancelled',
+  BOOKING_EXPIRED: 'booking-expired',
+  RESCHEDULE_PROPOSED: 'reschedule-proposed',
+  BOOKING_RESCHEDULED: 'booking-rescheduled',
+  STAFF_REASSIGNED: 'staff-reassigned',
+  REVIEW_RECEIVED: 'review-received',
+  BOOKING_NO_SHOW: 'booking-no-show',
+  LATE_ARRIVAL_REPORTED: 'late-arrival-reported',
+  QUOTE_RECEIVED: 'quote-received',
+  QUOTE_ACCEPTED: 'quote-accepted',
+  QUOTE_DECLINED: 'quote-declined',
+  REMINDER: 'reminder'
+};
+
+// Notification sent to the other party when a booking enters a status
+export const STATUS_NOTIFICATION_TYPES = {
+  confirmed: NOTIFICATION_TYPES.BOOKING_ACCEPTED,
+  rejected: NOTIFICATION_TYPES.BOOKING_DECLINED,
+  cancelled: NOTIFICATION_TYPES.BOOKING_CANCELLED,
+  expired: NOTIFICATION_TYPES.BOOKING_EXPIRED,
+  'no-show': NOTIFICATION_TYPES.BOOKING_NO_SHOW
+};
+
+// Number of recent notifications shown in the bell
+export const NOTIFICATION_LIMIT = 20;
+
+/**
+ * Describe when a booking takes place
+ * @param {Object} booking - Booking object
+ * @returns {string} - e.g. "plumber on 2025-08-01 at 2:00 PM"
+ */
+const describeBooking = (booking) => {
+  return `${booking.serviceType} on ${booking.scheduledDate} at ${formatTimeForDisplay(booking.scheduledTime)}`;
+};
+
+/**
+ * Build the title and text of a notification about a booking
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object} booking - Booking object, as it is after the event
+ * @param {Object} details - Extra details for some types ({ count } for series, { rating, tip } for reviews, { hours } for reminders, { minutes, reportedBy } for late arrivals, { total } for quote answers)
+ * @returns {Object} - { title, body }
+ */
+export const buildNotification = (type, booking, details = {}) => {
+  const when = describeBooking(booking);
+  // Status changes made to a whole series are reported once
+  const series = details.count > 1 ? ` This applies to ${details.count} bookings in the series.` : '';
+
+  switch (type) {
+    case NOTIFICATION_TYPES.BOOKING_REQUESTED:
+      return {
+        title: 'New booking request',
+        body: details.count > 1
+          ? `${booking.customerName} requested ${details.count} recurring bookings, starting with ${when}.`
+          : `${booking.customerName} requested ${when}.`
+      };
+    case NOTIFICATION_TYPES.BOOKING_ACCEPTED:
+      return { title: 'Booking confirmed', body: `${booking.providerName} accepted your ${when}.${series}` };
+    case NOTIFICATION_TYPES.BOOKING_DECLINED:
+      return { title: 'Booking declined', body: `${booking.providerName} declined your ${when}.${series}` };
+    case NOTIFICATION_TYPES.BOOKING_CANCELLED:
+      return {
+        title: 'Booking cancelled',
+        body: `${booking.cancelledBy === 'customer' ? booking.customerName : booking.providerName} cancelled the ${when}.${series}`
+      };
+    case NOTIFICATION_TYPES.BOOKING_EXPIRED:
+      return { title: 'Request expired', body: `Your request for ${when} expired without a reply, and the time slot was released.${series}` };
+    case NOTIFICATION_TYPES.RESCHEDULE_PROPOSED:
+      return { title: 'New time proposed', body: `A new time was proposed for the ${booking.serviceType} booking on ${booking.scheduledDate}. Open your dashboard to respond.` };
+    case NOTIFICATION_TYPES.BOOKING_RESCHEDULED:
+      return { title: 'Booking rescheduled', body: `Your booking has moved to ${when}.` };
+    case NOTIFICATION_TYPES.STAFF_REASSIGNED:
+      return { title: 'New team member', body: `${booking.staffName} from ${booking.providerName} will now do your ${when}.` };
+    case NOTIFICATION_TYPES.REVIEW_RECEIVED: {
+      const tip = details.tip > 0 ? ` and a $${details.tip.toFixed(2)} tip` : '';
+      return { title: 'New review', body: `${booking.customerName} left a ${details.rating}-star review${tip} for the ${booking.serviceType} job.` };
+    }
+    case NOTIFICATION_TYPES.BOOKING_NO_SHOW:
+      return {
+        title: 'No-show recorded',
+        body: booking.noShowParty === 'provider'
+          ? `${booking.customerName} reported that you did not show up for the ${when}.`
+          : `${booking.providerName} marked you as a no-show for the ${when}.`
+      };
+    case NOTIFICATION_TYPES.LATE_ARRIVAL_REPORTED:
+      return {
+        title: 'Late arrival reported',
+        body: `${details.reportedBy === 'customer' ? booking.customerName : booking.providerName} reported that you arrived ${details.minutes} minutes late for the ${when}.`
+      };
+    case NOTIFICATION_TYPES.QUOTE_RECEIVED:
+      return { title: 'New quote', body: `${booking.providerName} sent a quote for your ${when}. Accept it to confirm the booking.` };
+    case NOTIFICATION_TYPES.QUOTE_ACCEPTED:
+      return { title: 'Quote accepted', body: `${booking.customerName} accepted your $${details.total.toFixed(2)} quote, confirming the ${when}.` };
+    case NOTIFICATION_TYPES.QUOTE_DECLINED:
+      return { title: 'Quote declined', body: `${booking.customerName} declined your $${details.total.toFixed(2)} quote for the ${when}. You can send a revised quote or decline the request.` };
+    case NOTIFICATION_TYPES.REMINDER:
+      return {
+        title: 'Upcoming booking',
+        body: details.hours > 1
+          ? `Reminder: your ${when} is in about ${Math.round(details.hours)} hours.`
+          : `Reminder: your ${when} starts within the hour.`
+      };
+    default:
+      return { title: 'Booking update', body: `There is an update to the ${when}.` };
+  }
+};
+
+/**
+ * Get the dashboard a notification links to
+ * @param {string} role - Recipient's role
+ * @returns {string} - Path of the recipient's dashboard
+ */
+export const getNotificationLink = (role) => {
+  return role === 'provider' ? '/provider/dashboard' : '/customer/dashboard';
+};
+
+/**
+ * Build the email sent for a notification
+ * @param {Object} notification - Notification object
+ * @param {string} origin - Base URL of the app, e.g. https://servicehub.example.com
+ * @returns {Object} - { subject, text }
+ */
+export const formatNotificationEmail = (notification, origin) => {
+  return {
+    subject: notification.title,
+    text: `${notification.body}\n\nView it on ServiceHub: ${origin}${getNotificationLink(notification.role)}`
+  };
+};
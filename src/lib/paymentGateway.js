@@ -0,0 +1,90 @@
+// Payment gateways for booking payments (server only)
+// Payments go through the gateway chosen by PAYMENT_GATEWAY. 'mock' keeps
+// charges in memory and is the default, for development and tests; set
+// MOCK_PAYMENTS_DECLINE=true to have it decline every charge. A real provider
+// can be added with registerPaymentGateway
+import { v4 as uuidv4 } from 'uuid';
+
+// Factories for the known gateways. Each returns an object with
+//   charge({ amount, currency, description, metadata, idempotencyKey }) -> { id }
+//   refund({ chargeId, amount, idempotencyKey }) -> { id }
+//   payout({ amount, currency, destination, metadata }) -> { id }
+// where amounts are in the currency's smallest unit (cents) and destination
+// is the provider being paid. A charge or refund made again with the same
+// idempotencyKey returns the first one's result instead of moving money
+// twice. All throw an Error whose message can be shown to the user when the
+// gateway refuses
+const gateways = {
+  mock: () => {
+    const charges = new Map();
+    const results = new Map();
+    return {
+      charge: async ({ amount, currency, description, idempotencyKey }) => {
+        if (idempotencyKey && results.has(idempotencyKey)) {
+          return results.get(idempotencyKey);
+        }
+        if (process.env.MOCK_PAYMENTS_DECLINE === 'true') {
+          throw new Error('Your card was declined.');
+        }
+        const id = `mock_ch_${uuidv4()}`;
+        charges.set(id, { amount, refunded: 0 });
+        if (idempotencyKey) {
+          results.set(idempotencyKey, { id });
+        }
+        console.log(`Mock payment ${id}: charged ${amount} ${currency} for ${description}`);
+        return { id };
+      },
+      refund: async ({ chargeId, amount, idempotencyKey }) => {
+        if (idempotencyKey && results.has(idempotencyKey)) {
+          return results.get(idempotencyKey);
+        }
+        // Charges from before a restart are unknown; refund them as requested
+        const charge = charges.get(chargeId);
+        if (charge && charge.refunded + amount > charge.amount) {
+          throw new Error('Refund is larger than the amount left on the charge.');
+        }
+        if (charge) {
+          charge.refunded += amount;
+        }
+        const id = `mock_re_${uuidv4()}`;
+        if (idempotencyKey) {
+          results.set(idempotencyKey, { id });
+        }
+        console.log(`Mock payment ${id}: refunded ${amount} of ${chargeId}`);
+        return { id };
+      },
+      payout: async ({ amount, currency, destination }) => {
+        const id = `mock_po_${uuidv4()}`;
+        console.log(`Mock payout ${id}: paid ${amount} ${currency} to ${destination}`);
+        return { id };
+      }
+    };
+  }
+};
+
+let activeGateway = null;
+
+/**
+ * Add a gateway that can be selected with PAYMENT_GATEWAY
+ * @param {string} name - Gateway name
+ * @param {Function} factory - Returns an object with async charge(), refund() and payout() methods
+ */
+export const registerPaymentGateway = (name, factory) => {
+  gateways[name] = factory;
+  activeGateway = null;
+};
+
+/**
+ * Get the gateway selected by PAYMENT_GATEWAY, creating it on first use
+ * @returns {Object} - Gateway with async charge(), refund() and payout() methods
+ */
+export const getPaymentGateway = () => {
+  if (!activeGateway) {
+    const name = process.env.PAYMENT_GATEWAY || 'mock';
+    if (!gateways[name]) {
+      throw new Error(`Unknown payment gateway: ${name}`);
+    }
+    activeGateway = gateways[name]();
+  }
+  return activeGateway;
+};
@@ -0,0 +1,210 @@
+// Booking payment settlement (server only)
+// Called through /api/payments whenever a booking is created or changes
+// status. Compares what the customer owes for the booking now (see
+// src/lib/payments.js) with what has been collected, then charges the
+// difference or refunds the excess through the payment gateway. Every charge
+// and refund is recorded in the booking's payment.transactions, with the
+// platform's commission on it. Tips are charged without commission
+import { getAdminDb } from './firebaseAdmin';
+import { getPaymentGateway } from './paymentGateway';
+import { PAYMENT_CURRENCY, getAmountDue, getAmountPaid, getPaymentStatus, getTipAmount } from './payments';
+import { DEFAULT_COMMISSION_PERCENT, getTransactionCommission } from './earnings';
+
+// A settlement that hasn't finished after this long is assumed to have died
+const LOCK_TIMEOUT_MS = 60 * 1000;
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const roundToCents = (amount) => Math.round(amount * 100) / 100;
+
+const getCommissionPercent = () => {
+  return Number(process.env.PLATFORM_COMMISSION_PERCENT ?? DEFAULT_COMMISSION_PERCENT);
+};
+
+// Mark the booking's payment as being settled so two requests can't charge it
+// twice. Returns the booking, or null if another settlement holds the lock; it
+// is then asked to run again once it is done, as it may have started before
+// the change this request was made for
+const claimPayment = (db, bookingRef, now) => {
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) {
+      throw new Error('Booking not found');
+    }
+
+    const booking = bookingDoc.data();
+    const lockedAt = booking.payment?.lockedAt;
+    if (lockedAt && now - new Date(lockedAt) < LOCK_TIMEOUT_MS) {
+      transaction.update(bookingRef, { 'payment.rerunRequested': true });
+      return null;
+    }
+
+    transaction.update(bookingRef, { 'payment.lockedAt': now.toISOString(), 'payment.rerunRequested': false });
+    return booking;
+  });
+};
+
+// Save a settlement's result. If another request asked for a new run while it
+// was going, the lock is kept and the booking as it is now is returned to be
+// settled again; otherwise the lock is released and null returned
+const releasePayment = (db, bookingRef, payment, now) => {
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    const rerun = Boolean(bookingDoc.data()?.payment?.rerunRequested);
+    const saved = { ...payment, lockedAt: rerun ? now.toISOString() : null, rerunRequested: false };
+
+    transaction.update(bookingRef, { payment: saved });
+    return rerun ? { ...bookingDoc.data(), payment: saved } : null;
+  });
+};
+
+// Part of the booking's tip not yet charged
+const getTipOwed = (booking, transactions) => {
+  const tipsCharged = transactions
+    .filter(transaction => transaction.type === 'charge')
+    .reduce((sum, transaction) => sum + (transaction.tip || 0), 0);
+  return Math.max(0, roundToCents(getTipAmount(booking) - tipsCharged));
+};
+
+// Key that lets the gateway recognise a charge or refund it has already made.
+// It depends only on the booking's recorded transactions and the amount, so a
+// settlement that died after the gateway call but before saving is repeated
+// under the same key and isn't paid twice
+const getIdempotencyKey = (bookingId, transactions, type, amount) => {
+  return `${bookingId}-${transactions.length}-${type}-${toCents(amount)}`;
+};
+
+// What a charge is for, as it appears on the customer's statement
+const getChargeDescription = (booking, onlyTip) => {
+  const label = onlyTip ? 'Tip'
+    : booking.status === 'completed' ? 'Payment'
+      : booking.status === 'cancelled' ? 'Cancellation fee'
+        : booking.status === 'no-show' ? 'No-show fee'
+          : 'Deposit';
+  return `${label} for ${booking.serviceType} on ${booking.scheduledDate}`;
+};
+
+// Refund an amount across the booking's charges, newest first, recording each
+// refund as it succeeds. The commission taken on a charge is returned in
+// proportion to the amount refunded
+const refundCharges = async (gateway, bookingId, transactions, amount, now) => {
+  let remaining = amount;
+  const charges = transactions.filter(transaction => transaction.type === 'charge').reverse();
+
+  for (const charge of charges) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const refunded = transactions
+      .filter(transaction => transaction.type === 'refund' && transaction.chargeId === charge.id)
+      .reduce((sum, transaction) => sum + transaction.amount, 0);
+    const refundAmount = Math.min(remaining, roundToCents(charge.amount - refunded));
+    if (refundAmount <= 0) {
+      continue;
+    }
+
+    const result = await gateway.refund({
+      chargeId: charge.id,
+      amount: toCents(refundAmount),
+      idempotencyKey: getIdempotencyKey(bookingId, transactions, 'refund', refundAmount)
+    });
+    transactions.push({
+      id: result.id,
+      type: 'refund',
+      chargeId: charge.id,
+      amount: refundAmount,
+      commission: roundToCents(getTransactionCommission(charge) * refundAmount / charge.amount),
+      createdAt: now.toISOString()
+    });
+    remaining = roundToCents(remaining - refundAmount);
+  }
+};
+
+// Charge or refund a booking this settlement holds the lock on, returning its
+// payment as it now stands. Whatever went through is recorded, even if a later
+// step failed
+const settleClaimed = async (bookingId, booking, now) => {
+  const transactions = [...(booking.payment?.transactions || [])];
+  const amountDue = getAmountDue(booking);
+  const difference = roundToCents(amountDue - getAmountPaid({ transactions }));
+
+  let lastError = null;
+  try {
+    const gateway = getPaymentGateway();
+    if (difference > 0) {
+      // The tip is the last part of what is owed, so it is charged last
+      const tip = Math.min(difference, getTipOwed(booking, transactions));
+      const result = await gateway.charge({
+        amount: toCents(difference),
+        currency: PAYMENT_CURRENCY,
+        description: getChargeDescription(booking, tip === difference),
+        metadata: { bookingId, customerId: booking.customerId, providerId: booking.providerId },
+        idempotencyKey: getIdempotencyKey(bookingId, transactions, 'charge', difference)
+      });
+      transactions.push({
+        id: result.id,
+        type: 'charge',
+        amount: difference,
+        ...(tip > 0 && { tip }),
+        commission: roundToCents((difference - tip) * getCommissionPercent() / 100),
+        createdAt: now.toISOString()
+      });
+    } else if (difference < 0) {
+      await refundCharges(gateway, bookingId, transactions, -difference, now);
+    }
+  } catch (error) {
+    console.error('Error settling booking payment:', error);
+    lastError = error.message;
+  }
+
+  return {
+    status: lastError ? 'failed' : getPaymentStatus(booking, { transactions }),
+    currency: PAYMENT_CURRENCY,
+    amountDue,
+    amountPaid: getAmountPaid({ transactions }),
+    transactions,
+    lastError,
+    updatedAt: now.toISOString()
+  };
+};
+
+/**
+ * Charge or refund a booking so what has been collected matches what is owed
+ * Safe to call as often as needed: a booking that is already settled is left
+ * alone, and a call made while another settlement is running has that
+ * settlement run again when it is done rather than waiting for it
+ * @param {string} bookingId - Booking id
+ * @param {Date} now - Time of the settlement (default: now)
+ * @returns {Promise<Object>} - { success, payment }, { success, queued: true } or { success: false, error }
+ */
+export const settleBookingPayment = async (bookingId, now = new Date()) => {
+  const db = getAdminDb();
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  let booking;
+  try {
+    booking = await claimPayment(db, bookingRef, now);
+    if (!booking) {
+      return { success: true, queued: true };
+    }
+  } catch (error) {
+    console.error('Error settling booking payment:', error);
+    return { success: false, error: error.message };
+  }
+
+  let payment;
+  let runAt = now;
+  try {
+    while (booking) {
+      payment = await settleClaimed(bookingId, booking, runAt);
+      runAt = new Date();
+      booking = await releasePayment(db, bookingRef, payment, runAt);
+    }
+  } catch (error) {
+    console.error('Error saving booking payment:', error);
+    return { success: false, error: error.message };
+  }
+
+  return payment.lastError ? { success: false, error: payment.lastError, payment } : { success: true, payment };
+};
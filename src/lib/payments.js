@@ -0,0 +1,221 @@
+// Utility functions for booking payments
+// Customers pay a deposit when they book and the balance when the job is
+// completed. If a booking ends any other way, the customer keeps paying only
+// what they owe: a late cancellation fee under the provider's policy, or the
+// deposit if they didn't show up. Everything else is refunded. A customer can
+// add a tip when they review a completed job; it is charged on top of the
+// price and goes to the provider in full. The amounts here decide what is
+// charged; src/lib/paymentProcessor.js moves the money. They are worked out
+// from what the security rules keep either party from rewriting: the quote the
+// customer accepted, the policy and deposit recorded when the booking was made
+// and the time it was cancelled, not the totals the client stored with them
+import { getCancellationFee } from './cancellationPolicy';
+import { applyBookingPromo } from './promoCodes';
+import { calculateQuoteTotals, getAcceptedQuote } from './quotes';
+import { getNoShowParty } from './reliability';
+
+// Share of the price taken as a deposit by providers who have not set one
+export const DEFAULT_DEPOSIT_PERCENT = 20;
+
+export const PAYMENT_CURRENCY = 'usd';
+
+// Tip suggestions, as percentages of the price
+export const TIP_PERCENT_OPTIONS = [10, 15, 20];
+
+// Largest tip accepted, in dollars
+export const MAX_TIP_AMOUNT = 500;
+
+export const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  'deposit-paid': 'Deposit paid',
+  paid: 'Paid',
+  refunded: 'Refunded',
+  'partially-refunded': 'Partially refunded',
+  failed: 'Payment failed'
+};
+
+/**
+ * Round an amount of money to cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} - Amount rounded to two decimal places
+ */
+const roundToCents = (amount) => {
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Get the deposit a provider takes, as a percentage of the price
+ * @param {Object} provider - Provider object
+ * @returns {number} - Deposit percentage between 0 and 100
+ */
+export const getDepositPercent = (provider) => {
+  const percent = Number(provider?.depositPercent ?? DEFAULT_DEPOSIT_PERCENT);
+  return Math.min(100, Math.max(0, percent || 0));
+};
+
+/**
+ * Get the price the customer agreed to for a booking
+ * A booking confirmed from a quote costs the quote's total, worked out again
+ * from its items, less the booking's promo discount
+ * @param {Object} booking - Booking object
+ * @returns {number} - Price in dollars
+ */
+export const getBookingPrice = (booking) => {
+  const quote = getAcceptedQuote(booking);
+  if (!quote) {
+    return Number(booking.totalPrice) || 0;
+  }
+  const { total } = calculateQuoteTotals(quote.items || [], quote.taxPercent);
+  return booking.promo ? applyBookingPromo(booking, total).totalPrice : total;
+};
+
+/**
+ * Get the deposit due on a booking
+ * Uses the percentage recorded on the booking when it was made
+ * @param {Object} booking - Booking object
+ * @returns {number} - Deposit in dollars
+ */
+export const getDepositAmount = (booking) => {
+  return roundToCents(getBookingPrice(booking) * (booking.depositPercent ?? 0) / 100);
+};
+
+/**
+ * Get the late cancellation fee on a cancelled booking
+ * Only customers pay one, under the policy recorded on the booking, as of the
+ * time they cancelled
+ * @param {Object} booking - Booking object
+ * @returns {number} - Fee in dollars
+ */
+const getCancellationAmount = (booking) => {
+  if (booking.cancelledBy !== 'customer') {
+    return 0;
+  }
+  return getCancellationFee({ ...booking, totalPrice: getBookingPrice(booking) }, new Date(booking.cancelledAt)).fee;
+};
+
+/**
+ * Get the tip the customer added to a booking
+ * @param {Object} booking - Booking object
+ * @returns {number} - Tip in dollars, 0 if none
+ */
+export const getTipAmount = (booking) => {
+  return roundToCents(Number(booking.tip) || 0);
+};
+
+/**
+ * Suggest a tip as a share of the booking's price
+ * @param {Object} booking - Booking object
+ * @param {number} percent - Tip percentage
+ * @returns {number} - Tip in dollars
+ */
+export const getSuggestedTip = (booking, percent) => {
+  return roundToCents((Number(booking.totalPrice) || 0) * percent / 100);
+};
+
+/**
+ * Validate a tip before it is added to a booking
+ * @param {number|string} amount - Tip in dollars
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateTip = (amount) => {
+  const tip = Number(amount);
+  if (!Number.isFinite(tip) || tip < 0) {
+    return 'Please enter a valid tip amount.';
+  }
+  if (tip > MAX_TIP_AMOUNT) {
+    return `Tips can be at most $${MAX_TIP_AMOUNT}.`;
+  }
+  return null;
+};
+
+/**
+ * Work out how much the customer should have paid for a booking in its current state
+ * @param {Object} booking - Booking object
+ * @returns {number} - Amount in dollars
+ */
+export const getAmountDue = (booking) => {
+  switch (booking.status) {
+    case 'pending':
+    case 'confirmed':
+    case 'in-progress':
+      return getDepositAmount(booking);
+    case 'completed':
+      return roundToCents(getBookingPrice(booking) + getTipAmount(booking));
+    case 'cancelled':
+      return roundToCents(getCancellationAmount(booking));
+    case 'no-show':
+      // Customers who didn't turn up forfeit their deposit
+      return getNoShowParty(booking) === 'customer' ? getDepositAmount(booking) : 0;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Get the net amount collected so far
+ * @param {Object} payment - Payment record from the booking
+ * @returns {number} - Charges less refunds, in dollars
+ */
+export const getAmountPaid = (payment) => {
+  return roundToCents((payment?.transactions || []).reduce((sum, transaction) => (
+    transaction.type === 'refund' ? sum - transaction.amount : sum + transaction.amount
+  ), 0));
+};
+
+/**
+ * Get the amount refunded so far
+ * @param {Object} payment - Payment record from the booking
+ * @returns {number} - Refunds in dollars
+ */
+export const getAmountRefunded = (payment) => {
+  return roundToCents((payment?.transactions || [])
+    .filter(transaction => transaction.type === 'refund')
+    .reduce((sum, transaction) => sum + transaction.amount, 0));
+};
+
+/**
+ * Work out a booking's payment status from what has been collected
+ * @param {Object} booking - Booking object
+ * @param {Object} payment - Payment record, as it is after the latest change
+ * @returns {string} - One of the PAYMENT_STATUS_LABELS keys
+ */
+export const getPaymentStatus = (booking, payment) => {
+  const paid = getAmountPaid(payment);
+  const refunded = getAmountRefunded(payment);
+  if (paid === 0) {
+    return refunded > 0 ? 'refunded' : 'unpaid';
+  }
+  if (['pending', 'confirmed', 'in-progress'].includes(booking.status)) {
+    return 'deposit-paid';
+  }
+  // Bookings that didn't go ahead keep a fee and return the rest
+  return booking.status !== 'completed' && refunded > 0 ? 'partially-refunded' : 'paid';
+};
+
+/**
+ * Describe a booking's payment for display on its card
+ * @param {Object} booking - Booking object
+ * @returns {string|null} - e.g. "Deposit paid: $20.00", or null if there is nothing to show
+ */
+export const describePayment = (booking) => {
+  const payment = booking.payment;
+  if (!payment) {
+    return null;
+  }
+  if (payment.status === 'failed') {
+    return `${PAYMENT_STATUS_LABELS.failed}: ${payment.lastError || 'the card was declined'}`;
+  }
+
+  const label = PAYMENT_STATUS_LABELS[payment.status] || payment.status;
+  const refunded = getAmountRefunded(payment);
+  switch (payment.status) {
+    case 'unpaid':
+      return null;
+    case 'refunded':
+      return `${label}: $${refunded.toFixed(2)}`;
+    case 'partially-refunded':
+      return `${label}: $${refunded.toFixed(2)} returned, $${getAmountPaid(payment).toFixed(2)} kept`;
+    default:
+      return `${label}: $${getAmountPaid(payment).toFixed(2)}`;
+  }
+};
@@ -0,0 +1,74 @@
+// Provider payouts (server only)
+// Called through /api/payouts when a provider asks to be paid. Works out the
+// provider's available balance from their bookings and earlier payouts (see
+// src/lib/earnings.js), records the payout and sends it through the payment
+// gateway
+import { getAdminDb } from './firebaseAdmin';
+import { getPaymentGateway } from './paymentGateway';
+import { PAYMENT_CURRENCY } from './payments';
+import { getEarningsBalances, getLedgerEntries } from './earnings';
+
+// Smallest balance worth paying out, in dollars
+export const MIN_PAYOUT_AMOUNT = 1;
+
+const toDocs = (snapshot) => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+// Record a payout of the whole available balance. Each provider's account
+// document is written by every payout, which stops two requests running at
+// once from paying out the same money
+const claimPayout = (db, providerId, now) => {
+  return db.runTransaction(async (transaction) => {
+    const accountRef = db.collection('payoutAccounts').doc(providerId);
+    await transaction.get(accountRef);
+    const bookings = toDocs(await transaction.get(db.collection('bookings').where('providerId', '==', providerId)));
+    const payouts = toDocs(await transaction.get(db.collection('payouts').where('providerId', '==', providerId)));
+
+    const { available } = getEarningsBalances(getLedgerEntries(bookings, payouts));
+    if (available < MIN_PAYOUT_AMOUNT) {
+      throw new Error(`Your available balance must be at least $${MIN_PAYOUT_AMOUNT.toFixed(2)} to request a payout.`);
+    }
+
+    const payoutRef = db.collection('payouts').doc();
+    transaction.set(payoutRef, {
+      providerId,
+      amount: available,
+      currency: PAYMENT_CURRENCY,
+      status: 'processing',
+      createdAt: now.toISOString()
+    });
+    transaction.set(accountRef, { lastPayoutAt: now.toISOString() }, { merge: true });
+    return { ref: payoutRef, amount: available };
+  });
+};
+
+/**
+ * Pay a provider their available balance
+ * @param {string} providerId - Provider's user id
+ * @param {Date} now - Time of the payout (default: now)
+ * @returns {Promise<Object>} - { success, amount } or { success: false, error }
+ */
+export const requestPayout = async (providerId, now = new Date()) => {
+  let payout;
+  try {
+    payout = await claimPayout(getAdminDb(), providerId, now);
+  } catch (error) {
+    console.error('Error requesting payout:', error);
+    return { success: false, error: error.message };
+  }
+
+  try {
+    const result = await getPaymentGateway().payout({
+      amount: Math.round(payout.amount * 100),
+      currency: PAYMENT_CURRENCY,
+      destination: providerId,
+      metadata: { payoutId: payout.ref.id }
+    });
+    await payout.ref.update({ status: 'paid', gatewayId: result.id, paidAt: new Date().toISOString() });
+    return { success: true, amount: payout.amount };
+  } catch (error) {
+    // A failed payout no longer counts against the balance
+    console.error('Error sending payout:', error);
+    await payout.ref.update({ status: 'failed', error: error.message });
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,151 @@
+// Utility functions for promo codes
+// Codes take a percentage or a fixed amount off a booking's price. Providers
+// create codes for their own services; platform-wide codes (providerId null)
+// are added by the platform and work with any provider. A code can be limited
+// to a date window, a number of uses, some service categories, customers'
+// first bookings, or one use per customer. The discount is recorded on the
+// booking, and applied again to the total if the booking is later quoted
+
+export const DISCOUNT_TYPES = {
+  percent: 'Percentage',
+  fixed: 'Fixed amount'
+};
+
+// Codes are stored under their upper-case form, so entry is case-insensitive
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+
+const roundToCents = (amount) => {
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Normalize a promo code as typed by a user
+ * @param {string} code - Code as entered
+ * @returns {string} - Trimmed, upper-case code
+ */
+export const normalizePromoCode = (code) => {
+  return String(code || '').trim().toUpperCase();
+};
+
+/**
+ * Validate a promo code before it is created
+ * @param {Object} promo - Promo code fields
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validatePromoCode = (promo) => {
+  if (!PROMO_CODE_PATTERN.test(normalizePromoCode(promo.code))) {
+    return 'Codes are 3 to 20 letters, numbers, dashes or underscores.';
+  }
+  if (!DISCOUNT_TYPES[promo.discountType]) {
+    return 'Choose a discount type.';
+  }
+  const amount = Number(promo.amount);
+  if (!(amount > 0) || (promo.discountType === 'percent' && amount > 100)) {
+    return promo.discountType === 'percent'
+      ? 'Percentage discounts must be between 0 and 100%.'
+      : 'The discount must be greater than zero.';
+  }
+  if (promo.validFrom && promo.validUntil && promo.validUntil < promo.validFrom) {
+    return 'The code must end after it starts.';
+  }
+  if (promo.maxUses !== null && promo.maxUses !== '' && promo.maxUses !== undefined && !(Number(promo.maxUses) >= 1)) {
+    return 'The usage limit must be at least 1.';
+  }
+  return null;
+};
+
+/**
+ * Check whether a promo code can be used for a booking
+ * @param {Object} promo - Promo code object
+ * @param {Object} context - { customerId, providerId, serviceType, today, isFirstBooking }
+ * @returns {string|null} - Why the code can't be used, or null if it can
+ */
+export const getPromoCodeError = (promo, { customerId, providerId, serviceType, today, isFirstBooking }) => {
+  if (!promo || !promo.active) {
+    return 'This promo code is not valid.';
+  }
+  if (promo.providerId && promo.providerId !== providerId) {
+    return 'This promo code is not valid with this provider.';
+  }
+  if (promo.validFrom && today < promo.validFrom) {
+    return `This promo code can be used from ${promo.validFrom}.`;
+  }
+  if (promo.validUntil && today > promo.validUntil) {
+    return 'This promo code has expired.';
+  }
+  if (promo.maxUses && (promo.usedCount || 0) >= promo.maxUses) {
+    return 'This promo code has been fully redeemed.';
+  }
+  if (promo.categories?.length > 0 && !promo.categories.includes(serviceType)) {
+    return `This promo code only applies to ${promo.categories.join(', ')} services.`;
+  }
+  if (promo.firstBookingOnly && !isFirstBooking) {
+    return 'This promo code is only for your first booking.';
+  }
+  if (promo.onePerCustomer && (promo.redeemedBy || []).includes(customerId)) {
+    return 'You have already used this promo code.';
+  }
+  return null;
+};
+
+/**
+ * Check whether a booking is a customer's first, for first-booking codes
+ * Counted from the completed jobs on their profile, which only the server
+ * writes, so the security rules check it the same way
+ * @param {Object|null} reliability - { completed, ... } from the customer's profile
+ * @returns {boolean} - True if the customer has no completed bookings
+ */
+export const isFirstBooking = (reliability) => {
+  return !(Number(reliability?.completed) > 0);
+};
+
+/**
+ * Work out the discount a promo code gives on a price
+ * Never more than the price itself
+ * @param {Object} promo - Promo code, or the discount recorded on a booking
+ * @param {number} price - Price in dollars
+ * @returns {number} - Discount in dollars
+ */
+export const calculateDiscount = (promo, price) => {
+  const amount = Number(promo?.amount) || 0;
+  const discount = promo?.discountType === 'percent' ? price * amount / 100 : amount;
+  return roundToCents(Math.min(Math.max(discount, 0), price));
+};
+
+/**
+ * Get a booking's price after its promo code
+ * @param {Object} booking - Booking object, with the promo recorded on it (if any)
+ * @param {number} price - Price before the discount
+ * @returns {Object} - { originalPrice, discount, totalPrice }
+ */
+export const applyBookingPromo = (booking, price) => {
+  const discount = booking.promo ? calculateDiscount(booking.promo, price) : 0;
+  return { originalPrice: price, discount, totalPrice: roundToCents(price - discount) };
+};
+
+/**
+ * Describe a promo code's discount
+ * @param {Object} promo - Promo code object
+ * @returns {string} - e.g. "15% off" or "$10.00 off"
+ */
+export const describeDiscount = (promo) => {
+  return promo.discountType === 'percent'
+    ? `${Number(promo.amount)}% off`
+    : `$${Number(promo.amount).toFixed(2)} off`;
+};
+
+/**
+ * Describe a promo code's restrictions
+ * @param {Object} promo - Promo code object
+ * @returns {string} - e.g. "plumber only · until 2025-12-31 · 3/50 used"
+ */
+export const describePromoRestrictions = (promo) => {
+  return [
+    promo.categories?.length > 0 && `${promo.categories.join(', ')} only`,
+    promo.firstBookingOnly && 'first bookings',
+    promo.onePerCustomer && 'once per customer',
+    promo.validFrom && `from ${promo.validFrom}`,
+    promo.validUntil && `until ${promo.validUntil}`,
+    `${promo.usedCount || 0}${promo.maxUses ? `/${promo.maxUses}` : ''} used`
+  ].filter(Boolean).join(' · ');
+};
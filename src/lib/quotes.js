@@ -0,0 +1,119 @@
+// Utility functions for itemized quotes
+// A provider answers a pending request with a quote; the customer accepting it
+// confirms the booking at the quoted total. Declined quotes leave the request
+// pending so the provider can send a revised one or decline the booking
+
+// Kinds of line item a quote can contain. Tax is added on top as a percentage
+export const QUOTE_ITEM_TYPES = {
+  labor: 'Labor',
+  materials: 'Materials',
+  'call-out': 'Call-out fee'
+};
+
+// Most line items a single quote can have
+export const MAX_QUOTE_ITEMS = 20;
+
+/**
+ * Round an amount of money to cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} - Amount rounded to two decimal places
+ */
+const roundToCents = (amount) => {
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Work out a quote's totals from its line items
+ * @param {Array} items - Line items, each { type, description, amount }
+ * @param {number} taxPercent - Tax rate applied to the subtotal
+ * @returns {Object} - { subtotal, tax, total }
+ */
+export const calculateQuoteTotals = (items, taxPercent = 0) => {
+  const subtotal = roundToCents(items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0));
+  const tax = roundToCents(subtotal * (Number(taxPercent) || 0) / 100);
+  return { subtotal, tax, total: roundToCents(subtotal + tax) };
+};
+
+/**
+ * Validate a quote before it is sent
+ * @param {Array} items - Line items, each { type, description, amount }
+ * @param {number} taxPercent - Tax rate applied to the subtotal
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateQuote = (items, taxPercent = 0) => {
+  if (items.length === 0) {
+    return 'Add at least one line item.';
+  }
+  if (items.length > MAX_QUOTE_ITEMS) {
+    return `A quote can have at most ${MAX_QUOTE_ITEMS} line items.`;
+  }
+  if (items.some(item => !QUOTE_ITEM_TYPES[item.type])) {
+    return 'Each line item needs a type.';
+  }
+  if (items.some(item => !(Number(item.amount) > 0))) {
+    return 'Each line item needs an amount greater than zero.';
+  }
+  const tax = Number(taxPercent);
+  if (!(tax >= 0 && tax <= 100)) {
+    return 'Tax must be between 0 and 100%.';
+  }
+  return null;
+};
+
+/**
+ * Get the quote waiting for the customer's answer, if any
+ * @param {Object} booking - Booking object
+ * @returns {Object|null} - Open quote or null
+ */
+export const getPendingQuote = (booking) => {
+  return (booking.quotes || []).find(quote => quote.status === 'pending') || null;
+};
+
+/**
+ * Check whether the provider has answered a request with a quote
+ * @param {Object} booking - Booking object
+ * @returns {boolean} - True if at least one quote was sent
+ */
+export const hasBeenQuoted = (booking) => {
+  return (booking.quotes || []).length > 0;
+};
+
+/**
+ * Get the quote the customer accepted, if any
+ * @param {Object} booking - Booking object
+ * @returns {Object|null} - Accepted quote or null
+ */
+export const getAcceptedQuote = (booking) => {
+  return (booking.quotes || []).find(quote => quote.id === booking.acceptedQuoteId) || null;
+};
+
+/**
+ * Check whether a party can send a quote for a booking
+ * Only providers quote, and only while the request is pending
+ * @param {Object} booking - Booking object
+ * @param {string} role - 'customer' or 'provider'
+ * @returns {boolean} - True if a quote can be sent
+ */
+export const canSendQuote = (booking, role) => {
+  return booking.status === 'pending' && role === 'provider';
+};
+
+/**
+ * Check whether a party can accept or decline a quote
+ * @param {Object} booking - Booking object
+ * @param {Object} quote - Quote object
+ * @param {string} role - 'customer' or 'provider'
+ * @returns {boolean} - True if the party can answer the quote
+ */
+export const canRespondToQuote = (booking, quote, role) => {
+  return booking.status === 'pending' && quote?.status === 'pending' && role === 'customer';
+};
+
+/**
+ * Get the display label for a line item type
+ * @param {string} type - One of the QUOTE_ITEM_TYPES keys
+ * @returns {string} - Human readable label
+ */
+export const getQuoteItemLabel = (type) => {
+  return QUOTE_ITEM_TYPES[type] || type;
+};
@@ -0,0 +1,95 @@
+// Utility functions for recurring booking series
+// A series repeats the same service at the same time weekly, every two weeks
+// or monthly, ending after a number of occurrences or on an end date
+import { addDays, addMonths } from './timezone';
+
+export const RECURRENCE_LABELS = {
+  weekly: 'Weekly',
+  biweekly: 'Every 2 weeks',
+  monthly: 'Monthly'
+};
+
+// Upper limit on the bookings one series can create
+export const MAX_SERIES_OCCURRENCES = 26;
+
+/**
+ * Get the date of the nth occurrence of a series
+ * Monthly series count from the start date so a clamped month doesn't shift later ones
+ * @param {string} startDate - First date in YYYY-MM-DD format
+ * @param {string} frequency - 'weekly', 'biweekly' or 'monthly'
+ * @param {number} index - Occurrence number, starting at 0
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+const getOccurrenceDate = (startDate, frequency, index) => {
+  switch (frequency) {
+    case 'biweekly': return addDays(startDate, index * 14);
+    case 'monthly': return addMonths(startDate, index);
+    default: return addDays(startDate, index * 7);
+  }
+};
+
+/**
+ * Get the dates a series falls on
+ * @param {string} startDate - First date in YYYY-MM-DD format
+ * @param {Object} recurrence - { frequency, count } or { frequency, endDate }
+ * @returns {Array} - Dates in YYYY-MM-DD format, at most MAX_SERIES_OCCURRENCES
+ */
+export const getOccurrenceDates = (startDate, { frequency, count, endDate }) => {
+  const limit = Math.min(Number(count) || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+  const dates = [];
+
+  for (let i = 0; i < limit; i++) {
+    const date = getOccurrenceDate(startDate, frequency, i);
+    if (endDate && date > endDate) {
+      break;
+    }
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Check whether a series ending on a date runs past the number of bookings one
+ * series can create. Only its first MAX_SERIES_OCCURRENCES dates are booked
+ * @param {string} startDate - First date in YYYY-MM-DD format
+ * @param {Object} recurrence - { frequency, count } or { frequency, endDate }
+ * @returns {boolean} - True if dates before the end date are left out
+ */
+export const isSeriesTruncated = (startDate, { frequency, endDate }) => {
+  return Boolean(endDate) && getOccurrenceDate(startDate, frequency, MAX_SERIES_OCCURRENCES) <= endDate;
+};
+
+/**
+ * Validate a series before it is booked
+ * @param {string} startDate - First date in YYYY-MM-DD format
+ * @param {Object} recurrence - { frequency, count } or { frequency, endDate }
+ * @returns {string|null} - Error message or null if valid
+ */
+export const validateRecurrence = (startDate, recurrence) => {
+  if (!RECURRENCE_LABELS[recurrence.frequency]) {
+    return 'Please choose how often the booking repeats';
+  }
+  if (!recurrence.count && !recurrence.endDate) {
+    return 'Please choose when the series ends';
+  }
+  if (recurrence.count && (recurrence.count < 2 || recurrence.count > MAX_SERIES_OCCURRENCES)) {
+    return `A series can have between 2 and ${MAX_SERIES_OCCURRENCES} bookings`;
+  }
+  if (recurrence.endDate && getOccurrenceDates(startDate, recurrence).length < 2) {
+    return 'The end date must leave room for at least two bookings';
+  }
+  return null;
+};
+
+/**
+ * Describe a series for display
+ * @param {Object} recurrence - { frequency, count } or { frequency, endDate }
+ * @returns {string} - Summary like "Weekly, 10 times"
+ */
+export const describeRecurrence = (recurrence) => {
+  const label = RECURRENCE_LABELS[recurrence.frequency] || recurrence.frequency;
+  return recurrence.endDate
+    ? `${label} until ${recurrence.endDate}`
+    : `${label}, ${recurrence.count} times`;
+};
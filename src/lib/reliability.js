@@ -0,0 +1,158 @@
+// Utility functions for no-shows, late arrivals and reliability
+// Once a booking's start time has passed, the provider can mark the customer
+// as a no-show and the customer can report that the provider never came. Either
+// side can also report that the other arrived late. These outcomes are counted
+// on each user's profile as their reliability
+import { canTransition } from './bookingStatus';
+import { getLocalTimeZone, zonedTimeToDate } from './timezone';
+
+// How long after the start a party has to turn up before they count as a no-show
+export const NO_SHOW_GRACE_MINUTES = 15;
+
+// Longest delay that can be reported as a late arrival rather than a no-show
+export const MAX_LATE_MINUTES = 240;
+
+// Statuses in which a late arrival can be reported
+const LATE_ARRIVAL_STATUSES = ['confirmed', 'in-progress', 'completed'];
+
+/**
+ * Get the other party to a booking
+ * @param {string} role - 'customer' or 'provider'
+ * @returns {string} - The other role
+ */
+export const getOtherParty = (role) => {
+  return role === 'customer' ? 'provider' : 'customer';
+};
+
+/**
+ * Get the minutes since a booking's scheduled start
+ * @param {Object} booking - Booking object
+ * @param {Date} now - Time to check against (default: now)
+ * @returns {number} - Minutes since the start, negative before it
+ */
+const getMinutesSinceStart = (booking, now) => {
+  const startsAt = zonedTimeToDate(booking.scheduledDate, booking.scheduledTime, booking.timezone || getLocalTimeZone());
+  return (now - startsAt) / (60 * 1000);
+};
+
+/**
+ * Get the party who did not show up for a no-show booking
+ * Bookings marked before customers could report no-shows were always marked by the provider
+ * @param {Object} booking - Booking object
+ * @returns {string|null} - 'customer', 'provider' or null if the booking is not a no-show
+ */
+export const getNoShowParty = (booking) => {
+  if (booking.status !== 'no-show') {
+    return null;
+  }
+  return booking.noShowParty || 'customer';
+};
+
+/**
+ * Get the reliability counters a booking adds to its parties' profiles
+ * Jobs that took place count for both parties, a no-show against whoever
+ * missed it and each late arrival against the party reported. Each entry has
+ * a key that stays the same for the same outcome, so it is only counted once
+ * @param {Object} booking - Booking object
+ * @returns {Array} - [{ key, party, counter }]
+ */
+export const getReliabilityCounts = (booking) => {
+  const counts = [];
+  if (booking.status === 'completed') {
+    counts.push({ party: 'customer', counter: 'completed' }, { party: 'provider', counter: 'completed' });
+  }
+  const noShowParty = getNoShowParty(booking);
+  if (noShowParty) {
+    counts.push({ party: noShowParty, counter: 'noShows' });
+  }
+  (booking.lateArrivals || []).forEach(report => {
+    counts.push({ party: getOtherParty(report.reportedBy), counter: 'lateArrivals' });
+  });
+  return counts.map(count => ({ ...count, key: `${count.counter}:${count.party}` }));
+};
+
+/**
+ * Check whether a party can report the other as a no-show
+ * @param {Object} booking - Booking object
+ * @param {string} role - 'customer' or 'provider'
+ * @param {Date} now - Time to check against (default: now)
+ * @returns {boolean} - True if the no-show can be reported
+ */
+export const canReportNoShow = (booking, role, now = new Date()) => {
+  return canTransition(booking.status, 'no-show', role) &&
+    getMinutesSinceStart(booking, now) >= NO_SHOW_GRACE_MINUTES;
+};
+
+/**
+ * Check whether a party can report that the other arrived late
+ * Each party can report once per booking
+ * @param {Object} booking - Booking object
+ * @param {string} role - 'customer' or 'provider'
+ * @param {Date} now - Time to check against (default: now)
+ * @returns {boolean} - True if a late arrival can be reported
+ */
+export const canReportLateArrival = (booking, role, now = new Date()) => {
+  return LATE_ARRIVAL_STATUSES.includes(booking.status) &&
+    ['customer', 'provider'].includes(role) &&
+    getMinutesSinceStart(booking, now) >= 0 &&
+    !(booking.lateArrivals || []).some(report => report.reportedBy === role);
+};
+
+/**
+ * Validate the delay given for a late arrival
+ * @param {number} minutes - Minutes late
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateLateMinutes = (minutes) => {
+  if (!Number.isInteger(minutes) || minutes < 1) {
+    return 'Enter how many minutes late they were.';
+  }
+  if (minutes > MAX_LATE_MINUTES) {
+    return `Delays over ${MAX_LATE_MINUTES} minutes should be reported as a no-show.`;
+  }
+  return null;
+};
+
+/**
+ * Check whether the customer can review a booking
+ * Only jobs that took place can be reviewed, so no-shows never can
+ * @param {Object} booking - Booking object
+ * @returns {boolean} - True if a review can be left
+ */
+export const canReviewBooking = (booking) => {
+  return booking.status === 'completed' && !booking.customerReview && !getNoShowParty(booking);
+};
+
+/**
+ * Get a user's reliability score from their counters
+ * @param {Object} reliability - { completed, noShows, lateArrivals } from the user's profile
+ * @returns {number|null} - Percentage of bookings they turned up for, or null with no history
+ */
+export const getReliabilityScore = (reliability) => {
+  const completed = reliability?.completed || 0;
+  const total = completed + (reliability?.noShows || 0);
+  if (total === 0) {
+    return null;
+  }
+  return Math.round((completed / total) * 100);
+};
+
+/**
+ * Describe a user's reliability for display
+ * @param {Object} reliability - { completed, noShows, lateArrivals } from the user's profile
+ * @returns {string} - e.g. "95% reliable · 1 no-show · 2 late arrivals"
+ */
+export const describeReliability = (reliability) => {
+  const score = getReliabilityScore(reliability);
+  if (score === null) {
+    return 'No completed bookings yet';
+  }
+
+  const noShows = reliability.noShows || 0;
+  const lateArrivals = reliability.lateArrivals || 0;
+  return [
+    `${score}% reliable`,
+    noShows > 0 && `${noShows} no-show${noShows === 1 ? '' : 's'}`,
+    lateArrivals > 0 && `${lateArrivals} late arrival${lateArrivals === 1 ? '' : 's'}`
+  ].filter(Boolean).join(' · ');
+};
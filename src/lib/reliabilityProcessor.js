@@ -0,0 +1,53 @@
+// Reliability counting (server only)
+// Called through /api/reliability after a booking completes, is marked a
+// no-show or has a late arrival reported. Adds the booking's outcomes (see
+// getReliabilityCounts in src/lib/reliability.js) to the parties' profiles.
+// The outcomes already counted are recorded on the booking in
+// reliabilityCounted, so calling this again never counts one twice
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb } from './firebaseAdmin';
+import { getReliabilityCounts } from './reliability';
+
+/**
+ * Count a booking's outcomes that haven't been counted yet
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} - { success, counted } or { success: false, error }
+ */
+export const countBookingReliability = async (bookingId) => {
+  try {
+    const db = getAdminDb();
+    const bookingRef = db.collection('bookings').doc(bookingId);
+
+    const counted = await db.runTransaction(async (transaction) => {
+      const bookingDoc = await transaction.get(bookingRef);
+      if (!bookingDoc.exists) {
+        throw new Error('Booking not found');
+      }
+
+      const booking = bookingDoc.data();
+      const alreadyCounted = booking.reliabilityCounted || [];
+      const due = getReliabilityCounts(booking).filter(count => !alreadyCounted.includes(count.key));
+      if (due.length === 0) {
+        return [];
+      }
+
+      // Customers' counters are kept on their user document, providers' on
+      // their public provider profile
+      due.forEach(({ party, counter }) => {
+        const profileRef = party === 'provider'
+          ? db.collection('providers').doc(booking.providerId)
+          : db.collection('users').doc(booking.customerId);
+        transaction.set(profileRef, { reliability: { [counter]: FieldValue.increment(1) } }, { merge: true });
+      });
+      transaction.update(bookingRef, {
+        reliabilityCounted: FieldValue.arrayUnion(...due.map(count => count.key))
+      });
+      return due.map(count => count.key);
+    });
+
+    return { success: true, counted };
+  } catch (error) {
+    console.error('Error counting reliability:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,89 @@
+// Appointment reminder job (server only)
+// Run on a schedule through /api/reminders. Each run finds confirmed bookings
+// with a reminder due, records the reminder on the booking and creates the
+// notifications in one transaction, then emails both parties
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminDb } from './firebaseAdmin';
+import { sendNotificationEmail } from './notificationMailer';
+import { NOTIFICATION_TYPES, buildNotification } from './notifications';
+import { getDueReminder, parseReminderOffsets } from './reminders';
+import { addDays } from './timezone';
+
+// Record a due reminder and its notifications. Returns null if another run
+// got there first, which is what keeps reminders from being sent twice
+const claimReminder = (db, bookingRef, offsets, now) => {
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    const booking = { id: bookingDoc.id, ...bookingDoc.data() };
+    const due = getDueReminder(booking, offsets, now);
+    if (!due) {
+      return null;
+    }
+
+    transaction.update(bookingRef, {
+      remindersSent: FieldValue.arrayUnion(...due.handled)
+    });
+
+    const notifications = ['customer', 'provider'].map(role => ({
+      userId: role === 'provider' ? booking.providerId : booking.customerId,
+      role,
+      type: NOTIFICATION_TYPES.REMINDER,
+      ...buildNotification(NOTIFICATION_TYPES.REMINDER, booking, { hours: due.hoursUntilStart }),
+      bookingId: booking.id,
+      createdBy: null,
+      read: false,
+      createdAt: now.toISOString()
+    }));
+    notifications.forEach(notification => {
+      transaction.set(db.collection('notifications').doc(), notification);
+    });
+
+    return { notifications, hours: due.hoursUntilStart };
+  });
+};
+
+/**
+ * Send every reminder that is due
+ * Offsets come from REMINDER_OFFSETS_HOURS (default "24,1")
+ * @param {string} origin - Base URL of the app, used for links in emails
+ * @param {Date} now - Time of the run (default: now)
+ * @returns {Promise<Object>} - { success, sent: number of bookings reminded }
+ */
+export const sendDueReminders = async (origin, now = new Date()) => {
+  try {
+    const db = getAdminDb();
+    const offsets = parseReminderOffsets(process.env.REMINDER_OFFSETS_HOURS);
+
+    // Booking dates are in the provider's zone, so allow a day either side
+    const today = now.toISOString().slice(0, 10);
+    const bookingsSnapshot = await db
+      .collection('bookings')
+      .where('status', '==', 'confirmed')
+      .where('scheduledDate', '>=', addDays(today, -1))
+      .where('scheduledDate', '<=', addDays(today, Math.ceil(offsets[0] / 24) + 1))
+      .get();
+
+    let sent = 0;
+    for (const bookingDoc of bookingsSnapshot.docs) {
+      if (!getDueReminder(bookingDoc.data(), offsets, now)) {
+        continue;
+      }
+
+      const reminder = await claimReminder(db, bookingDoc.ref, offsets, now);
+      if (!reminder) {
+        continue;
+      }
+
+      const { notifications, hours } = reminder;
+      await Promise.all(notifications.map(notification =>
+        sendNotificationEmail(notification, origin, { hours })
+      ));
+      sent++;
+    }
+
+    return { success: true, sent };
+  } catch (error) {
+    console.error('Error sending reminders:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,51 @@
+// Utility functions for appointment reminders
+// Confirmed bookings get a reminder at each offset before they start. The
+// offsets already handled are recorded on the booking in remindersSent, so a
+// reminder is never sent twice however often the scheduler runs. Moving a
+// booking to a new time clears them, so its reminders go out again
+import { getLocalTimeZone, zonedTimeToDate } from './timezone';
+
+// Hours before the start of a booking at which reminders go out
+export const DEFAULT_REMINDER_OFFSETS = [24, 1];
+
+/**
+ * Read reminder offsets from a comma-separated setting such as "24,1"
+ * @param {string} value - Offsets in hours
+ * @returns {Array} - Offsets in hours, largest first
+ */
+export const parseReminderOffsets = (value) => {
+  const offsets = (value || '')
+    .split(',')
+    .map(Number)
+    .filter(offset => offset > 0);
+  return (offsets.length > 0 ? offsets : DEFAULT_REMINDER_OFFSETS).sort((a, b) => b - a);
+};
+
+/**
+ * Work out which reminder a booking is due, if any
+ * When several offsets have passed since the last run only the closest one is
+ * sent; the others are marked as handled so they don't follow it
+ * @param {Object} booking - Booking object
+ * @param {Array} offsets - Offsets in hours
+ * @param {Date} now - Time to check against (default: now)
+ * @returns {Object|null} - { offset, handled: offsets to record, hoursUntilStart } or null if nothing is due
+ */
+export const getDueReminder = (booking, offsets = DEFAULT_REMINDER_OFFSETS, now = new Date()) => {
+  if (booking.status !== 'confirmed') {
+    return null;
+  }
+
+  const startsAt = zonedTimeToDate(booking.scheduledDate, booking.scheduledTime, booking.timezone || getLocalTimeZone());
+  const hoursUntilStart = (startsAt - now) / (60 * 60 * 1000);
+  if (hoursUntilStart <= 0) {
+    return null;
+  }
+
+  const sent = booking.remindersSent || [];
+  const handled = offsets.filter(offset => hoursUntilStart <= offset && !sent.includes(offset));
+  if (handled.length === 0) {
+    return null;
+  }
+
+  return { offset: Math.min(...handled), handled, hoursUntilStart };
+};
@@ -0,0 +1,36 @@
+// Utility functions for rescheduling proposals
+// Either party can propose a new time for a booking; the other side accepts it,
+// rejects it, or counters with a proposal of their own
+
+// Bookings that can still be moved
+export const RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Get the proposal waiting for an answer, if any
+ * @param {Object} booking - Booking object
+ * @returns {Object|null} - Open proposal or null
+ */
+export const getPendingProposal = (booking) => {
+  return (booking.rescheduleProposals || []).find(proposal => proposal.status === 'pending') || null;
+};
+
+/**
+ * Check whether a party can propose a new time for a booking
+ * @param {Object} booking - Booking object
+ * @param {string} role - 'customer' or 'provider'
+ * @returns {boolean} - True if a proposal can be made
+ */
+export const canProposeReschedule = (booking, role) => {
+  return RESCHEDULABLE_STATUSES.includes(booking.status) && ['customer', 'provider'].includes(role);
+};
+
+/**
+ * Check whether a party can answer a proposal
+ * Only the side that did not make the proposal can answer it
+ * @param {Object} proposal - Proposal object
+ * @param {string} role - 'customer' or 'provider'
+ * @returns {boolean} - True if the party can accept or reject it
+ */
+export const canRespondToProposal = (proposal, role) => {
+  return proposal?.status === 'pending' && proposal.proposedBy !== role;
+};
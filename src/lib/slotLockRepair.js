@@ -0,0 +1,116 @@
+// Slot lock repair job (server only)
+// Run on a schedule through /api/slot-locks. Booking transactions only see
+// other bookings through their slot locks (see src/lib/slotLocks.js), so this
+// keeps the locks in step with the bookings:
+// - active bookings missing locks (made before locks existed) get them, unless
+//   another booking already holds one of the times, which is reported instead
+// - locks whose booking is gone, no longer active or has moved are released
+// Each booking and lock is fixed in its own transaction, so the job is safe to
+// run again or alongside customers booking
+import { getAdminDb } from './firebaseAdmin';
+import { BLOCKING_STATUSES } from './availability';
+import { getBookingSlotLockIds, getSlotLockData } from './slotLocks';
+import { addDays } from './timezone';
+
+// Give an active booking the locks it should hold. Returns the number of locks
+// created, or null if another booking holds one of them
+const backfillBookingLocks = (db, bookingRef, now) => {
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (!booking || !BLOCKING_STATUSES.includes(booking.status)) {
+      return 0;
+    }
+
+    const lockIds = getBookingSlotLockIds(booking);
+    const lockRefs = lockIds.map(lockId => db.collection('slotLocks').doc(lockId));
+    const lockDocs = lockRefs.length > 0 ? await transaction.getAll(...lockRefs) : [];
+    if (lockDocs.some(lockDoc => lockDoc.exists && lockDoc.data().bookingId !== bookingDoc.id)) {
+      return null;
+    }
+
+    const missing = lockRefs.filter((lockRef, index) => !lockDocs[index].exists);
+    missing.forEach(lockRef => {
+      transaction.set(lockRef, getSlotLockData(bookingDoc.id, booking, now.toISOString()));
+    });
+    if (!booking.slotLockIds) {
+      transaction.update(bookingRef, { slotLockIds: lockIds });
+    }
+    return missing.length;
+  });
+};
+
+// Release a lock unless its booking is still active and still holds it.
+// Returns whether the lock was released
+const releaseStaleLock = (db, lockRef) => {
+  return db.runTransaction(async (transaction) => {
+    const lockDoc = await transaction.get(lockRef);
+    if (!lockDoc.exists) {
+      return false;
+    }
+
+    const bookingDoc = await transaction.get(db.collection('bookings').doc(lockDoc.data().bookingId));
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (booking && BLOCKING_STATUSES.includes(booking.status) && getBookingSlotLockIds(booking).includes(lockDoc.id)) {
+      return false;
+    }
+
+    transaction.delete(lockRef);
+    return true;
+  });
+};
+
+/**
+ * Bring the slot locks of upcoming bookings in step with the bookings
+ * Past dates are left alone: their locks no longer block anything
+ * @param {Date} now - Time of the run (default: now)
+ * @returns {Promise<Object>} - { success, created, released, conflicts: IDs of
+ *   active bookings overlapping another booking's locks }
+ */
+export const repairSlotLocks = async (now = new Date()) => {
+  try {
+    const db = getAdminDb();
+    // Booking dates are in the provider's zone, so allow a day either side
+    const fromDate = addDays(now.toISOString().slice(0, 10), -1);
+
+    const bookingsSnapshot = await db
+      .collection('bookings')
+      .where('status', 'in', BLOCKING_STATUSES)
+      .get();
+
+    let created = 0;
+    const conflicts = [];
+    for (const bookingDoc of bookingsSnapshot.docs) {
+      if (bookingDoc.data().scheduledDate < fromDate) {
+        continue;
+      }
+
+      const count = await backfillBookingLocks(db, bookingDoc.ref, now);
+      if (count === null) {
+        conflicts.push(bookingDoc.id);
+      } else {
+        created += count;
+      }
+    }
+
+    const locksSnapshot = await db
+      .collection('slotLocks')
+      .where('scheduledDate', '>=', fromDate)
+      .get();
+
+    let released = 0;
+    for (const lockDoc of locksSnapshot.docs) {
+      if (await releaseStaleLock(db, lockDoc.ref)) {
+        released++;
+      }
+    }
+
+    if (conflicts.length > 0) {
+      console.warn('Bookings overlapping other bookings\' slot locks:', conflicts);
+    }
+    return { success: true, created, released, conflicts };
+  } catch (error) {
+    console.error('Error repairing slot locks:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,84 @@
+// Utility functions for slot locks
+// Every active booking holds one lock document per interval its job touches,
+// under its provider (or staff member) and date. Booking transactions read the
+// locks around a requested time, so two requests for overlapping times always
+// collide on a shared document. Used by the booking operations in the browser
+// and by the lock repair job on the server
+import { getBookingDuration, minutesToTime, timeToMinutes } from './availability';
+
+// Granularity of slot locks in minutes
+export const SLOT_LOCK_INTERVAL = 15;
+
+/**
+ * Get who a lock belongs to
+ * Each staff member of a team has their own locks; solo providers lock as themselves
+ * @param {string} providerId - Provider ID
+ * @param {string|null} staffId - Assigned staff member, if any
+ * @returns {string} - Lock owner ID
+ */
+export const getLockOwnerId = (providerId, staffId) => (staffId ? `${providerId}_${staffId}` : providerId);
+
+/**
+ * Get the lock IDs covering a time range
+ * A booking locks every interval its job touches, so overlapping requests
+ * with different start times still share at least one lock
+ * @param {string} ownerId - Lock owner ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} start - Start in minutes from midnight
+ * @param {number} end - End in minutes from midnight
+ * @returns {Array<string>} - Lock IDs
+ */
+export const getSlotLockIds = (ownerId, date, start, end) => {
+  const lockIds = [];
+  const firstLock = Math.max(0, start - (start % SLOT_LOCK_INTERVAL));
+  for (let minutes = firstLock; minutes < Math.min(end, 24 * 60); minutes += SLOT_LOCK_INTERVAL) {
+    lockIds.push(`${ownerId}_${date}_${minutesToTime(minutes)}`);
+  }
+  return lockIds;
+};
+
+/**
+ * Get the lock IDs an existing booking should hold
+ * Works out the IDs for bookings made before they were stored
+ * @param {Object} booking - Booking object
+ * @returns {Array<string>} - Lock IDs
+ */
+export const getBookingSlotLockIds = (booking) => {
+  const start = timeToMinutes(booking.scheduledTime);
+  return booking.slotLockIds ||
+    getSlotLockIds(getLockOwnerId(booking.providerId, booking.staffId), booking.scheduledDate, start, start + getBookingDuration(booking));
+};
+
+/**
+ * Build a lock document
+ * Copies the booking fields needed to judge conflicts without reading the booking
+ * @param {string} bookingId - Booking ID
+ * @param {Object} booking - Booking object
+ * @param {string} createdAt - ISO timestamp
+ * @returns {Object} - Lock document
+ */
+export const getSlotLockData = (bookingId, booking, createdAt) => ({
+  bookingId,
+  providerId: booking.providerId,
+  customerId: booking.customerId,
+  staffId: booking.staffId || null,
+  scheduledDate: booking.scheduledDate,
+  scheduledTime: booking.scheduledTime,
+  duration: getBookingDuration(booking),
+  bufferBefore: booking.bufferBefore || 0,
+  bufferAfter: booking.bufferAfter || 0,
+  createdAt
+});
+
+/**
+ * Get the time a lock's booking keeps blocked, buffers included
+ * @param {Object} lock - Lock document
+ * @returns {Object} - { start, end } in minutes from midnight
+ */
+export const getLockBlockedRange = (lock) => {
+  const start = timeToMinutes(lock.scheduledTime);
+  return {
+    start: start - (lock.bufferBefore || 0),
+    end: start + getBookingDuration(lock) + (lock.bufferAfter || 0)
+  };
+};
@@ -0,0 +1,186 @@
+// Utility functions for working with calendar dates and provider time zones
+// Dates are plain YYYY-MM-DD strings and times HH:MM wall-clock strings; a
+// time zone is only needed to turn them into real instants.
+
+/**
+ * Get the time zone of the current browser/runtime
+ * @returns {string} - IANA time zone name (e.g., "Europe/London")
+ */
+export const getLocalTimeZone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+/**
+ * Get the time zone a provider's schedule is expressed in
+ * Providers without one are treated as being in the viewer's zone, which
+ * matches how their schedules were interpreted before zones were recorded
+ * @param {Object} provider - Provider object
+ * @returns {string} - IANA time zone name
+ */
+export const getProviderTimeZone = (provider) => {
+  return provider?.timezone || getLocalTimeZone();
+};
+
+/**
+ * List the time zones the runtime knows about
+ * @returns {Array} - Array of IANA time zone names
+ */
+export const getSupportedTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [getLocalTimeZone()];
+};
+
+// Building a formatter is slow compared to using one, and slot checks run
+// for every candidate time, so keep one per zone
+const zonedFormatters = {};
+
+const getZonedFormatter = (timeZone) => {
+  if (!zonedFormatters[timeZone]) {
+    zonedFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return zonedFormatters[timeZone];
+};
+
+/**
+ * Split an instant into wall-clock parts in a time zone
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (instant, timeZone) => {
+  const parts = getZonedFormatter(timeZone).formatToParts(instant);
+
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      values[type] = Number(value);
+    }
+  });
+  return values;
+};
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+/**
+ * Get the offset of a time zone from UTC at a given instant
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (instant, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (instant.getTime() - instant.getMilliseconds());
+};
+
+/**
+ * Get the weekday of a calendar date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number} - Day of week (0 = Sunday, 1 = Monday, etc.)
+ */
+export const getDayOfWeek = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const result = new Date(Date.UTC(year, month - 1, day + days));
+  return `${result.getUTCFullYear()}-${pad(result.getUTCMonth() + 1)}-${pad(result.getUTCDate())}`;
+};
+
+/**
+ * Add months to a calendar date
+ * Days past the end of the target month are clamped, so Jan 31 + 1 month is Feb 28/29
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} months - Number of months to add (may be negative)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  const result = new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)));
+  return `${result.getUTCFullYear()}-${pad(result.getUTCMonth() + 1)}-${pad(result.getUTCDate())}`;
+};
+
+/**
+ * Get the calendar date and wall-clock time of an instant in a time zone
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+export const getZonedDateTime = (instant, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedParts(instant, timeZone);
+  return {
+    date: `${year}-${pad(month)}-${pad(day)}`,
+    time: `${pad(hour)}:${pad(minute)}`
+  };
+};
+
+/**
+ * Get today's date in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export const getTodayInTimeZone = (timeZone) => {
+  return getZonedDateTime(new Date(), timeZone).date;
+};
+
+/**
+ * Convert a wall-clock date and time in a time zone to an instant
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} - The matching point in time
+ */
+export const zonedTimeToDate = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset can differ either side of a DST change, so correct once more
+  const firstGuess = asUtc - getTimeZoneOffset(new Date(asUtc), timeZone);
+  return new Date(asUtc - getTimeZoneOffset(new Date(firstGuess), timeZone));
+};
+
+/**
+ * Convert a wall-clock date and time from one time zone to another
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {string} fromZone - Time zone the date and time are expressed in
+ * @param {string} toZone - Time zone to convert to
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM' } in the target zone
+ */
+export const convertTimeZone = (date, time, fromZone, toZone) => {
+  return getZonedDateTime(zonedTimeToDate(date, time, fromZone), toZone);
+};
+
+/**
+ * Get a short label for a time zone (e.g., "EST" or "GMT+2")
+ * @param {string} timeZone - IANA time zone name
+ * @param {Date} instant - Point in time the label should apply to (default: now)
+ * @returns {string} - Short time zone name
+ */
+export const getTimeZoneLabel = (timeZone, instant = new Date()) => {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(instant)
+    .find(({ type }) => type === 'timeZoneName');
+  return part ? part.value : timeZone;
+};